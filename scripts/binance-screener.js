@@ -2,7 +2,7 @@
 
 /**
  * Binance Technical Indicator Screener
- * Scans all USDT trading pairs and filters by technical indicators
+ * Scans all trading pairs of a quote asset (USDT by default) and filters by technical indicators
  *
  * Usage:
  *   node binance-screener.js --rsi-below 30
@@ -10,30 +10,158 @@
  *   node binance-screener.js --ma-golden-cross --json
  */
 
-import fetch from 'node-fetch';
-import { HttpsProxyAgent } from 'https-proxy-agent';
-import { getAllUSDTPairs, fetchKlinesBatch, parseKlines, fetchTickerBatch } from './lib/api.js';
-import { getLatestIndicators } from './lib/indicators.js';
-import { matchesFilters, parseFiltersFromArgs, formatFilters, calculateScore } from './lib/filters.js';
-
-// Proxy configuration
-const PROXY_URL = process.env.HTTPS_PROXY || process.env.HTTP_PROXY || 'http://127.0.0.1:7897';
-const agent = new HttpsProxyAgent(PROXY_URL);
+import { getTradingPairs, fetchKlinesBatch, parseKlines, dropOpenCandle, fetchTickerBatch, configureApi } from './lib/api.js';
+import { getLatestIndicators, getMinimumCandles, parseMovingAverage, formatMALabel } from './lib/indicators.js';
+import { PATTERNS, formatPatternName } from './lib/patterns.js';
+import { DIVERGENCE_SOURCES, DIVERGENCE_KINDS, getDivergenceKind } from './lib/divergence.js';
+import {
+  matchesFilters,
+  parseFiltersFromArgs,
+  formatFilters,
+  calculateScore,
+  selectIndicatorSpec
+} from './lib/filters.js';
+import { resolveSymbols, getDefaultQuote } from './lib/symbols.js';
+import { configureTransport } from './lib/transport.js';
+import { InvalidSymbolError, EXIT_CODES, formatError, getExitCode } from './lib/errors.js';
 
 // Valid intervals
 const INTERVALS = ['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
 
+/**
+ * Parse a comma-separated list argument
+ * @param {string} value - e.g. 'BTC,ETH, sol'
+ * @returns {string[]} Upper-case entries
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(item => item.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Read an option value that must be one of a fixed set of choices
+ * @param {string} option - Option name for the error message
+ * @param {string} value - Value as typed
+ * @param {string[]} choices - Allowed values
+ * @returns {string} Lower-case value
+ */
+function parseChoice(option, value, choices) {
+  const choice = (value || '').toLowerCase();
+  if (!choices.includes(choice)) {
+    console.error(`Invalid value for ${option}: ${value}. Expected ${choices.join(' or ')}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  return choice;
+}
+
+/**
+ * Read a comma-separated list of indicator periods
+ * @param {string} option - Option name for the error message
+ * @param {string} value - Value as typed (e.g., '14,3,3')
+ * @param {number} count - Number of periods expected
+ * @returns {number[]} Periods
+ */
+function parsePeriods(option, value, count) {
+  const periods = (value || '').split(',').map(Number);
+  if (periods.length !== count || !periods.every(p => Number.isInteger(p) && p >= 1)) {
+    console.error(`Invalid value for ${option}: ${value}. Expected ${count} positive integer${count > 1 ? 's separated by commas' : ''}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  return periods;
+}
+
+/**
+ * Read a non-negative percentage
+ * @param {string} option - Option name for the error message
+ * @param {string} value - Value as typed (e.g., '1.5')
+ * @returns {number} Percentage
+ */
+function parsePercent(option, value) {
+  const pct = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(pct) || pct < 0) {
+    console.error(`Invalid value for ${option}: ${value}. Expected a non-negative percentage`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+  return pct;
+}
+
+/**
+ * Read a moving average option
+ * @param {string} option - Option name for the error message
+ * @param {string} value - Value as typed (e.g., 'ema:200' or '50')
+ * @returns {Object} { type, period }
+ */
+function parseMA(option, value) {
+  try {
+    return parseMovingAverage(value);
+  } catch (error) {
+    console.error(`${option}: ${error.message}`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+}
+
+// Options that apply to the whole scan and cannot be scoped with --tf
+const SCAN_OPTIONS = [
+  'i', 'interval', 'n', 'limit', 'closed-only', 'tf', 'max-results', 'top-volume', 'concurrency',
+  'quote', 'include', 'exclude', 'exclude-stables', 'no-cache', 'refresh', 'base-url', 'record',
+  'replay', 'proxy', 'o', 'output', 'output-file', 'h', 'help'
+];
+
+/**
+ * Read a --tf entry into the options it scopes to one interval
+ * @param {string} option - Option name for the error message
+ * @param {string} value - Value as typed (e.g., '1d:price-above=ema:200' or '1h:macd-bullish')
+ * @returns {Object} { interval, tokens } where tokens are the equivalent arguments
+ */
+function parseTimeframeEntry(option, value) {
+  const [interval, ...rest] = (value || '').split(':');
+  const [name, ...values] = rest.join(':').split('=');
+
+  if (!INTERVALS.includes(interval) || !name) {
+    console.error(`Invalid value for ${option}: ${value}. Expected <interval>:<filter>[=<value>] (e.g., 1d:price-above=200)`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  const tokens = [`--${name}`, ...(values.length > 0 ? [values.join('=')] : [])];
+
+  // Only filters and indicator settings can be scoped to an interval
+  const scoped = SCAN_OPTIONS.includes(name) ? null : parseArgs(tokens);
+  if (!scoped || (Object.keys(parseFiltersFromArgs(scoped)).length === 0 && Object.keys(scoped.settings).length === 0)) {
+    console.error(`Invalid value for ${option}: ${value}. --${name} is not a filter or indicator setting`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  return { interval, tokens };
+}
+
 /**
  * Parse command line arguments
+ * @param {string[]} args - Arguments (default: process.argv)
  */
-function parseArgs() {
-  const args = process.argv.slice(2);
+function parseArgs(args = process.argv.slice(2)) {
+  const timeframes = new Map();
   const parsed = {
     interval: '4h',
     limit: 100,
+    // Indicator settings, overriding DEFAULT_INDICATOR_SPEC
+    settings: {},
+    priceAbove: [],
+    priceBelow: [],
+    patterns: [],
+    divergences: [],
+    closedOnly: false,
     output: 'json',
     maxResults: 0,
-    topVolume: 0
+    topVolume: 0,
+    concurrency: 10,
+    cache: true,
+    refresh: false,
+    quote: getDefaultQuote(),
+    include: [],
+    exclude: [],
+    excludeStables: false
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -83,11 +211,49 @@ function parseArgs() {
         break;
 
       case '--ma-above':
-        parsed.maAbove = args[++i];
+      case '--price-above':
+        parsed.priceAbove.push(parseMA(arg, args[++i]));
         break;
 
       case '--ma-below':
-        parsed.maBelow = args[++i];
+      case '--price-below':
+        parsed.priceBelow.push(parseMA(arg, args[++i]));
+        break;
+
+      case '--ma-fast':
+      case '--ma-slow': {
+        const ma = parseMA(arg, args[++i]);
+        parsed.settings.maCross = { ...parsed.settings.maCross, [arg === '--ma-fast' ? 'fast' : 'slow']: ma };
+        break;
+      }
+
+      case '--rsi-period':
+        parsed.settings.rsi = { period: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--macd': {
+        const [fast, slow, signal] = parsePeriods(arg, args[++i], 3);
+        parsed.settings.macd = { fast, slow, signal };
+        break;
+      }
+
+      case '--bb': {
+        const value = args[++i];
+        const [period, stdDev] = (value || '').split(',').map(Number);
+        if (!(Number.isInteger(period) && period >= 2 && stdDev > 0)) {
+          console.error(`Invalid value for --bb: ${value}. Expected <period>,<stdDev> (e.g., 20,2.5)`);
+          process.exit(EXIT_CODES.USAGE);
+        }
+        parsed.settings.bollinger = { period, stdDev };
+        break;
+      }
+
+      case '--atr-period':
+        parsed.settings.atr = { period: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--adx-period':
+        parsed.settings.adx = { period: parsePeriods(arg, args[++i], 1)[0] };
         break;
 
       case '--bb-lower':
@@ -114,6 +280,213 @@ function parseArgs() {
         parsed.bbWide = true;
         break;
 
+      case '--adx-above':
+        parsed.adxAbove = parseFloat(args[++i]);
+        break;
+
+      case '--adx-below':
+        parsed.adxBelow = parseFloat(args[++i]);
+        break;
+
+      case '--atr-pct-above':
+        parsed.atrPctAbove = parseFloat(args[++i]);
+        break;
+
+      case '--atr-pct-below':
+        parsed.atrPctBelow = parseFloat(args[++i]);
+        break;
+
+      case '--supertrend-flip':
+        parsed.supertrendFlip = parseChoice(arg, args[++i], ['bullish', 'bearish']);
+        break;
+
+      case '--supertrend':
+        parsed.supertrend = parseChoice(arg, args[++i], ['bullish', 'bearish']);
+        break;
+
+      case '--psar-flip':
+        parsed.psarFlip = parseChoice(arg, args[++i], ['bullish', 'bearish']);
+        break;
+
+      case '--kc-above-upper':
+        parsed.kcAboveUpper = true;
+        break;
+
+      case '--kc-below-lower':
+        parsed.kcBelowLower = true;
+        break;
+
+      case '--donchian-breakout':
+        parsed.donchianBreakout = parseChoice(arg, args[++i], ['up', 'down']);
+        break;
+
+      case '--stoch-cross-up-below':
+        parsed.stochCrossUpBelow = parseFloat(args[++i]);
+        break;
+
+      case '--stoch-cross-down-above':
+        parsed.stochCrossDownAbove = parseFloat(args[++i]);
+        break;
+
+      case '--stoch-below':
+        parsed.stochBelow = parseFloat(args[++i]);
+        break;
+
+      case '--stoch-above':
+        parsed.stochAbove = parseFloat(args[++i]);
+        break;
+
+      case '--stoch-rsi-cross-up-below':
+        parsed.stochRsiCrossUpBelow = parseFloat(args[++i]);
+        break;
+
+      case '--stoch-rsi-cross-down-above':
+        parsed.stochRsiCrossDownAbove = parseFloat(args[++i]);
+        break;
+
+      case '--stoch-rsi-below':
+        parsed.stochRsiBelow = parseFloat(args[++i]);
+        break;
+
+      case '--stoch-rsi-above':
+        parsed.stochRsiAbove = parseFloat(args[++i]);
+        break;
+
+      case '--cci-below':
+        parsed.cciBelow = parseFloat(args[++i]);
+        break;
+
+      case '--cci-above':
+        parsed.cciAbove = parseFloat(args[++i]);
+        break;
+
+      case '--willr-below':
+        parsed.willrBelow = parseFloat(args[++i]);
+        break;
+
+      case '--willr-above':
+        parsed.willrAbove = parseFloat(args[++i]);
+        break;
+
+      case '--roc-above':
+        parsed.rocAbove = parseFloat(args[++i]);
+        break;
+
+      case '--roc-below':
+        parsed.rocBelow = parseFloat(args[++i]);
+        break;
+
+      case '--stoch': {
+        const [kPeriod, kSmooth, dPeriod] = parsePeriods(arg, args[++i], 3);
+        parsed.settings.stoch = { kPeriod, kSmooth, dPeriod };
+        break;
+      }
+
+      case '--stoch-rsi': {
+        const [rsiPeriod, stochPeriod, kSmooth, dPeriod] = parsePeriods(arg, args[++i], 4);
+        parsed.settings.stochRsi = { rsiPeriod, stochPeriod, kSmooth, dPeriod };
+        break;
+      }
+
+      case '--cci-period':
+        parsed.settings.cci = { period: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--willr-period':
+        parsed.settings.williamsR = { period: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--roc-period':
+        parsed.settings.roc = { period: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--rvol-above':
+        parsed.rvolAbove = parseFloat(args[++i]);
+        break;
+
+      case '--rvol-below':
+        parsed.rvolBelow = parseFloat(args[++i]);
+        break;
+
+      case '--rvol-period':
+        parsed.settings.volume = { period: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--obv-trend':
+        parsed.obvTrend = parseChoice(arg, args[++i], ['up', 'down']);
+        break;
+
+      case '--mfi-below':
+        parsed.mfiBelow = parseFloat(args[++i]);
+        break;
+
+      case '--mfi-above':
+        parsed.mfiAbove = parseFloat(args[++i]);
+        break;
+
+      case '--cmf-above':
+        parsed.cmfAbove = parseFloat(args[++i]);
+        break;
+
+      case '--cmf-below':
+        parsed.cmfBelow = parseFloat(args[++i]);
+        break;
+
+      case '--vwap':
+        parsed.vwap = parseChoice(arg, args[++i], ['above', 'below']);
+        break;
+
+      case '--pattern':
+        for (const name of (args[++i] || '').split(',')) {
+          parsed.patterns.push(parseChoice(arg, name.trim().toLowerCase(), Object.keys(PATTERNS)));
+        }
+        break;
+
+      case '--divergence':
+        for (const entry of (args[++i] || '').split(',')) {
+          const [source, kind] = entry.trim().toLowerCase().split(':');
+          parsed.divergences.push(`${parseChoice(arg, source, DIVERGENCE_SOURCES)}:${parseChoice(arg, kind, DIVERGENCE_KINDS)}`);
+        }
+        break;
+
+      case '--divergence-lookback':
+        parsed.settings.divergence = { ...parsed.settings.divergence, lookback: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--pivot-strength':
+        parsed.settings.divergence = { ...parsed.settings.divergence, strength: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--near-support':
+        parsed.nearSupport = parsePercent(arg, args[++i]);
+        break;
+
+      case '--broke-resistance':
+        parsed.brokeResistance = true;
+        break;
+
+      case '--level-strength':
+        parsed.settings.levels = { ...parsed.settings.levels, strength: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--level-tolerance':
+        parsed.settings.levels = { ...parsed.settings.levels, tolerance: parsePercent(arg, args[++i]) };
+        break;
+
+      case '--cross-within':
+        parsed.settings.crosses = { within: parsePeriods(arg, args[++i], 1)[0] };
+        break;
+
+      case '--closed-only':
+        parsed.closedOnly = true;
+        break;
+
+      case '--tf': {
+        const { interval, tokens } = parseTimeframeEntry(arg, args[++i]);
+        timeframes.set(interval, [...(timeframes.get(interval) || []), ...tokens]);
+        break;
+      }
+
       case '--price-min':
         parsed.priceMin = args[++i];
         break;
@@ -130,6 +503,50 @@ function parseArgs() {
         parsed.topVolume = parseInt(args[++i]);
         break;
 
+      case '--concurrency':
+        parsed.concurrency = parseInt(args[++i]);
+        break;
+
+      case '--quote':
+        parsed.quote = args[++i].toUpperCase();
+        break;
+
+      case '--include':
+        parsed.include = parseList(args[++i]);
+        break;
+
+      case '--exclude':
+        parsed.exclude = parseList(args[++i]);
+        break;
+
+      case '--exclude-stables':
+        parsed.excludeStables = true;
+        break;
+
+      case '--no-cache':
+        parsed.cache = false;
+        break;
+
+      case '--refresh':
+        parsed.refresh = true;
+        break;
+
+      case '--base-url':
+        parsed.baseUrl = args[++i];
+        break;
+
+      case '--record':
+        parsed.recordDir = args[++i];
+        break;
+
+      case '--replay':
+        parsed.replayDir = args[++i];
+        break;
+
+      case '--proxy':
+        parsed.proxy = args[++i];
+        break;
+
       case '-o':
       case '--output':
         parsed.output = args[++i];
@@ -145,11 +562,14 @@ function parseArgs() {
         if (arg.startsWith('-')) {
           console.error(`Unknown option: ${arg}`);
           console.error('Use --help for usage information');
-          process.exit(1);
+          process.exit(EXIT_CODES.USAGE);
         }
     }
   }
 
+  // Filters scoped with --tf, parsed like plain options per interval
+  parsed.timeframes = Array.from(timeframes, ([interval, tokens]) => ({ interval, args: parseArgs(tokens) }));
+
   return parsed;
 }
 
@@ -167,6 +587,18 @@ Options:
   -i, --interval <interval>      Kline interval (default: 4h)
                                  Valid: 1m, 3m, 5m, 15m, 30m, 1h, 2h, 4h, 6h, 8h, 12h, 1d, 3d, 1w, 1M
   -n, --limit <count>            Number of candles to fetch (default: 100, max: 1000)
+  --closed-only                  Drop the still-forming last candle before computing indicators
+  --cross-within <n>             Crossovers and flips count if they happened within the last
+                                 n candles (default: 1, the last candle only); results report
+                                 each signal's age. Applies to every --tf interval unless
+                                 overridden (e.g., --tf 1d:cross-within=3)
+
+  Multi-Timeframe Filters:
+  --tf <interval>:<filter>[=<value>]
+                                 Apply one filter or indicator setting on another interval;
+                                 repeat for more. Plain options apply to --interval, and a
+                                 symbol must match on every interval
+                                 (e.g., --tf 1d:price-above=ema:200 --tf 1h:macd-bullish)
 
   RSI Filters:
   --rsi-below <value>            RSI below specified value (e.g., 30 for oversold)
@@ -179,10 +611,11 @@ Options:
   --macd-histogram-positive      MACD histogram positive (true/false)
 
   Moving Average Filters:
-  --ma-golden-cross              MA20 crosses above MA50 (golden cross)
-  --ma-death-cross               MA20 crosses below MA50 (death cross)
-  --ma-above <period>            Price above MA period (20 or 50)
-  --ma-below <period>            Price below MA period (20 or 50)
+  --ma-golden-cross              Fast MA crosses above slow MA (default: SMA20 / SMA50)
+  --ma-death-cross               Fast MA crosses below slow MA
+  --price-above <ma>             Price above a moving average (e.g., ema:200, sma:50 or 50)
+  --price-below <ma>             Price below a moving average (both repeatable)
+  --ma-above, --ma-below <ma>    Same as --price-above / --price-below
 
   Bollinger Bands Filters:
   --bb-lower                     Price touching lower band
@@ -192,16 +625,124 @@ Options:
   --bb-narrow                    Narrow bands (low volatility)
   --bb-wide                      Wide bands (high volatility)
 
+  Trend & Volatility Filters:
+  --adx-above <value>            ADX(14) above value (e.g., 25 for a trending market)
+  --adx-below <value>            ADX(14) below value (e.g., 20 for a ranging market)
+  --atr-pct-above <pct>          ATR(14) above this % of price (e.g., 5)
+  --atr-pct-below <pct>          ATR(14) below this % of price
+  --supertrend-flip <dir>        SuperTrend(10,3) flipped on the last candle (bullish/bearish)
+  --supertrend <dir>             SuperTrend(10,3) currently bullish or bearish
+  --psar-flip <dir>              Parabolic SAR flipped on the last candle (bullish/bearish)
+  --kc-above-upper               Price above Keltner Channel upper (EMA20 ± 2 x ATR10)
+  --kc-below-lower               Price below Keltner Channel lower
+  --donchian-breakout <dir>      Close beyond the previous 20-candle high/low (up/down)
+
+  Oscillator Filters:
+  --stoch-cross-up-below <level> Stochastic %K crosses above %D with both below level (e.g., 20)
+  --stoch-cross-down-above <level>
+                                 Stochastic %K crosses below %D with both above level (e.g., 80)
+  --stoch-below <value>          Stochastic %K below value
+  --stoch-above <value>          Stochastic %K above value
+  --stoch-rsi-cross-up-below <level>, --stoch-rsi-cross-down-above <level>,
+  --stoch-rsi-below <value>, --stoch-rsi-above <value>
+                                 Same for StochRSI
+  --cci-below <value>            CCI below value (e.g., -100 for oversold)
+  --cci-above <value>            CCI above value (e.g., 100 for overbought)
+  --willr-below <value>          Williams %R below value (e.g., -80 for oversold)
+  --willr-above <value>          Williams %R above value (e.g., -20 for overbought)
+  --roc-above <pct>              Rate of change above pct
+  --roc-below <pct>              Rate of change below pct
+
+  Indicator Settings:
+  --rsi-period <n>               RSI period (default: 14)
+  --macd <fast,slow,signal>      MACD periods (default: 12,26,9)
+  --ma-fast <ma>                 Fast MA for crosses (default: sma:20)
+  --ma-slow <ma>                 Slow MA for crosses (default: sma:50)
+  --bb <period,stdDev>           Bollinger Bands (default: 20,2)
+  --atr-period <n>               ATR period (default: 14)
+  --adx-period <n>               ADX period (default: 14)
+  --stoch <k,smooth,d>           Stochastic periods (default: 14,3,3)
+  --stoch-rsi <rsi,stoch,k,d>    StochRSI periods (default: 14,14,3,3)
+  --cci-period <n>               CCI period (default: 20)
+  --willr-period <n>             Williams %R period (default: 14)
+  --roc-period <n>               ROC period (default: 12)
+  Only the indicators used by the filters are calculated. --limit is raised
+  automatically when the chosen periods need more candles.
+
+  Volume Filters:
+  --rvol-above <ratio>           Last candle volume above ratio x the average of the
+                                 previous candles (e.g., 3)
+  --rvol-below <ratio>           Last candle volume below ratio x the average
+  --rvol-period <count>          Candles averaged for relative volume and volume SMA (default: 20)
+  --obv-trend <dir>              OBV above (up) or below (down) its 20-period average
+  --mfi-below <value>            MFI(14) below value (e.g., 20 for oversold)
+  --mfi-above <value>            MFI(14) above value (e.g., 80 for overbought)
+  --cmf-above <value>            CMF(20) above value (e.g., 0.1 for buying pressure)
+  --cmf-below <value>            CMF(20) below value (e.g., -0.1 for selling pressure)
+  --vwap <above|below>           Price above or below the daily session VWAP (UTC)
+
+  Divergence Filters:
+  --divergence <source:kind>     Divergence between price and rsi, macd (histogram) or obv over
+                                 the last two swings; kind is bullish, bearish, hidden-bullish
+                                 or hidden-bearish. Comma-separated entries match any
+                                 (e.g., rsi:bullish,macd:bullish)
+  --divergence-lookback <n>      Candles searched for swings (default: 60)
+  --pivot-strength <n>           Candles on each side of a swing high/low (default: 3)
+
+  Support/Resistance Filters:
+  --near-support <pct>           Price within pct % above the nearest swing support
+  --broke-resistance             Last candle closed above a swing resistance level
+  --level-strength <n>           Candles on each side of a swing high/low (default: 3)
+  --level-tolerance <pct>        Swings within this % merge into one level (default: 0.5)
+
+  Candlestick Pattern Filters:
+  --pattern <names>              Pattern completed on the last candle; comma-separated
+                                 names match any (e.g., bullish-engulfing,hammer)
+                                 Patterns: bullish-engulfing, bearish-engulfing, hammer,
+                                 inverted-hammer, hanging-man, shooting-star, doji,
+                                 dragonfly-doji, gravestone-doji, long-legged-doji,
+                                 morning-star, evening-star, three-white-soldiers,
+                                 three-black-crows, inside-bar, outside-bar,
+                                 bullish-harami, bearish-harami
+
   Price Filters:
   --price-min <value>            Minimum price
   --price-max <value>            Maximum price
 
+  Universe Options:
+  --quote <asset>                Quote asset to scan (default: USDT or BINANCE_DEFAULT_QUOTE),
+                                 e.g. FDUSD, USDC, BTC, TRY
+  --include <list>               Only scan these base assets or symbols (e.g., BTC,ETH,SOL/USDT)
+  --exclude <list>               Skip these base assets or symbols
+  --exclude-stables              Skip stablecoin base assets (USDC, FDUSD, TUSD, ...)
+
   Output Options:
   --max-results <count>          Limit number of results
   --top-volume <count>           Only scan top N by volume
+  --concurrency <count>          Parallel kline requests (default: 10)
+
+  Cache Options:
+  --no-cache                     Do not read or write the local kline and exchangeInfo cache
+  --refresh                      Re-download all candles and rewrite the cache
+                                 Cache directory: $BINANCE_CACHE_DIR or ~/.cache/binance-skill
+
+  API Options:
+  --base-url <url>               REST base URL (default: $BINANCE_API_URL or https://api.binance.com/api/v3)
+  --record <dir>                 Save every API response to <dir> (env: BINANCE_RECORD_DIR)
+  --replay <dir>                 Serve API responses from <dir>, no network (env: BINANCE_REPLAY_DIR)
+  --proxy <url|direct>           Proxy for all requests: http://, https:// or socks5://
+                                 (env: BINANCE_PROXY, HTTPS_PROXY; NO_PROXY is honored)
   -o, --output <format>          Output format: json (default), table
   --output-file <file>           Write output to file
 
+Symbols that cannot be fetched or analyzed are listed after the scan and under
+"failures" in the JSON output.
+
+Exit Codes:
+  0 success, 1 other error, 2 invalid arguments, 3 invalid symbol,
+  4 Binance API error, 5 rate limited or IP banned, 6 network or proxy failure,
+  8 missing or unreadable replay fixture
+
 Examples:
   # Find oversold coins (RSI < 30)
   node binance-screener.js --rsi-below 30
@@ -212,14 +753,55 @@ Examples:
   # Find golden cross with RSI between 40-60
   node binance-screener.js --ma-golden-cross --rsi-between 40,60
 
+  # Find EMA9 / SMA200 golden crosses while price is above EMA200
+  node binance-screener.js --ma-fast ema:9 --ma-slow sma:200 --ma-golden-cross --price-above ema:200
+
+  # Fast RSI and wider Bollinger Bands
+  node binance-screener.js --rsi-period 7 --rsi-below 20 --bb 20,2.5 --bb-below-lower
+
+  # Find strong trends that just turned bullish
+  node binance-screener.js --adx-above 25 --supertrend-flip bullish
+
+  # Find volatile coins (ATR above 5% of price) on the daily chart
+  node binance-screener.js --atr-pct-above 5 --interval 1d
+
+  # Find oversold stochastic crossovers confirmed by CCI
+  node binance-screener.js --stoch-cross-up-below 20 --cci-below -100
+
+  # Find breakouts with real participation (3x volume, OBV rising)
+  node binance-screener.js --donchian-breakout up --rvol-above 3 --obv-trend up --interval 1h
+
+  # Find bullish RSI divergence on the 4h chart
+  node binance-screener.js --divergence rsi:bullish --pivot-strength 5
+
+  # Golden crosses in the last 3 closed daily candles
+  node binance-screener.js --ma-golden-cross --cross-within 3 --closed-only --interval 1d
+
+  # Daily uptrend, 4h oversold and a fresh 1h MACD cross
+  node binance-screener.js --tf 1d:price-above=ema:200 --tf 4h:rsi-below=35 --tf 1h:macd-bullish
+
+  # Find coins sitting just above support, or breaking through resistance
+  node binance-screener.js --near-support 1 --interval 1d
+  node binance-screener.js --broke-resistance --rvol-above 2
+
+  # Find bullish engulfing or hammer candles on the daily chart
+  node binance-screener.js --pattern bullish-engulfing,hammer --interval 1d
+
   # Find coins below Bollinger lower band
   node binance-screener.js --bb-below-lower --interval 1h
 
   # Find oversold coins in top 100 by volume
   node binance-screener.js --rsi-below 30 --top-volume 100
 
+  # Scan FDUSD pairs, skipping stablecoins
+  node binance-screener.js --rsi-below 30 --quote FDUSD --exclude-stables
+
   # Output to file
   node binance-screener.js --rsi-below 30 --output-file results.json
+
+  # Record a scan, then reproduce it offline
+  node binance-screener.js --rsi-below 30 --record fixtures/scan1
+  node binance-screener.js --rsi-below 30 --replay fixtures/scan1
 `);
 }
 
@@ -240,14 +822,106 @@ function formatPrice(price) {
 }
 
 /**
- * Scan symbols and apply filters
+ * Resolve --include/--exclude entries to exchange symbols
+ * Unknown entries are reported with suggestions instead of silently matching nothing
+ * @param {string[]} entries - Entries as typed (e.g., 'BTC', 'SOL/USDT')
+ * @param {string} quote - Quote asset for bare base assets
+ * @param {string} option - Option name for error messages
+ * @param {boolean} cache - Use the on-disk exchangeInfo cache
+ * @returns {Promise<string[]>} Exchange symbols
+ */
+async function resolveEntries(entries, quote, option, cache) {
+  if (entries.length === 0) {
+    return [];
+  }
+
+  const { resolved, errors } = await resolveSymbols(entries, { quote, cache });
+
+  if (errors.length > 0) {
+    throw new InvalidSymbolError(errors.map(({ error }) => `${option}: ${error.message}`).join('\n'), {
+      symbol: errors[0].input,
+      suggestions: errors[0].error.suggestions
+    });
+  }
+
+  return resolved.map(r => r.symbol);
+}
+
+/**
+ * Build the intervals to evaluate with their filters and indicator specs
+ * Plain options apply to --interval; each --tf interval has its own, except
+ * --cross-within, which is the default of every interval. Intervals without
+ * filters are skipped
+ * @param {Object} args - Parsed arguments
+ * @returns {Object[]} [{ interval, filters, spec, minCandles, limit }]
+ */
+function getTimeframes(args) {
+  const scopes = [{ interval: args.interval, args }, ...args.timeframes];
+
+  return scopes
+    .map(({ interval, args: scoped }) => {
+      const filters = parseFiltersFromArgs(scoped);
+      const spec = selectIndicatorSpec(filters, { crosses: args.settings.crosses, ...scoped.settings });
+      const minCandles = getMinimumCandles(spec);
+      // --closed-only fetches one more candle to make up for the one it drops
+      const limit = Math.min(Math.max(args.limit, minCandles) + (args.closedOnly ? 1 : 0), 1000);
+      return { interval, filters, spec, minCandles, limit };
+    })
+    .filter(tf => Object.keys(tf.filters).length > 0);
+}
+
+/**
+ * Format the filters of every interval (e.g., '1d | Price > EMA200 + 4h | RSI < 35')
+ * @param {Object[]} timeframes - Timeframes from getTimeframes()
+ * @returns {string} Description
  */
-async function scanSymbols(args) {
-  console.log(`Fetching USDT trading pairs...`);
+function formatTimeframeFilters(timeframes) {
+  if (timeframes.length === 1) {
+    return formatFilters(timeframes[0].filters);
+  }
+  return timeframes.map(tf => `${tf.interval} | ${formatFilters(tf.filters)}`).join(' + ');
+}
 
-  // Get all USDT pairs
-  let symbols = await getAllUSDTPairs();
-  console.log(`Found ${symbols.length} USDT trading pairs`);
+/**
+ * Split getLatestIndicators() output into what results report
+ * Only the indicators in the spec are present
+ * @param {Object} indicators - Output of getLatestIndicators()
+ * @returns {Object} { price, indicators, crosses }
+ */
+function summarizeIndicators(indicators) {
+  const { price, crosses, ...values } = indicators;
+  if (Object.keys(values.crossAges).length === 0) {
+    delete values.crossAges;
+  }
+  if (values.stoch) {
+    values.stoch = { k: values.stoch.k, d: values.stoch.d };
+  }
+  if (values.stochRsi) {
+    values.stochRsi = { k: values.stochRsi.k, d: values.stochRsi.d };
+  }
+  return { price, indicators: values, crosses };
+}
+
+/**
+ * Scan symbols and apply filters
+ * @param {Object} args - Parsed arguments
+ * @param {Object[]} timeframes - Timeframes from getTimeframes()
+ */
+async function scanSymbols(args, timeframes) {
+  console.log(`Fetching ${args.quote} trading pairs...`);
+
+  const include = await resolveEntries(args.include, args.quote, '--include', args.cache);
+  const exclude = await resolveEntries(args.exclude, args.quote, '--exclude', args.cache);
+
+  // Select the universe from exchangeInfo metadata
+  let symbols = await getTradingPairs({
+    quoteAsset: args.quote,
+    include,
+    exclude,
+    excludeStables: args.excludeStables,
+    cache: args.cache
+  });
+  console.log(`Found ${symbols.length} ${args.quote} trading pairs`);
 
   // Filter by volume if specified
   if (args.topVolume > 0) {
@@ -263,69 +937,110 @@ async function scanSymbols(args) {
     console.log(`Selected top ${symbols.length} by volume`);
   }
 
-  // Parse filters
-  const filters = parseFiltersFromArgs(args);
-  console.log(`Filters: ${formatFilters(filters)}`);
-  console.log(`Interval: ${args.interval}, Candles: ${args.limit}`);
+  console.log(`Filters: ${formatTimeframeFilters(timeframes)}`);
+  for (const tf of timeframes) {
+    console.log(`Interval: ${tf.interval}, Candles: ${tf.limit}`);
+  }
   console.log(`Scanning ${symbols.length} symbols...`);
   console.log();
 
-  // Fetch klines with progress indicator
-  let lastProgress = 0;
-  const klinesMap = await fetchKlinesBatch(
-    symbols,
-    args.interval,
-    args.limit,
-    (processed, total, symbol) => {
-      const progress = Math.floor((processed / total) * 100);
-      if (progress % 10 === 0 && progress !== lastProgress) {
-        process.stdout.write(`\rProgress: ${progress}% (${processed}/${total})`);
-        lastProgress = progress;
-      }
+  const failures = [];
+  const snapshots = new Map();
+  let candidates = symbols;
+  let scanned = 0;
+
+  // Each interval is fetched once per symbol, and only for symbols that
+  // matched every interval before it
+  for (const [index, tf] of timeframes.entries()) {
+    if (timeframes.length > 1) {
+      console.log(`Fetching ${tf.interval} klines for ${candidates.length} symbols...`);
     }
-  );
 
-  console.log(`\rProgress: 100% (${klinesMap.size}/${symbols.length})`);
-  console.log();
+    // Fetch klines with progress indicator
+    let lastProgress = 0;
+    const { results: klinesMap, failures: fetchFailures } = await fetchKlinesBatch(
+      candidates,
+      tf.interval,
+      tf.limit,
+      (processed, total, symbol) => {
+        const progress = Math.floor((processed / total) * 100);
+        if (progress % 10 === 0 && progress !== lastProgress) {
+          process.stdout.write(`\rProgress: ${progress}% (${processed}/${total})`);
+          lastProgress = progress;
+        }
+      },
+      { concurrency: args.concurrency, cache: args.cache, refresh: args.refresh }
+    );
 
-  // Analyze symbols
-  const results = [];
-  let scanned = 0;
+    console.log(`\rProgress: 100% (${klinesMap.size}/${candidates.length})`);
+    console.log();
 
-  for (const [symbol, klines] of klinesMap) {
-    scanned++;
+    // Nothing could be fetched: report the first error instead of an empty result
+    if (klinesMap.size === 0 && fetchFailures.size > 0) {
+      throw fetchFailures.values().next().value;
+    }
 
-    // Need at least 100 candles for MA50
-    if (klines.length < 100) {
-      continue;
+    // Symbols that could not be analyzed, with the reason
+    const prefix = timeframes.length > 1 ? `${tf.interval}: ` : '';
+    for (const [symbol, error] of fetchFailures) {
+      failures.push({ symbol, reason: error.name, message: prefix + error.message });
     }
 
-    const { opens, highs, lows, closes } = parseKlines(klines);
-
-    try {
-      const indicators = getLatestIndicators(closes, highs, lows);
-
-      if (matchesFilters(indicators, filters)) {
-        results.push({
-          symbol,
-          price: indicators.price,
-          indicators: {
-            rsi: indicators.rsi,
-            macd: indicators.macd,
-            ma20: indicators.ma20,
-            ma50: indicators.ma50,
-            bollinger: indicators.bollinger
-          },
-          crosses: indicators.crosses,
-          score: calculateScore(indicators)
-        });
+    // Analyze symbols
+    const matched = [];
+
+    for (const [symbol, fetched] of klinesMap) {
+      if (index === 0) {
+        scanned++;
+      }
+
+      // The in-progress candle can show a cross that is gone by its close
+      const klines = args.closedOnly ? dropOpenCandle(fetched) : fetched;
+
+      // Newly listed symbols may not have enough history for the chosen periods
+      if (klines.length < tf.minCandles) {
+        failures.push({ symbol, reason: 'InsufficientData', message: `${prefix}Only ${klines.length} candles, need ${tf.minCandles}` });
+        continue;
+      }
+
+      const { times, opens, highs, lows, closes, volumes } = parseKlines(klines);
+
+      try {
+        const indicators = getLatestIndicators(closes, highs, lows, volumes, { spec: tf.spec, times, opens });
+
+        if (matchesFilters(indicators, tf.filters)) {
+          snapshots.set(symbol, [...(snapshots.get(symbol) || []), indicators]);
+          matched.push(symbol);
+        }
+      } catch (error) {
+        failures.push({ symbol, reason: 'CalculationError', message: prefix + error.message });
       }
-    } catch (error) {
-      // Skip symbols with calculation errors
-      continue;
+    }
+
+    candidates = matched;
+    if (candidates.length === 0) {
+      break;
     }
   }
 
+  const results = candidates.map(symbol => {
+    const frames = snapshots.get(symbol).map(summarizeIndicators);
+    const [first] = frames;
+    const result = {
+      symbol,
+      price: first.price,
+      indicators: first.indicators,
+      crosses: first.crosses,
+      score: snapshots.get(symbol).reduce((sum, indicators) => sum + calculateScore(indicators), 0)
+    };
+
+    // Per-interval snapshots, in --interval then --tf order
+    if (timeframes.length > 1) {
+      result.timeframes = Object.fromEntries(timeframes.map((tf, i) => [tf.interval, frames[i]]));
+    }
+    return result;
+  });
+
   // Sort by score
   results.sort((a, b) => b.score - a.score);
 
@@ -336,30 +1051,68 @@ async function scanSymbols(args) {
 
   return {
     timestamp: new Date().toISOString(),
-    interval: args.interval,
-    filters,
+    interval: timeframes[0].interval,
+    filters: timeframes[0].filters,
+    spec: timeframes[0].spec,
+    timeframes,
     results: finalResults,
+    totalSymbols: symbols.length,
     totalScanned: scanned,
-    matchedCount: results.length
+    matchedCount: results.length,
+    failures
   };
 }
 
+/**
+ * Print symbols that could not be analyzed, grouped by reason
+ * @param {Object[]} failures - [{ symbol, reason, message }]
+ * @param {number} total - Number of symbols in the scan
+ */
+function reportFailures(failures, total) {
+  if (failures.length === 0) {
+    return;
+  }
+
+  const groups = new Map();
+  for (const failure of failures) {
+    if (!groups.has(failure.reason)) {
+      groups.set(failure.reason, []);
+    }
+    groups.get(failure.reason).push(failure);
+  }
+
+  console.error(`${failures.length} of ${total} symbols could not be analyzed:`);
+  for (const [reason, group] of groups) {
+    const symbols = group.slice(0, 10).map(f => f.symbol).join(', ');
+    const more = group.length > 10 ? ` and ${group.length - 10} more` : '';
+    console.error(`  ${reason} (${group.length}): ${group[0].message}`);
+    console.error(`    ${symbols}${more}`);
+  }
+  console.error();
+}
+
 /**
  * Output results as JSON
  */
 async function outputJSON(data, outputFile) {
   // Format for output - remove internal crosses/score fields if not needed
+  const multi = data.timeframes.length > 1;
   const output = {
     timestamp: data.timestamp,
-    interval: data.interval,
-    filters: data.filters,
+    ...(multi
+      ? { timeframes: data.timeframes.map(tf => ({ interval: tf.interval, filters: tf.filters, indicatorSpec: tf.spec })) }
+      : { interval: data.interval, filters: data.filters, indicatorSpec: data.spec }),
     results: data.results.map(r => ({
       symbol: r.symbol,
       price: r.price,
-      indicators: r.indicators
+      ...(multi
+        ? { timeframes: Object.fromEntries(Object.entries(r.timeframes).map(([interval, tf]) => [interval, tf.indicators])) }
+        : { indicators: r.indicators })
     })),
     totalScanned: data.totalScanned,
-    matchedCount: data.matchedCount
+    matchedCount: data.matchedCount,
+    failedCount: data.failures.length,
+    failures: data.failures
   };
 
   const json = JSON.stringify(output, null, 2);
@@ -373,14 +1126,129 @@ async function outputJSON(data, outputFile) {
   }
 }
 
+/**
+ * Format the table lines of the indicators that were calculated
+ * @param {Object} ind - Indicator values of a result
+ * @param {Object} spec - Indicator spec of the scan
+ * @returns {string[]} Lines
+ */
+function formatIndicatorLines(ind, spec) {
+  const lines = [];
+  const join = parts => parts.filter(Boolean).join(' | ');
+
+  if (ind.rsi !== undefined) {
+    lines.push(`RSI(${spec.rsi.period}):`.padEnd(10) + ind.rsi.toFixed(1));
+  }
+  if (ind.macd) {
+    lines.push(`MACD:     ${ind.macd.value.toFixed(2)} | Signal: ${ind.macd.signal.toFixed(2)} | Hist: ${ind.macd.histogram.toFixed(2)}`);
+  }
+
+  const mas = [];
+  if (ind.maFast !== undefined) {
+    mas.push(`${formatMALabel(spec.maCross.fast)}: $${formatPrice(ind.maFast)}`);
+    mas.push(`${formatMALabel(spec.maCross.slow)}: $${formatPrice(ind.maSlow)}`);
+  }
+  for (const [key, value] of Object.entries(ind.movingAverages || {})) {
+    mas.push(`${formatMALabel(parseMovingAverage(key))}: $${formatPrice(value)}`);
+  }
+  if (mas.length > 0) {
+    lines.push(`MA:       ${mas.join(' | ')}`);
+  }
+
+  if (ind.bollinger) {
+    lines.push(`BB:       Upper: $${formatPrice(ind.bollinger.upper)} | Mid: $${formatPrice(ind.bollinger.middle)} | Lower: $${formatPrice(ind.bollinger.lower)}`);
+  }
+
+  const volatility = join([
+    ind.atr !== undefined && `ATR(${spec.atr.period}): $${formatPrice(ind.atr)} (${ind.atrPct.toFixed(2)}%)`,
+    ind.adx && `ADX(${spec.adx.period}): ${ind.adx.value.toFixed(1)} (+DI ${ind.adx.plusDI.toFixed(1)} / -DI ${ind.adx.minusDI.toFixed(1)})`
+  ]);
+  if (volatility) {
+    lines.push(`Range:    ${volatility}`);
+  }
+
+  const oscillators = join([
+    ind.stoch && `Stoch ${ind.stoch.k.toFixed(1)}/${ind.stoch.d.toFixed(1)}`,
+    ind.stochRsi && `StochRSI ${ind.stochRsi.k.toFixed(1)}/${ind.stochRsi.d.toFixed(1)}`,
+    ind.cci !== undefined && `CCI: ${ind.cci.toFixed(0)}`,
+    ind.williamsR !== undefined && `%R: ${ind.williamsR.toFixed(1)}`,
+    ind.roc !== undefined && `ROC: ${ind.roc.toFixed(2)}%`
+  ]);
+  if (oscillators) {
+    lines.push(`Osc:      ${oscillators}`);
+  }
+
+  const volume = join([
+    ind.rvol !== undefined && `RVOL ${ind.rvol.toFixed(2)}x`,
+    ind.obv && `OBV ${ind.obv.trend}`,
+    ind.mfi !== undefined && `MFI: ${ind.mfi.toFixed(1)}`,
+    ind.cmf !== undefined && `CMF: ${ind.cmf.toFixed(3)}`,
+    ind.vwap && ind.vwap.session !== null && `VWAP: $${formatPrice(ind.vwap.session)}`
+  ]);
+  if (volume) {
+    lines.push(`Volume:   ${volume}`);
+  }
+
+  const trend = join([
+    ind.supertrend && `SuperTrend ${ind.supertrend.direction} @ $${formatPrice(ind.supertrend.value)}`,
+    ind.psar && `PSAR ${ind.psar.direction} @ $${formatPrice(ind.psar.value)}`,
+    ind.keltner && `KC $${formatPrice(ind.keltner.lower)} - $${formatPrice(ind.keltner.upper)}`,
+    ind.donchian && `Donchian $${formatPrice(ind.donchian.lower)} - $${formatPrice(ind.donchian.upper)}`
+  ]);
+  if (trend) {
+    lines.push(`Trend:    ${trend}`);
+  }
+
+  if (ind.levels) {
+    const { support, resistance } = ind.levels;
+    const levels = join([
+      support && `Support $${formatPrice(support.price)} (${support.touches}x, ${ind.levels.supportDistancePct.toFixed(2)}% below)`,
+      resistance && `Resistance $${formatPrice(resistance.price)} (${resistance.touches}x)`
+    ]);
+    lines.push(`Levels:   ${levels || 'no swings'}`);
+  }
+
+  return lines;
+}
+
+/**
+ * List the crossovers, flips, patterns and divergences of one snapshot
+ * @param {Object} indicators - Indicator values
+ * @param {Object} crosses - Crossover flags
+ * @returns {string[]} Signal names
+ */
+function collectSignals(indicators, crosses) {
+  const signals = [];
+  const ages = indicators.crossAges || {};
+  const age = name => (ages[name] > 0 ? ` (${ages[name]} bar${ages[name] > 1 ? 's' : ''} ago)` : '');
+  if (crosses.goldenCross) signals.push('Golden Cross' + age('goldenCross'));
+  if (crosses.deathCross) signals.push('Death Cross' + age('deathCross'));
+  if (crosses.macdBullish) signals.push('MACD Bullish' + age('macdBullish'));
+  if (crosses.macdBearish) signals.push('MACD Bearish' + age('macdBearish'));
+  if (crosses.stochBullish) signals.push('Stoch Bullish' + age('stochBullish'));
+  if (crosses.stochBearish) signals.push('Stoch Bearish' + age('stochBearish'));
+  if (crosses.superTrendFlip) signals.push(`SuperTrend ${crosses.superTrendFlip === 'bullish' ? 'Bullish' : 'Bearish'}${age('superTrendFlip')}`);
+  if (crosses.psarFlip) signals.push(`PSAR ${crosses.psarFlip === 'bullish' ? 'Bullish' : 'Bearish'}${age('psarFlip')}`);
+  if (crosses.donchianBreakout) signals.push(`Donchian Breakout ${crosses.donchianBreakout === 'up' ? 'Up' : 'Down'}`);
+  if (indicators.levels && indicators.levels.brokeResistance) {
+    signals.push(`Broke Resistance $${formatPrice(indicators.levels.brokeResistance.price)}`);
+  }
+  for (const pattern of indicators.patterns || []) signals.push(formatPatternName(pattern.name));
+  for (const [source, found] of Object.entries(indicators.divergences || {})) {
+    for (const d of found) signals.push(`${source.toUpperCase()} ${formatPatternName(getDivergenceKind(d))} Divergence`);
+  }
+  return signals;
+}
+
 /**
  * Output results as table
  */
 function outputTable(data) {
   console.log(`\n═══════════════════════════════════════════════════════════════`);
-  console.log(`  Screener Results - ${data.interval} | ${formatFilters(data.filters)}`);
+  const title = data.timeframes.length > 1 ? formatTimeframeFilters(data.timeframes) : `${data.interval} | ${formatFilters(data.filters)}`;
+  console.log(`  Screener Results - ${title}`);
   console.log(`═══════════════════════════════════════════════════════════════`);
-  console.log(`  Scanned: ${data.totalScanned} | Matched: ${data.matchedCount}`);
+  console.log(`  Scanned: ${data.totalScanned} | Matched: ${data.matchedCount} | Failed: ${data.failures.length}`);
   console.log(`═══════════════════════════════════════════════════════════════`);
 
   if (data.results.length === 0) {
@@ -393,19 +1261,25 @@ function outputTable(data) {
     console.log(`\n  ${r.symbol}`);
     console.log(`  ───────────────────────────────────────────────────────────`);
     console.log(`  Price:    $${formatPrice(r.price)}`);
-    console.log(`  RSI(14):  ${r.indicators.rsi.toFixed(1)}`);
-    console.log(`  MACD:     ${r.indicators.macd.value.toFixed(2)} | Signal: ${r.indicators.macd.signal.toFixed(2)} | Hist: ${r.indicators.macd.histogram.toFixed(2)}`);
-    console.log(`  MA20:     $${formatPrice(r.indicators.ma20)} | MA50: $${formatPrice(r.indicators.ma50)}`);
-    console.log(`  BB:       Upper: $${formatPrice(r.indicators.bollinger.upper)} | Mid: $${formatPrice(r.indicators.bollinger.middle)} | Lower: $${formatPrice(r.indicators.bollinger.lower)}`);
-
-    const signals = [];
-    if (r.crosses.goldenCross) signals.push('Golden Cross');
-    if (r.crosses.deathCross) signals.push('Death Cross');
-    if (r.crosses.macdBullish) signals.push('MACD Bullish');
-    if (r.crosses.macdBearish) signals.push('MACD Bearish');
-
-    if (signals.length > 0) {
-      console.log(`  Signals:  ${signals.join(', ')}`);
+
+    // One block per interval when filters span several
+    const frames = r.timeframes
+      ? data.timeframes.map(tf => ({ label: tf.interval, spec: tf.spec, ...r.timeframes[tf.interval] }))
+      : [{ label: null, spec: data.spec, indicators: r.indicators, crosses: r.crosses }];
+
+    for (const frame of frames) {
+      const indent = frame.label ? '    ' : '  ';
+      if (frame.label) {
+        console.log(`  [${frame.label}]`);
+      }
+      for (const line of formatIndicatorLines(frame.indicators, frame.spec)) {
+        console.log(`${indent}${line}`);
+      }
+
+      const signals = collectSignals(frame.indicators, frame.crosses);
+      if (signals.length > 0) {
+        console.log(`${indent}Signals:  ${signals.join(', ')}`);
+      }
     }
   }
 
@@ -422,24 +1296,56 @@ function outputTable(data) {
 async function main() {
   const args = parseArgs();
 
+  try {
+    configureApi({ baseUrl: args.baseUrl, recordDir: args.recordDir, replayDir: args.replayDir });
+    configureTransport({ proxy: args.proxy });
+  } catch (error) {
+    console.error(error.message);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
   // Validate interval
   if (!INTERVALS.includes(args.interval)) {
     console.error(`Invalid interval: ${args.interval}`);
     console.error(`Valid intervals: ${INTERVALS.join(', ')}`);
-    process.exit(1);
+    process.exit(EXIT_CODES.USAGE);
   }
 
   // Validate limit
   if (args.limit < 50 || args.limit > 1000) {
     console.error(`Limit must be between 50 and 1000`);
-    process.exit(1);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  // Validate concurrency
+  if (!(args.concurrency >= 1 && args.concurrency <= 50)) {
+    console.error(`Concurrency must be between 1 and 50`);
+    process.exit(EXIT_CODES.USAGE);
   }
 
   // Check if any filters are specified
-  const hasFilters = parseFiltersFromArgs(args);
-  if (Object.keys(hasFilters).length === 0) {
+  const timeframes = getTimeframes(args);
+  if (timeframes.length === 0) {
     console.error(`Please specify at least one filter. Use --help for options.`);
-    process.exit(1);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  // Plain options already apply to --interval
+  if (timeframes.filter(tf => tf.interval === args.interval).length > 1) {
+    console.error(`--tf ${args.interval} repeats --interval ${args.interval}; give its filters as plain options`);
+    process.exit(EXIT_CODES.USAGE);
+  }
+
+  // Fetch enough candles for the chosen periods
+  for (const tf of timeframes) {
+    const candles = timeframes.length > 1 ? `${tf.interval} candles` : 'candles';
+    if (tf.minCandles + (args.closedOnly ? 1 : 0) > 1000) {
+      console.error(`The chosen indicator periods need ${tf.minCandles} ${candles}, more than the maximum of 1000`);
+      process.exit(EXIT_CODES.USAGE);
+    }
+    if (tf.minCandles > args.limit) {
+      console.log(`Fetching ${tf.limit} ${candles} (--limit ${args.limit} is too short for the chosen periods)`);
+    }
   }
 
   // Check for output file argument
@@ -452,10 +1358,11 @@ async function main() {
   const startTime = Date.now();
 
   try {
-    const data = await scanSymbols(args);
+    const data = await scanSymbols(args, timeframes);
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
     console.log(`Scan completed in ${elapsed}s`);
+    reportFailures(data.failures, data.totalSymbols);
 
     if (args.output === 'table') {
       outputTable(data);
@@ -464,8 +1371,8 @@ async function main() {
     }
 
   } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+    console.error(formatError(error));
+    process.exit(getExitCode(error));
   }
 }
 
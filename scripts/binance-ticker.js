@@ -6,18 +6,49 @@
  *
  * Usage:
  *   binance-ticker [symbol]      - Get price for a symbol (default: BTCUSDT)
- *   binance-ticker BTC           - Automatically appends USDT
+ *   binance-ticker BTC           - Resolves to BTCUSDT (or the --quote asset)
+ *   binance-ticker ETH/BTC       - Explicit base/quote pair
  *   binance-ticker --list        - List popular trading pairs
+ *   binance-ticker --balances    - Spot balances in USDT (needs an API key)
  */
 
-import fetch from 'node-fetch';
-import { HttpsProxyAgent } from 'https-proxy-agent';
-
-const BASE_URL = 'https://api.binance.com/api/v3';
-
-// Proxy configuration - can be overridden via environment variable
-const PROXY_URL = process.env.HTTPS_PROXY || process.env.HTTP_PROXY || 'http://127.0.0.1:7897';
-const agent = new HttpsProxyAgent(PROXY_URL);
+import {
+  request,
+  fetchExchangeInfo,
+  fetchKlinesRange,
+  fetchTickers24hr,
+  fetchPrices,
+  fetchDepth,
+  fetchBookTicker,
+  fetchAggTrades,
+  parseKlines,
+  configureApi,
+  getReferenceTime
+} from './lib/api.js';
+import { configureTransport } from './lib/transport.js';
+import { UsageError, InvalidSymbolError, EXIT_CODES, formatError, getExitCode } from './lib/errors.js';
+import { analyzeOrderBook } from './lib/orderbook.js';
+import { detectPatterns, formatPatternName } from './lib/patterns.js';
+import { PIVOT_METHODS, calculatePivotPoints, findSupportResistance, calculateFibonacciLevels } from './lib/levels.js';
+import { normalizeTrades, analyzeTakerFlow, findLargeTrades, calculateVolumeProfile } from './lib/trades.js';
+import {
+  fetchPremiumIndex,
+  fetchFundingRateHistory,
+  fetchOpenInterest,
+  fetchOpenInterestHistory,
+  fetchLongShortRatio,
+  FUTURES_DATA_PERIODS
+} from './lib/futures.js';
+import { resolveSymbol, resolveSymbols, getDefaultQuote, setDefaultQuote } from './lib/symbols.js';
+import {
+  fetchAccount,
+  fetchOpenOrders,
+  fetchMyTrades,
+  getUsdtRate,
+  valueBalances,
+  valueOrders,
+  summarizeTrades
+} from './lib/account.js';
 
 // Popular trading pairs for --list option
 const POPULAR_PAIRS = [
@@ -78,73 +109,51 @@ function formatPrice(symbol, price, change = null) {
   return output;
 }
 
+/**
+ * Resolve a symbol argument; unknown symbols throw InvalidSymbolError with suggestions
+ * @param {string} input - Symbol as typed (e.g., 'btc', 'ETH/BTC')
+ * @param {string} market - 'spot' or 'futures' (default: 'spot')
+ * @returns {Promise<string>} Exchange symbol
+ */
+async function resolveInput(input, market = 'spot') {
+  const { symbol } = await resolveSymbol(input, { market });
+  return symbol;
+}
+
 /**
  * Fetch single ticker price
  */
 async function getTickerPrice(symbol) {
-  // Normalize symbol - append USDT if no suffix provided
-  let normalizedSymbol = symbol.toUpperCase();
-  if (!normalizedSymbol.includes('USDT') && !normalizedSymbol.includes('BUSD') && !normalizedSymbol.includes('USDC')) {
-    normalizedSymbol += 'USDT';
-  }
-
-  try {
-    const response = await fetch(`${BASE_URL}/ticker/24hr?symbol=${normalizedSymbol}`, { agent });
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.msg || `Symbol ${normalizedSymbol} not found`);
-    }
-
-    const data = await response.json();
-    const priceChangePercent = parseFloat(data.priceChangePercent);
+  const normalizedSymbol = await resolveInput(symbol);
 
-    console.log(formatPrice(data.symbol, data.lastPrice, priceChangePercent));
-    return data;
+  const data = await request('/ticker/24hr', { symbol: normalizedSymbol });
+  const priceChangePercent = parseFloat(data.priceChangePercent);
 
-  } catch (error) {
-    console.error(`Error fetching ${normalizedSymbol}:`, error.message);
-    process.exit(1);
-  }
+  console.log(formatPrice(data.symbol, data.lastPrice, priceChangePercent));
+  return data;
 }
 
 /**
  * Fetch multiple ticker prices
  */
 async function getMultiplePrices(symbols) {
-  const normalizedSymbols = symbols.map(s => {
-    const upper = s.toUpperCase();
-    if (!upper.includes('USDT') && !upper.includes('BUSD') && !upper.includes('USDC')) {
-      return upper + 'USDT';
-    }
-    return upper;
-  });
+  const { resolved, errors } = await resolveSymbols(symbols);
 
-  try {
-    // Fetch each symbol individually for better error handling
-    const results = await Promise.allSettled(
-      normalizedSymbols.map(async (symbol) => {
-        const response = await fetch(`${BASE_URL}/ticker/24hr?symbol=${symbol}`, { agent });
-        if (!response.ok) {
-          throw new Error(`Failed to fetch ${symbol}`);
-        }
-        return response.json();
-      })
-    );
-
-    for (const result of results) {
-      if (result.status === 'fulfilled') {
-        const ticker = result.value;
-        const priceChangePercent = parseFloat(ticker.priceChangePercent);
-        console.log(formatPrice(ticker.symbol, ticker.lastPrice, priceChangePercent));
-      } else {
-        console.error(`  Error: ${result.reason.message}`);
-      }
-    }
+  for (const { error } of errors) {
+    console.error(`  Error: ${error.message}`);
+  }
 
-  } catch (error) {
-    console.error('Error fetching prices:', error.message);
-    process.exit(1);
+  if (resolved.length === 0) {
+    process.exitCode = EXIT_CODES.INVALID_SYMBOL;
+    return;
+  }
+
+  // One bulk request for all resolved symbols
+  const tickers = await fetchTickers24hr([...new Set(resolved.map(r => r.symbol))]);
+
+  for (const ticker of tickers) {
+    const priceChangePercent = parseFloat(ticker.priceChangePercent);
+    console.log(formatPrice(ticker.symbol, ticker.lastPrice, priceChangePercent));
   }
 }
 
@@ -153,94 +162,649 @@ async function getMultiplePrices(symbols) {
  * @param {string} symbol - Trading symbol
  * @param {string} interval - Kline interval (e.g., '15m', '1h', '1d')
  * @param {number} limit - Number of candles to fetch (max 1000)
+ * @param {Object} range - Optional date range { from, to } in ms (to: null for up to now); overrides limit
  */
-async function getKlines(symbol, interval = '15m', limit = 96) {
-  // Normalize symbol
-  let normalizedSymbol = symbol.toUpperCase();
-  if (!normalizedSymbol.includes('USDT') && !normalizedSymbol.includes('BUSD') && !normalizedSymbol.includes('USDC')) {
-    normalizedSymbol += 'USDT';
-  }
+async function getKlines(symbol, interval = '15m', limit = 96, range = null) {
+  const normalizedSymbol = await resolveInput(symbol);
 
   // Validate interval
   if (!INTERVALS[interval]) {
-    console.error(`Invalid interval: ${interval}`);
-    console.error(`Available intervals: ${Object.keys(INTERVALS).join(', ')}`);
-    process.exit(1);
+    throw new UsageError(`Invalid interval: ${interval}\nAvailable intervals: ${Object.keys(INTERVALS).join(', ')}`);
   }
 
   // Limit max 1000
   limit = Math.min(limit, 1000);
 
-  try {
-    const response = await fetch(
-      `${BASE_URL}/klines?symbol=${normalizedSymbol}&interval=${interval}&limit=${limit}`,
-      { agent }
-    );
-
-    if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.msg || `Failed to fetch klines for ${normalizedSymbol}`);
+  const klines = range
+    ? await fetchKlinesRange(normalizedSymbol, interval, range.from, range.to)
+    : await request('/klines', { symbol: normalizedSymbol, interval, limit });
+
+  if (klines.length === 0) {
+    throw new Error(`No klines for ${normalizedSymbol} in the requested period`);
+  }
+
+  // Kline data format: [openTime, open, high, low, close, volume, closeTime, ...]
+  // Calculate statistics
+  const opens = klines.map(k => parseFloat(k[1]));
+  const highs = klines.map(k => parseFloat(k[2]));
+  const lows = klines.map(k => parseFloat(k[3]));
+  const closes = klines.map(k => parseFloat(k[4]));
+  const volumes = klines.map(k => parseFloat(k[5]));
+
+  // reduce instead of spread: ranged downloads can exceed the argument limit
+  const highPrice = highs.reduce((a, b) => Math.max(a, b), -Infinity);
+  const lowPrice = lows.reduce((a, b) => Math.min(a, b), Infinity);
+  const totalVolume = volumes.reduce((a, b) => a + b, 0);
+  const firstOpen = opens[0];
+  const lastClose = closes[closes.length - 1];
+  const change = ((lastClose - firstOpen) / firstOpen) * 100;
+
+  // Format output
+  console.log(`\n${normalizedSymbol} - ${INTERVALS[interval]} Kline Data (${klines.length} candles)`);
+  console.log('═'.repeat(60));
+  console.log(`  Period:     ${formatTimestamp(klines[0][0])} → ${formatTimestamp(klines[klines.length - 1][6])}`);
+  console.log(`  Open:       $${formatPriceValue(firstOpen)}`);
+  console.log(`  Close:      $${formatPriceValue(lastClose)} (${change >= 0 ? '+' : ''}${change.toFixed(2)}%)`);
+  console.log(`  High:       $${formatPriceValue(highPrice)}`);
+  console.log(`  Low:        $${formatPriceValue(lowPrice)}`);
+  console.log(`  Volume:     ${formatVolume(totalVolume)}`);
+  console.log();
+
+  // Show recent candles
+  const showCount = Math.min(5, klines.length);
+  const firstShown = klines.length - showCount;
+  const patterns = detectPatterns(opens, highs, lows, closes, { from: firstShown });
+  console.log(`  Recent ${showCount} candles:`);
+  console.log('  ' + '─'.repeat(50));
+
+  for (let i = klines.length - showCount; i < klines.length; i++) {
+    const k = klines[i];
+    const open = parseFloat(k[1]);
+    const high = parseFloat(k[2]);
+    const low = parseFloat(k[3]);
+    const close = parseFloat(k[4]);
+    const candleChange = ((close - open) / open) * 100;
+
+    const time = new Date(k[0]).toLocaleString('zh-CN', {
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+
+    const arrow = close >= open ? '🟢' : '🔴';
+    const names = patterns.filter(p => p.index === i).map(p => `${formatPatternName(p.name)} (${p.direction})`);
+    const suffix = names.length > 0 ? `  ${names.join(', ')}` : '';
+    console.log(`    ${time}  O:${formatPriceValue(open)} H:${formatPriceValue(high)} L:${formatPriceValue(low)} C:${formatPriceValue(close)} ${arrow} ${candleChange >= 0 ? '+' : ''}${candleChange.toFixed(2)}%${suffix}`);
+  }
+  console.log();
+
+  return klines;
+}
+
+/**
+ * Show key levels: pivot points, swing support/resistance and Fibonacci levels
+ * @param {string} symbol - Trading symbol
+ * @param {Object} options - { interval, limit, pivotPeriod, strength, tolerance, json }
+ * @returns {Promise<Object>} Levels
+ */
+async function getLevels(symbol, options = {}) {
+  const { interval = '4h', limit = 200, pivotPeriod = '1d', strength = 3, tolerance = 0.5, json = false } = options;
+  const normalizedSymbol = await resolveInput(symbol);
+
+  for (const value of [interval, pivotPeriod]) {
+    if (!INTERVALS[value]) {
+      throw new UsageError(`Invalid interval: ${value}\nAvailable intervals: ${Object.keys(INTERVALS).join(', ')}`);
     }
+  }
 
-    const klines = await response.json();
-
-    // Kline data format: [openTime, open, high, low, close, volume, closeTime, ...]
-    // Calculate statistics
-    const opens = klines.map(k => parseFloat(k[1]));
-    const highs = klines.map(k => parseFloat(k[2]));
-    const lows = klines.map(k => parseFloat(k[3]));
-    const closes = klines.map(k => parseFloat(k[4]));
-    const volumes = klines.map(k => parseFloat(k[5]));
-
-    const highPrice = Math.max(...highs);
-    const lowPrice = Math.min(...lows);
-    const totalVolume = volumes.reduce((a, b) => a + b, 0);
-    const firstOpen = opens[0];
-    const lastClose = closes[closes.length - 1];
-    const change = ((lastClose - firstOpen) / firstOpen) * 100;
-
-    // Format output
-    console.log(`\n${normalizedSymbol} - ${INTERVALS[interval]} Kline Data (${klines.length} candles)`);
-    console.log('═'.repeat(60));
-    console.log(`  Period:     ${formatTimestamp(klines[0][0])} → ${formatTimestamp(klines[klines.length - 1][6])}`);
-    console.log(`  Open:       $${formatPriceValue(firstOpen)}`);
-    console.log(`  Close:      $${formatPriceValue(lastClose)} (${change >= 0 ? '+' : ''}${change.toFixed(2)}%)`);
-    console.log(`  High:       $${formatPriceValue(highPrice)}`);
-    console.log(`  Low:        $${formatPriceValue(lowPrice)}`);
-    console.log(`  Volume:     ${formatVolume(totalVolume)}`);
-    console.log();
+  // The last pivot-period candle is still open; pivots use the one before it
+  const [klines, periodKlines] = await Promise.all([
+    request('/klines', { symbol: normalizedSymbol, interval, limit: Math.min(Math.max(limit, 20), 1000) }),
+    request('/klines', { symbol: normalizedSymbol, interval: pivotPeriod, limit: 2 })
+  ]);
 
-    // Show recent candles
-    const showCount = Math.min(5, klines.length);
-    console.log(`  Recent ${showCount} candles:`);
-    console.log('  ' + '─'.repeat(50));
+  if (klines.length === 0) {
+    throw new InvalidSymbolError(`${normalizedSymbol} has no ${interval} candles`, { symbol: normalizedSymbol });
+  }
+  if (periodKlines.length < 2) {
+    throw new UsageError(`Not enough history for ${normalizedSymbol} levels; try a shorter --pivot-period than ${pivotPeriod}`);
+  }
+
+  const { highs, lows, closes } = parseKlines(klines);
+  const price = closes[closes.length - 1];
+  const prior = parseKlines(periodKlines.slice(0, 1));
+  const priorCandle = { high: prior.highs[0], low: prior.lows[0], close: prior.closes[0] };
+
+  const pivots = PIVOT_METHODS.map(method => calculatePivotPoints(priorCandle, method));
+  const levels = findSupportResistance(highs, lows, price, { strength, tolerance });
+  const fibonacci = calculateFibonacciLevels(highs, lows);
+  const withTime = point => ({ ...point, time: klines[point.index][0] });
+
+  const result = {
+    symbol: normalizedSymbol,
+    interval,
+    price,
+    pivotPeriod: { interval: pivotPeriod, openTime: periodKlines[0][0], ...priorCandle },
+    pivots,
+    support: levels.support.map(level => ({ ...level, lastTime: klines[level.lastIndex][0] })),
+    resistance: levels.resistance.map(level => ({ ...level, lastTime: klines[level.lastIndex][0] })),
+    fibonacci: fibonacci && { ...fibonacci, high: withTime(fibonacci.high), low: withTime(fibonacci.low) }
+  };
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+    return result;
+  }
+
+  const distance = level => `${level > price ? '+' : ''}${(((level - price) / price) * 100).toFixed(2)}%`;
+
+  console.log(`\n${normalizedSymbol} - Key Levels (${INTERVALS[interval]}, ${klines.length} candles)`);
+  console.log('═'.repeat(60));
+  console.log(`  Price:      $${formatPriceValue(price)}`);
+  console.log();
 
-    for (let i = klines.length - showCount; i < klines.length; i++) {
-      const k = klines[i];
-      const open = parseFloat(k[1]);
-      const high = parseFloat(k[2]);
-      const low = parseFloat(k[3]);
-      const close = parseFloat(k[4]);
-      const candleChange = ((close - open) / open) * 100;
-
-      const time = new Date(k[0]).toLocaleString('zh-CN', {
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit'
-      });
-
-      const arrow = close >= open ? '🟢' : '🔴';
-      console.log(`    ${time}  O:${formatPriceValue(open)} H:${formatPriceValue(high)} L:${formatPriceValue(low)} C:${formatPriceValue(close)} ${arrow} ${candleChange >= 0 ? '+' : ''}${candleChange.toFixed(2)}%`);
+  console.log(`  Pivot Points (prior ${INTERVALS[pivotPeriod]} from ${formatTimestamp(periodKlines[0][0])}):`);
+  console.log('  ' + '─'.repeat(50));
+  console.log(`    ${''.padEnd(6)}${pivots.map(p => p.method.padStart(14)).join('')}`);
+  for (let i = 3; i >= 0; i--) {
+    const row = pivots.map(p => (p.resistance[i] !== undefined ? formatPriceValue(p.resistance[i]) : '-').padStart(14));
+    if (pivots.some(p => p.resistance[i] !== undefined)) {
+      console.log(`    ${`R${i + 1}`.padEnd(6)}${row.join('')}`);
+    }
+  }
+  console.log(`    ${'P'.padEnd(6)}${pivots.map(p => formatPriceValue(p.pivot).padStart(14)).join('')}`);
+  for (let i = 0; i < 4; i++) {
+    const row = pivots.map(p => (p.support[i] !== undefined ? formatPriceValue(p.support[i]) : '-').padStart(14));
+    if (pivots.some(p => p.support[i] !== undefined)) {
+      console.log(`    ${`S${i + 1}`.padEnd(6)}${row.join('')}`);
+    }
+  }
+  console.log();
+
+  console.log(`  Support / Resistance (swing strength ${strength}, merged within ${tolerance}%):`);
+  console.log('  ' + '─'.repeat(50));
+  for (const level of result.resistance.slice(0, 5).reverse()) {
+    console.log(`    R  $${formatPriceValue(level.price).padEnd(14)} ${distance(level.price).padStart(8)}  ${level.touches} touch${level.touches === 1 ? '' : 'es'}, last ${formatTimestamp(level.lastTime)}`);
+  }
+  console.log(`    ── $${formatPriceValue(price)} (price)`);
+  for (const level of result.support.slice(0, 5)) {
+    console.log(`    S  $${formatPriceValue(level.price).padEnd(14)} ${distance(level.price).padStart(8)}  ${level.touches} touch${level.touches === 1 ? '' : 'es'}, last ${formatTimestamp(level.lastTime)}`);
+  }
+  console.log();
+
+  if (fibonacci) {
+    const { high, low } = result.fibonacci;
+    const [from, to] = fibonacci.direction === 'up' ? [low, high] : [high, low];
+    console.log(`  Fibonacci (swing ${fibonacci.direction}: $${formatPriceValue(from.price)} ${formatTimestamp(from.time)} → $${formatPriceValue(to.price)} ${formatTimestamp(to.time)}):`);
+    console.log('  ' + '─'.repeat(50));
+    for (const { ratio, price: level } of fibonacci.retracements) {
+      console.log(`    ${`${(ratio * 100).toFixed(1)}%`.padEnd(8)} $${formatPriceValue(level).padEnd(14)} ${distance(level).padStart(8)}`);
+    }
+    for (const { ratio, price: level } of fibonacci.extensions) {
+      console.log(`    ${`${(ratio * 100).toFixed(1)}%`.padEnd(8)} $${formatPriceValue(level).padEnd(14)} ${distance(level).padStart(8)}  extension`);
     }
     console.log();
+  }
 
-    return klines;
+  return result;
+}
 
-  } catch (error) {
-    console.error(`Error fetching klines:`, error.message);
-    process.exit(1);
+/**
+ * Show order book depth: spread, liquidity bands and imbalance
+ * @param {string} symbol - Trading symbol
+ * @param {number} limit - Number of book levels per side (max 5000)
+ * @param {boolean} json - Print JSON instead of a table
+ */
+async function getDepth(symbol, limit = 1000, json = false) {
+  const normalizedSymbol = await resolveInput(symbol);
+
+  limit = Math.min(Math.max(limit, 5), 5000);
+
+  const [depth, bookTicker] = await Promise.all([
+    fetchDepth(normalizedSymbol, limit),
+    fetchBookTicker(normalizedSymbol)
+  ]);
+
+  const book = analyzeOrderBook(depth, bookTicker);
+
+  if (json) {
+    console.log(JSON.stringify({
+      symbol: normalizedSymbol,
+      timestamp: new Date().toISOString(),
+      depthLimit: limit,
+      ...book
+    }, null, 2));
+    return book;
+  }
+
+  console.log(`\n${normalizedSymbol} - Order Book (${limit} levels per side)`);
+  console.log('═'.repeat(60));
+  console.log(`  Best Bid:   $${formatPriceValue(book.bestBid)} (${book.bidQty})`);
+  console.log(`  Best Ask:   $${formatPriceValue(book.bestAsk)} (${book.askQty})`);
+  console.log(`  Mid:        $${formatPriceValue(book.mid)}`);
+  console.log(`  Spread:     $${formatPriceValue(book.spread)} (${book.spreadBps.toFixed(2)} bps)`);
+  console.log();
+
+  console.log('  Liquidity around mid (notional):');
+  console.log('  ' + '─'.repeat(56));
+
+  let incomplete = false;
+  for (const band of book.bands) {
+    const ratio = band.ratio !== null ? band.ratio.toFixed(2) : '-';
+    const imbalance = `${band.imbalance >= 0 ? '+' : ''}${(band.imbalance * 100).toFixed(1)}%`;
+    const mark = band.complete ? ' ' : '*';
+    incomplete = incomplete || !band.complete;
+    console.log(`    ±${`${band.pct}%`.padEnd(5)}${mark} Bids: $${formatVolume(band.bidNotional).padEnd(9)} Asks: $${formatVolume(band.askNotional).padEnd(9)} Bid/Ask: ${ratio.padEnd(6)} Imb: ${imbalance}`);
+  }
+
+  if (incomplete) {
+    console.log(`\n  * Fetched depth ends inside this band, totals are a lower bound (try -n 5000)`);
+  }
+  console.log();
+
+  return book;
+}
+
+/**
+ * Analyze aggregated trades: taker flow, large prints and volume profile
+ * @param {string} symbol - Trading symbol
+ * @param {Object} range - Time range { from, to } in ms
+ * @param {Object} options - Analysis options
+ * @param {number} options.large - Large trade notional threshold (default: 100000)
+ * @param {number} options.bins - Volume profile bins (default: 24)
+ * @param {boolean} options.json - Print JSON instead of a table
+ */
+async function getTrades(symbol, range, options = {}) {
+  const { large = 100000, bins = 24, json = false } = options;
+
+  const normalizedSymbol = await resolveInput(symbol);
+
+  const rawTrades = await fetchAggTrades(normalizedSymbol, range.from, range.to, {
+    onPage: (count) => {
+      if (!json) {
+        process.stdout.write(`\r  Fetched ${count} trades...`);
+      }
+    }
+  });
+  if (!json) {
+    process.stdout.write('\r' + ' '.repeat(40) + '\r');
+  }
+
+  if (rawTrades.length === 0) {
+    throw new Error(`No trades for ${normalizedSymbol} in the requested period`);
+  }
+
+  const trades = normalizeTrades(rawTrades);
+  const flow = analyzeTakerFlow(trades);
+  const largeTrades = findLargeTrades(trades, large);
+  const largeFlow = analyzeTakerFlow(largeTrades);
+  const profile = calculateVolumeProfile(trades, bins);
+
+  if (json) {
+    console.log(JSON.stringify({
+      symbol: normalizedSymbol,
+      from: new Date(range.from).toISOString(),
+      to: new Date(range.to).toISOString(),
+      tradeCount: trades.length,
+      flow,
+      largeTrades: {
+        threshold: large,
+        count: largeTrades.length,
+        buyNotional: largeFlow.buyNotional,
+        sellNotional: largeFlow.sellNotional,
+        trades: largeTrades
+      },
+      volumeProfile: profile
+    }, null, 2));
+    return;
+  }
+
+  const pct = (value) => `${(value * 100).toFixed(1)}%`;
+
+  console.log(`\n${normalizedSymbol} - Aggregated Trades (${trades.length} trades)`);
+  console.log('═'.repeat(60));
+  console.log(`  Period:      ${formatTimestamp(range.from)} → ${formatTimestamp(range.to)}`);
+  console.log(`  Taker Buy:   $${formatVolume(flow.buyNotional)} (${flow.buyCount} trades, ${pct(flow.buyRatio)})`);
+  console.log(`  Taker Sell:  $${formatVolume(flow.sellNotional)} (${flow.sellCount} trades, ${pct(1 - flow.buyRatio)})`);
+  console.log(`  Delta:       ${flow.deltaNotional >= 0 ? '+' : '-'}$${formatVolume(Math.abs(flow.deltaNotional))}`);
+  console.log();
+
+  console.log(`  Large prints (≥ $${formatVolume(large)}): ${largeTrades.length} | Buy $${formatVolume(largeFlow.buyNotional)} | Sell $${formatVolume(largeFlow.sellNotional)}`);
+  console.log('  ' + '─'.repeat(56));
+  for (const trade of largeTrades.slice(0, 10)) {
+    const side = trade.side === 'buy' ? '🟢 BUY ' : '🔴 SELL';
+    console.log(`    ${formatTimestamp(trade.time)}  ${side}  $${formatPriceValue(trade.price).padEnd(12)} $${formatVolume(trade.notional)}`);
+  }
+  if (largeTrades.length > 10) {
+    console.log(`    ... and ${largeTrades.length - 10} more`);
+  }
+  console.log();
+
+  console.log(`  Volume profile: POC $${formatPriceValue(profile.poc.price)} | Value area $${formatPriceValue(profile.valueArea.low)} - $${formatPriceValue(profile.valueArea.high)} (${pct(profile.valueArea.volumePct)})`);
+  console.log('  ' + '─'.repeat(56));
+
+  const maxVolume = profile.poc.volume;
+  for (const bin of [...profile.bins].reverse()) {
+    const bar = '█'.repeat(Math.round((bin.volume / maxVolume) * 30));
+    const inValueArea = bin.low >= profile.valueArea.low && bin.high <= profile.valueArea.high;
+    const isPoc = profile.poc.price >= bin.low && profile.poc.price <= bin.high && bin.volume === maxVolume;
+    const mark = isPoc ? ' ◀ POC' : '';
+    console.log(`    ${inValueArea ? '│' : ' '} $${formatPriceValue(bin.low).padEnd(12)} ${bar.padEnd(30)} ${formatVolume(bin.volume)}${mark}`);
+  }
+  console.log();
+}
+
+/**
+ * Show perpetual futures mark price and funding rates
+ * @param {string} symbol - Futures symbol
+ * @param {number} limit - Number of historical funding records
+ * @param {boolean} json - Print JSON instead of a table
+ */
+async function getFunding(symbol, limit = 10, json = false) {
+  const normalizedSymbol = await resolveInput(symbol, 'futures');
+
+  const [premium, history] = await Promise.all([
+    fetchPremiumIndex(normalizedSymbol),
+    fetchFundingRateHistory(normalizedSymbol, { limit: Math.min(Math.max(limit, 2), 1000) })
+  ]);
+
+  // Funding intervals differ per contract (8h, 4h, ...); derive it from the history
+  const intervalHours = history.length >= 2
+    ? Math.round((history[history.length - 1].fundingTime - history[history.length - 2].fundingTime) / 3600000)
+    : 8;
+  const annualized = premium.fundingRate * (24 / intervalHours) * 365;
+  const average = history.length > 0
+    ? history.reduce((sum, r) => sum + r.fundingRate, 0) / history.length
+    : null;
+
+  if (json) {
+    console.log(JSON.stringify({
+      ...premium,
+      fundingIntervalHours: intervalHours,
+      annualizedFundingRate: annualized,
+      averageFundingRate: average,
+      history
+    }, null, 2));
+    return;
+  }
+
+  const rate = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(4)}%`;
+  const premiumPct = ((premium.markPrice - premium.indexPrice) / premium.indexPrice) * 100;
+  // The recorded run's time when replaying
+  const minutesToFunding = Math.max(0, Math.round((premium.nextFundingTime - getReferenceTime()) / 60000));
+
+  console.log(`\n${normalizedSymbol} Perpetual - Funding`);
+  console.log('═'.repeat(60));
+  console.log(`  Mark Price:    $${formatPriceValue(premium.markPrice)}`);
+  console.log(`  Index Price:   $${formatPriceValue(premium.indexPrice)}`);
+  console.log(`  Premium:       ${premiumPct >= 0 ? '+' : ''}${premiumPct.toFixed(4)}%`);
+  console.log(`  Funding Rate:  ${rate(premium.fundingRate)} every ${intervalHours}h (next in ${Math.floor(minutesToFunding / 60)}h ${minutesToFunding % 60}m)`);
+  console.log(`  Annualized:    ${annualized >= 0 ? '+' : ''}${(annualized * 100).toFixed(2)}%`);
+  console.log();
+
+  const shown = history.slice(-limit);
+  console.log(`  Recent ${shown.length} funding payments:`);
+  console.log('  ' + '─'.repeat(50));
+  for (const record of shown) {
+    console.log(`    ${formatTimestamp(record.fundingTime)}  ${rate(record.fundingRate)}`);
   }
+  if (average !== null) {
+    console.log(`    Average:     ${rate(average)}`);
+  }
+  console.log();
+}
+
+/**
+ * Show futures open interest history and long/short account ratio
+ * @param {string} symbol - Futures symbol
+ * @param {string} period - Data period (5m ... 1d)
+ * @param {number} limit - Number of history records
+ * @param {boolean} json - Print JSON instead of a table
+ */
+async function getOpenInterest(symbol, period = '1h', limit = 24, json = false) {
+  const normalizedSymbol = await resolveInput(symbol, 'futures');
+
+  if (!FUTURES_DATA_PERIODS.includes(period)) {
+    throw new UsageError(`Invalid period: ${period}\nAvailable periods: ${FUTURES_DATA_PERIODS.join(', ')}`);
+  }
+
+  limit = Math.min(Math.max(limit, 2), 500);
+
+  const [current, history, ratios] = await Promise.all([
+    fetchOpenInterest(normalizedSymbol),
+    fetchOpenInterestHistory(normalizedSymbol, period, limit),
+    fetchLongShortRatio(normalizedSymbol, period, limit)
+  ]);
+
+  const first = history[0];
+  const last = history[history.length - 1];
+  const change = first && last ? ((last.openInterest - first.openInterest) / first.openInterest) * 100 : null;
+  const latestRatio = ratios[ratios.length - 1] || null;
+
+  if (json) {
+    console.log(JSON.stringify({
+      symbol: normalizedSymbol,
+      period,
+      openInterest: current.openInterest,
+      openInterestValue: last ? last.openInterestValue : null,
+      changePct: change,
+      longShortRatio: latestRatio,
+      history,
+      longShortHistory: ratios
+    }, null, 2));
+    return;
+  }
+
+  console.log(`\n${normalizedSymbol} Perpetual - Open Interest (${period})`);
+  console.log('═'.repeat(60));
+  console.log(`  Open Interest:  ${formatVolume(current.openInterest)}${last ? ` ($${formatVolume(last.openInterestValue)})` : ''}`);
+  if (change !== null) {
+    console.log(`  Change:         ${change >= 0 ? '+' : ''}${change.toFixed(2)}% over ${history.length} x ${period}`);
+  }
+  if (latestRatio) {
+    console.log(`  Long/Short:     ${latestRatio.longShortRatio.toFixed(2)} (${(latestRatio.longAccount * 100).toFixed(1)}% long / ${(latestRatio.shortAccount * 100).toFixed(1)}% short accounts)`);
+  }
+  console.log();
+
+  // Pair up history rows with the ratio of the same timestamp
+  const ratioByTime = new Map(ratios.map(r => [r.timestamp, r]));
+  const showCount = Math.min(10, history.length);
+  console.log(`  Recent ${showCount} periods:`);
+  console.log('  ' + '─'.repeat(50));
+  for (const record of history.slice(-showCount)) {
+    const ratio = ratioByTime.get(record.timestamp);
+    console.log(`    ${formatTimestamp(record.timestamp)}  OI: ${formatVolume(record.openInterest).padEnd(10)} $${formatVolume(record.openInterestValue).padEnd(10)} L/S: ${ratio ? ratio.longShortRatio.toFixed(2) : '-'}`);
+  }
+  console.log();
+}
+
+/**
+ * Show spot balances valued in USDT
+ * @param {Object} options - Display options
+ * @param {number} options.min - Hide balances worth less than this many USDT (default: 1)
+ * @param {boolean} options.json - Print JSON instead of a table
+ */
+async function getBalances(options = {}) {
+  const { min = 1, json = false } = options;
+
+  const [account, prices] = await Promise.all([fetchAccount(), fetchPrices()]);
+  const valued = valueBalances(account.balances, prices);
+
+  if (json) {
+    console.log(JSON.stringify({
+      accountType: account.accountType,
+      updateTime: account.updateTime,
+      valueAsset: 'USDT',
+      ...valued
+    }, null, 2));
+    return valued;
+  }
+
+  // Dust is hidden, but unpriced assets are always shown
+  const shown = valued.balances.filter(b => b.value === null || b.value >= min);
+
+  console.log(`\nSpot Balances (${account.accountType || 'SPOT'})`);
+  console.log('═'.repeat(72));
+  console.log(`  ${'Asset'.padEnd(10)} ${'Free'.padStart(16)} ${'Locked'.padStart(14)} ${'Price'.padStart(12)} ${'Value (USDT)'.padStart(14)}`);
+  console.log('  ' + '─'.repeat(70));
+  for (const b of shown) {
+    const price = b.price !== null ? formatPriceValue(b.price) : '-';
+    const value = b.value !== null ? formatPriceValue(b.value) : '-';
+    const share = b.share !== null ? ` ${(b.share * 100).toFixed(1)}%` : '';
+    console.log(`  ${b.asset.padEnd(10)} ${formatQuantity(b.free).padStart(16)} ${formatQuantity(b.locked).padStart(14)} ${price.padStart(12)} ${value.padStart(14)}${share}`);
+  }
+  console.log('  ' + '─'.repeat(70));
+  console.log(`  Total: $${formatPriceValue(valued.totalValue)}`);
+
+  const hidden = valued.balances.length - shown.length;
+  if (hidden > 0) {
+    console.log(`  ${hidden} balances under $${min} hidden (use --min 0 to show)`);
+  }
+  if (valued.unpriced.length > 0) {
+    console.log(`  No USDT price for: ${valued.unpriced.join(', ')}`);
+  }
+  console.log();
+
+  return valued;
+}
+
+/**
+ * Show open orders valued in USDT
+ * @param {string|null} symbol - Trading symbol, or null for all symbols
+ * @param {boolean} json - Print JSON instead of a table
+ */
+async function getOpenOrders(symbol = null, json = false) {
+  const normalizedSymbol = symbol ? await resolveInput(symbol) : null;
+
+  const [orders, prices, exchangeInfo] = await Promise.all([
+    fetchOpenOrders(normalizedSymbol),
+    fetchPrices(),
+    fetchExchangeInfo({ cache: true })
+  ]);
+  const quoteAssets = new Map(exchangeInfo.symbols.map(s => [s.symbol, s.quoteAsset]));
+  const valued = valueOrders(orders, quoteAssets, prices);
+  const totalValue = valued.reduce((sum, o) => sum + (o.value || 0), 0);
+
+  if (json) {
+    console.log(JSON.stringify({ symbol: normalizedSymbol, valueAsset: 'USDT', totalValue, orders: valued }, null, 2));
+    return valued;
+  }
+
+  console.log(`\nOpen Orders${normalizedSymbol ? ` - ${normalizedSymbol}` : ''}`);
+  console.log('═'.repeat(72));
+  if (valued.length === 0) {
+    console.log('  No open orders\n');
+    return valued;
+  }
+
+  for (const o of valued) {
+    const price = o.price ? formatPriceValue(o.price) : `stop ${formatPriceValue(o.stopPrice)}`;
+    const distance = o.distancePct !== null ? ` (${o.distancePct >= 0 ? '+' : ''}${o.distancePct.toFixed(2)}% from last)` : '';
+    const value = o.value !== null ? `$${formatPriceValue(o.value)}` : '-';
+    console.log(`  ${formatTimestamp(o.time)}  ${o.symbol.padEnd(12)} ${o.side.padEnd(4)} ${o.type.padEnd(17)} ${formatQuantity(o.remainingQty)} @ ${price}${distance}  ${value}`);
+  }
+  console.log('  ' + '─'.repeat(70));
+  console.log(`  ${valued.length} orders, total $${formatPriceValue(totalValue)}`);
+  console.log();
+
+  return valued;
+}
+
+/**
+ * Show the account's trade history for a symbol
+ * @param {string} symbol - Trading symbol
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Number of trades (default: 50, max: 1000)
+ * @param {Object} options.range - Time range { from, to } in ms (at most 24h)
+ * @param {boolean} options.json - Print JSON instead of a table
+ */
+async function getMyTrades(symbol, options = {}) {
+  const { limit = 50, range = null, json = false } = options;
+
+  const { symbol: normalizedSymbol, quoteAsset } = await resolveSymbol(symbol);
+
+  const [trades, prices] = await Promise.all([
+    fetchMyTrades(normalizedSymbol, { limit, startTime: range && range.from, endTime: range && range.to }),
+    fetchPrices()
+  ]);
+  const quoteRate = getUsdtRate(quoteAsset, prices);
+  const summary = summarizeTrades(trades, quoteRate, prices);
+  const rows = trades.map(t => ({ ...t, value: quoteRate !== null ? t.quoteQty * quoteRate : null }));
+
+  if (json) {
+    console.log(JSON.stringify({ symbol: normalizedSymbol, quoteAsset, valueAsset: 'USDT', summary, trades: rows }, null, 2));
+    return summary;
+  }
+
+  console.log(`\n${normalizedSymbol} - My Trades (${trades.length})`);
+  console.log('═'.repeat(72));
+  if (trades.length === 0) {
+    console.log('  No trades\n');
+    return summary;
+  }
+
+  for (const t of rows) {
+    const value = t.value !== null ? `$${formatPriceValue(t.value)}` : '-';
+    console.log(`  ${formatTimestamp(t.time)}  ${t.side.padEnd(4)} ${formatQuantity(t.qty).padStart(14)} @ ${formatPriceValue(t.price).padEnd(12)} ${value.padStart(14)}  ${t.isMaker ? 'maker' : 'taker'}`);
+  }
+  console.log('  ' + '─'.repeat(70));
+
+  for (const [name, s] of [['Bought', summary.buy], ['Sold', summary.sell]]) {
+    if (s.count > 0) {
+      const value = s.value !== null ? ` ($${formatPriceValue(s.value)})` : '';
+      console.log(`  ${name.padEnd(8)} ${formatQuantity(s.qty)} in ${s.count} trades, avg ${formatPriceValue(s.avgPrice)} ${quoteAsset}${value}`);
+    }
+  }
+  console.log(`  Net:     ${summary.netQty >= 0 ? '+' : ''}${formatQuantity(summary.netQty)}`);
+  const fees = summary.commissions
+    .map(c => `${formatQuantity(c.amount)} ${c.asset}${c.value !== null ? ` ($${formatPriceValue(c.value)})` : ''}`)
+    .join(', ');
+  console.log(`  Fees:    ${fees}`);
+  console.log();
+
+  return summary;
+}
+
+/**
+ * Parse a duration argument (e.g., 15m, 1h, 4h, 1d)
+ * @param {string} value - Duration string
+ * @returns {number} Duration in ms
+ */
+function parseDuration(value) {
+  const match = /^(\d+)([mhd])$/.exec(value);
+  if (!match) {
+    throw new UsageError(`Invalid duration: ${value} (use e.g. 30m, 1h, 1d)`);
+  }
+  const unit = { m: 60000, h: 3600000, d: 86400000 }[match[2]];
+  return parseInt(match[1]) * unit;
+}
+
+/**
+ * Parse a date argument (YYYY-MM-DD, ISO date-time or ms timestamp)
+ * @param {string} value - Date string
+ * @returns {number} Timestamp in ms
+ */
+function parseDate(value) {
+  const timestamp = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (Number.isNaN(timestamp)) {
+    throw new UsageError(`Invalid date: ${value}`);
+  }
+  return timestamp;
+}
+
+/**
+ * Parse a positive integer argument (e.g., -n 100)
+ * @param {string} option - Option name for the error message
+ * @param {string} value - Value as typed
+ * @returns {number} Count
+ */
+function parseCount(option, value) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`${option} must be a positive integer, got: ${value}`);
+  }
+  return count;
 }
 
 /**
@@ -271,6 +835,15 @@ function formatPriceValue(price) {
   }
 }
 
+/**
+ * Format an asset quantity, dropping trailing zeros
+ */
+function formatQuantity(quantity) {
+  const abs = Math.abs(quantity);
+  const digits = abs >= 1000 ? 2 : abs >= 1 ? 4 : 8;
+  return parseFloat(quantity.toFixed(digits)).toString();
+}
+
 /**
  * Format volume for display
  */
@@ -289,40 +862,67 @@ function formatVolume(volume) {
  * List popular trading pairs with current prices
  */
 async function listPopularPairs() {
-  const symbols = POPULAR_PAIRS.map(p => p + 'USDT');
+  const quote = getDefaultQuote();
+  const symbols = POPULAR_PAIRS.map(p => p + quote);
 
-  try {
-    // Fetch all symbols individually for simplicity
-    const prices = await Promise.all(
-      symbols.map(async (symbol) => {
-        try {
-          const res = await fetch(`${BASE_URL}/ticker/price?symbol=${symbol}`, { agent });
-          return await res.json();
-        } catch {
-          return null;
-        }
-      })
-    );
-
-    console.log('\n📊 Popular Binance Trading Pairs');
-    console.log('═'.repeat(40));
-
-    for (const price of prices.filter(Boolean)) {
-      const priceNum = parseFloat(price.price);
-      let formatted;
-      if (priceNum >= 1) {
-        formatted = '$' + priceNum.toFixed(2);
-      } else {
-        formatted = '$' + priceNum.toFixed(6);
-      }
-      console.log(`  ${price.symbol.padEnd(10)} ${formatted}`);
+  // One request for all prices; pairs that no longer trade are simply skipped
+  const prices = await fetchPrices();
+
+  console.log('\n📊 Popular Binance Trading Pairs');
+  console.log('═'.repeat(40));
+
+  for (const symbol of symbols.filter(s => prices.has(s))) {
+    const priceNum = prices.get(symbol);
+    let formatted;
+    if (priceNum >= 1) {
+      formatted = '$' + priceNum.toFixed(2);
+    } else {
+      formatted = '$' + priceNum.toFixed(6);
     }
-    console.log();
+    console.log(`  ${symbol.padEnd(10)} ${formatted}`);
+  }
+  console.log();
+}
 
+/**
+ * Remove global options (--base-url, --record, --replay, --fapi-url, --quote, --proxy)
+ * from the argument list and apply them; they may appear anywhere on the command line
+ * @param {string[]} args - Command line arguments
+ * @returns {string[]} Remaining arguments
+ */
+function applyGlobalOptions(args) {
+  const optionNames = {
+    '--base-url': 'baseUrl',
+    '--record': 'recordDir',
+    '--replay': 'replayDir',
+    '--fapi-url': 'futuresBaseUrl',
+    '--recv-window': 'recvWindow'
+  };
+  const options = {};
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (optionNames[args[i]] && i + 1 < args.length) {
+      options[optionNames[args[i]]] = optionNames[args[i]] === 'recvWindow' ? parseInt(args[i + 1]) : args[i + 1];
+      i++;
+    } else if (args[i] === '--quote' && i + 1 < args.length) {
+      setDefaultQuote(args[i + 1]);
+      i++;
+    } else if (args[i] === '--proxy' && i + 1 < args.length) {
+      configureTransport({ proxy: args[i + 1] });
+      i++;
+    } else {
+      rest.push(args[i]);
+    }
+  }
+
+  try {
+    configureApi(options);
   } catch (error) {
-    console.error('Error listing pairs:', error.message);
-    process.exit(1);
+    throw new UsageError(error.message);
   }
+
+  return rest;
 }
 
 /**
@@ -338,25 +938,82 @@ Usage:
   binance-ticker --list                List popular trading pairs
   binance-ticker --klines <symbol>     Get kline data (default: 15m, 96 candles)
   binance-ticker --klines <symbol> -i <interval> -n <count>
+  binance-ticker --klines <symbol> -i <interval> --from <date> [--to <date>]
+  binance-ticker --levels <symbol>     Pivot points, support/resistance and Fibonacci levels
+  binance-ticker --levels <symbol> -i <interval> -n <count> --pivot-period <interval>
+                 --strength <n> --tolerance <pct> --json
+  binance-ticker --depth <symbol>      Order book spread, liquidity bands and imbalance
+  binance-ticker --depth <symbol> -n <levels> --json
+  binance-ticker --trades <symbol>     Taker buy/sell flow, large prints and volume profile
+  binance-ticker --trades <symbol> -w <window> --large <notional> --bins <count> --json
+  binance-ticker --trades <symbol> --from <date> [--to <date>]
+  binance-ticker --funding <symbol>    Futures mark price and funding rate (-n history, --json)
+  binance-ticker --oi <symbol>         Futures open interest and long/short ratio
+  binance-ticker --oi <symbol> -i <period> -n <count> --json
+  binance-ticker --balances            Spot balances valued in USDT (--min <usdt>, --json)
+  binance-ticker --orders [symbol]     Open orders, all symbols or one (--json)
+  binance-ticker --my-trades <symbol>  Your trades and average prices (-n <count>, --json)
+  binance-ticker --my-trades <symbol> --from <date> [--to <date>]
   binance-ticker --help                Show this help
 
+Global Options (any command):
+  --quote <asset>                      Quote asset for bare symbols like BTC (default: USDT,
+                                       env: BINANCE_DEFAULT_QUOTE)
+  --base-url <url>                     REST base URL (env: BINANCE_API_URL)
+  --record <dir>                       Save every API response to <dir> (env: BINANCE_RECORD_DIR)
+  --replay <dir>                       Serve API responses from <dir> (env: BINANCE_REPLAY_DIR)
+  --fapi-url <url>                     USDⓈ-M futures base URL (env: BINANCE_FAPI_URL)
+  --proxy <url|direct>                 Proxy for all requests: http://, https:// or socks5://
+                                       (env: BINANCE_PROXY, HTTPS_PROXY; NO_PROXY is honored)
+  --recv-window <ms>                   Validity of signed requests (default: 5000,
+                                       env: BINANCE_RECV_WINDOW)
+
+Account Commands (read-only API key):
+  BINANCE_API_KEY                      API key
+  BINANCE_API_SECRET                   HMAC-SHA256 secret, or
+  BINANCE_PRIVATE_KEY_PATH             Ed25519 private key (PEM)
+                                       (or ~/.config/binance-skill/credentials.json,
+                                       env: BINANCE_CREDENTIALS_FILE)
+
+Exit Codes:
+  0 success, 1 other error, 2 invalid arguments, 3 invalid symbol,
+  4 Binance API error, 5 rate limited or IP banned, 6 network or proxy failure,
+  7 missing or rejected API key, 8 missing or unreadable replay fixture
+
 Kline Intervals:
   1m, 3m, 5m, 15m, 30m, 1h, 2h, 4h, 6h, 8h, 12h, 1d, 3d, 1w, 1M
 
 Examples:
   binance-ticker BTC                  Get BTC price
   binance-ticker ETH SOL              Get multiple prices
+  binance-ticker ETH/BTC btc-fdusd    Explicit pairs (BASE/QUOTE, BASE-QUOTE or ETHBTC)
+  binance-ticker BNB --quote FDUSD    Price of BNBFDUSD
   binance-ticker --klines BTC          Get BTC 15m klines (1 day)
   binance-ticker --klines ETH -i 1h -n 24  Get ETH 1h klines (24 hours)
   binance-ticker --klines SOL -i 1d -n 7  Get SOL daily klines (1 week)
+  binance-ticker --klines BTC -i 1d --from 2023-01-01 --to 2024-01-01
+                                      Get BTC daily klines for 2023 (paged)
+  binance-ticker --levels BTC         BTC daily pivots, 4h swing levels and Fibonacci
+  binance-ticker --levels ETH -i 1d -n 365 --pivot-period 1w
+                                      ETH levels from a year of daily candles, weekly pivots
+  binance-ticker --depth SOL          SOL spread and liquidity within ±0.5%/1%/2%
+  binance-ticker --depth PEPE --json  Same as JSON, e.g. for slippage checks
+  binance-ticker --trades BTC -w 4h --large 250000
+                                      BTC taker flow over 4 hours, prints ≥ $250K
+  binance-ticker --funding BTC        BTC perpetual funding rate and history
+  binance-ticker --oi ETH -i 1h       ETH open interest, last 24 hours
+  binance-ticker --balances           Spot balances and total in USDT
+  binance-ticker --my-trades ETH -n 20
+                                      Last 20 ETHUSDT fills with average buy/sell price
 
-Note: Symbol automatically appends USDT if no quote currency specified.
+Note: Symbols are checked against exchangeInfo (cached for one hour); a bare
+asset like BTC uses the default quote, and typos get suggestions.
 `);
 }
 
 // Main CLI handler
 async function main() {
-  const args = process.argv.slice(2);
+  const args = applyGlobalOptions(process.argv.slice(2));
 
   if (args.length === 0 || args[0] === '--help' || args[0] === '-h') {
     showHelp();
@@ -373,21 +1030,230 @@ async function main() {
     let symbol = 'BTC';  // default
     let interval = '15m'; // default
     let limit = 96;       // default (1 day of 15m candles)
+    let from = null;
+    let to = null;
 
-    // Parse args: --klines BTC -i 15m -n 100
+    // Parse args: --klines BTC -i 15m -n 100 [--from 2023-01-01 --to 2024-01-01]
     for (let i = 1; i < args.length; i++) {
       if (args[i] === '-i' && i + 1 < args.length) {
         interval = args[i + 1];
         i++;
       } else if (args[i] === '-n' && i + 1 < args.length) {
-        limit = parseInt(args[i + 1]);
+        limit = parseCount('-n', args[i + 1]);
+        i++;
+      } else if (args[i] === '--from' && i + 1 < args.length) {
+        from = parseDate(args[i + 1]);
+        i++;
+      } else if (args[i] === '--to' && i + 1 < args.length) {
+        to = parseDate(args[i + 1]);
         i++;
       } else if (!args[i].startsWith('-')) {
         symbol = args[i];
       }
     }
 
-    await getKlines(symbol, interval, limit);
+    if (to !== null && from === null) {
+      throw new UsageError('--to requires --from');
+    }
+    if (to !== null && from > to) {
+      throw new UsageError('--from must be before --to');
+    }
+
+    // Without --to the range is left open-ended so replays request the same pages
+    const range = from !== null ? { from, to } : null;
+    await getKlines(symbol, interval, limit, range);
+    return;
+  }
+
+  // Handle --levels option
+  if (args[0] === '--levels') {
+    let symbol = 'BTC';
+    const options = {};
+
+    // Parse args: --levels BTC -i 4h -n 200 --pivot-period 1d --strength 3 --tolerance 0.5 --json
+    for (let i = 1; i < args.length; i++) {
+      if (args[i] === '-i' && i + 1 < args.length) {
+        options.interval = args[i + 1];
+        i++;
+      } else if (args[i] === '-n' && i + 1 < args.length) {
+        options.limit = parseInt(args[i + 1]);
+        i++;
+      } else if (args[i] === '--pivot-period' && i + 1 < args.length) {
+        options.pivotPeriod = args[i + 1];
+        i++;
+      } else if (args[i] === '--strength' && i + 1 < args.length) {
+        options.strength = parseInt(args[i + 1]);
+        i++;
+      } else if (args[i] === '--tolerance' && i + 1 < args.length) {
+        options.tolerance = parseFloat(args[i + 1]);
+        i++;
+      } else if (args[i] === '--json') {
+        options.json = true;
+      } else if (!args[i].startsWith('-')) {
+        symbol = args[i];
+      }
+    }
+
+    if (options.limit !== undefined && !(options.limit >= 1)) {
+      throw new UsageError('-n must be a positive integer');
+    }
+    if (options.strength !== undefined && !(options.strength >= 1)) {
+      throw new UsageError('--strength must be a positive integer');
+    }
+    if (options.tolerance !== undefined && !(options.tolerance >= 0)) {
+      throw new UsageError('--tolerance must be a non-negative percentage');
+    }
+
+    await getLevels(symbol, options);
+    return;
+  }
+
+  // Handle --depth option
+  if (args[0] === '--depth') {
+    let symbol = 'BTC';
+    let limit = 1000;
+    let json = false;
+
+    // Parse args: --depth BTC -n 1000 --json
+    for (let i = 1; i < args.length; i++) {
+      if (args[i] === '-n' && i + 1 < args.length) {
+        limit = parseCount('-n', args[i + 1]);
+        i++;
+      } else if (args[i] === '--json') {
+        json = true;
+      } else if (!args[i].startsWith('-')) {
+        symbol = args[i];
+      }
+    }
+
+    await getDepth(symbol, limit, json);
+    return;
+  }
+
+  // Handle --trades option
+  if (args[0] === '--trades') {
+    let symbol = 'BTC';
+    let window = 3600000; // default: last hour
+    let from = null;
+    let to = null;
+    const options = {};
+
+    // Parse args: --trades BTC -w 1h --large 100000 --bins 24 --json
+    for (let i = 1; i < args.length; i++) {
+      if ((args[i] === '-w' || args[i] === '--window') && i + 1 < args.length) {
+        window = parseDuration(args[i + 1]);
+        i++;
+      } else if (args[i] === '--from' && i + 1 < args.length) {
+        from = parseDate(args[i + 1]);
+        i++;
+      } else if (args[i] === '--to' && i + 1 < args.length) {
+        to = parseDate(args[i + 1]);
+        i++;
+      } else if (args[i] === '--large' && i + 1 < args.length) {
+        options.large = Number(args[i + 1]);
+        if (!(options.large >= 0)) {
+          throw new UsageError(`--large must be a non-negative quote amount, got: ${args[i + 1]}`);
+        }
+        i++;
+      } else if (args[i] === '--bins' && i + 1 < args.length) {
+        options.bins = parseCount('--bins', args[i + 1]);
+        i++;
+      } else if (args[i] === '--json') {
+        options.json = true;
+      } else if (!args[i].startsWith('-')) {
+        symbol = args[i];
+      }
+    }
+
+    if (from !== null && to !== null && from > to) {
+      throw new UsageError('--from must be before --to');
+    }
+
+    // The recorded run's time when replaying, so the window matches the fixtures
+    const end = to !== null ? to : getReferenceTime();
+    const range = { from: from !== null ? from : end - window, to: end };
+    await getTrades(symbol, range, options);
+    return;
+  }
+
+  // Handle futures options: --funding BTC -n 10, --oi ETH -i 1h -n 24
+  if (args[0] === '--funding' || args[0] === '--oi') {
+    let symbol = 'BTC';
+    let period = '1h';
+    let limit = args[0] === '--funding' ? 10 : 24;
+    let json = false;
+
+    for (let i = 1; i < args.length; i++) {
+      if (args[i] === '-i' && i + 1 < args.length) {
+        period = args[i + 1];
+        i++;
+      } else if (args[i] === '-n' && i + 1 < args.length) {
+        limit = parseCount('-n', args[i + 1]);
+        i++;
+      } else if (args[i] === '--json') {
+        json = true;
+      } else if (!args[i].startsWith('-')) {
+        symbol = args[i];
+      }
+    }
+
+    if (args[0] === '--funding') {
+      await getFunding(symbol, limit, json);
+    } else {
+      await getOpenInterest(symbol, period, limit, json);
+    }
+    return;
+  }
+
+  // Handle account options: --balances, --orders [BTC], --my-trades BTC -n 50
+  if (args[0] === '--balances' || args[0] === '--orders' || args[0] === '--my-trades') {
+    let symbol = null;
+    let limit = 50;
+    let min = 1;
+    let from = null;
+    let to = null;
+    let json = false;
+
+    for (let i = 1; i < args.length; i++) {
+      if (args[i] === '-n' && i + 1 < args.length) {
+        limit = parseCount('-n', args[i + 1]);
+        i++;
+      } else if (args[i] === '--min' && i + 1 < args.length) {
+        min = parseFloat(args[i + 1]);
+        i++;
+      } else if (args[i] === '--from' && i + 1 < args.length) {
+        from = parseDate(args[i + 1]);
+        i++;
+      } else if (args[i] === '--to' && i + 1 < args.length) {
+        to = parseDate(args[i + 1]);
+        i++;
+      } else if (args[i] === '--json') {
+        json = true;
+      } else if (!args[i].startsWith('-')) {
+        symbol = args[i];
+      }
+    }
+
+    if (args[0] === '--balances') {
+      await getBalances({ min, json });
+    } else if (args[0] === '--orders') {
+      await getOpenOrders(symbol, json);
+    } else {
+      if (!symbol) {
+        throw new UsageError('--my-trades requires a symbol');
+      }
+      if (to !== null && from === null) {
+        throw new UsageError('--to requires --from');
+      }
+      const range = from !== null ? { from, to: to !== null ? to : Math.min(getReferenceTime(), from + 86400000) } : null;
+      if (range && range.from > range.to) {
+        throw new UsageError(`--from must be before ${to !== null ? '--to' : 'now'}`);
+      }
+      if (range && range.to - range.from > 86400000) {
+        throw new UsageError('--from/--to may span at most 24 hours');
+      }
+      await getMyTrades(symbol, { limit, range, json });
+    }
     return;
   }
 
@@ -399,4 +1265,7 @@ async function main() {
   }
 }
 
-main().catch(console.error);
+main().catch(error => {
+  console.error(formatError(error));
+  process.exit(getExitCode(error));
+});
@@ -2,5 +2,5 @@
 REM Binance Ticker 快捷启动脚本 (Windows)
 
 setlocal
-set HTTPS_PROXY=http://127.0.0.1:7897
+REM 需要代理时设置 HTTPS_PROXY（如 set HTTPS_PROXY=http://127.0.0.1:7897），未设置则直连
 node "%~dp0binance-ticker.js" %*
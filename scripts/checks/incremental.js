@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+/**
+ * Incremental Indicator Check
+ * Feeds the same generated candles to every calculator in incremental.js and
+ * to its batch function in indicators.js and compares the outputs value by
+ * value. Each calculator is saved and restored with restoreIndicator() halfway
+ * through, so the serialized state is covered too.
+ *
+ * Usage: node scripts/checks/incremental.js (exits 1 if any output differs)
+ */
+
+import * as batch from '../lib/indicators.js';
+import * as incremental from '../lib/incremental.js';
+
+const CANDLE_COUNT = 600;
+
+// Allowed relative difference; rolling sums differ from re-summing by rounding only
+const TOLERANCE = 1e-9;
+
+/**
+ * Generate a reproducible random walk with a flat stretch and a run of zero
+ * volume, which exercise the division-by-zero guards
+ * @param {number} count - Number of 4h candles
+ * @returns {Object} { highs, lows, closes, volumes, times, candles }
+ */
+function generateCandles(count) {
+  let seed = 7;
+  const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+  const series = { highs: [], lows: [], closes: [], volumes: [], times: [], candles: [] };
+  let price = 60000;
+
+  for (let i = 0; i < count; i++) {
+    const flat = i > 200 && i < 230;
+    if (!flat) {
+      price *= 1 + (random() - 0.5) * 0.03;
+    }
+    const high = flat ? price : price * (1 + random() * 0.01);
+    const low = flat ? price : price * (1 - random() * 0.01);
+    const candle = {
+      high,
+      low,
+      close: flat ? price : low + (high - low) * random(),
+      volume: i > 300 && i < 340 ? 0 : random() * 100,
+      time: 1700000000000 + i * 4 * 3600000
+    };
+
+    series.highs.push(candle.high);
+    series.lows.push(candle.low);
+    series.closes.push(candle.close);
+    series.volumes.push(candle.volume);
+    series.times.push(candle.time);
+    series.candles.push(candle);
+  }
+
+  return series;
+}
+
+/**
+ * Run a calculator over the inputs, restoring it from JSON halfway through
+ * @param {Object} calculator - Fresh calculator
+ * @param {Array} inputs - Values or candles
+ * @returns {Array} update() result per input
+ */
+function runIncremental(calculator, inputs) {
+  const half = Math.floor(inputs.length / 2);
+  return inputs.map((input, i) => {
+    if (i === half) {
+      calculator = incremental.restoreIndicator(JSON.stringify(calculator));
+    }
+    return calculator.update(input);
+  });
+}
+
+/**
+ * Compare a batch series with the incremental outputs
+ * Batch arrays hold only the warmed-up values, so they line up with the non-null tail
+ * @param {number[]} expected - Batch values
+ * @param {Array} actual - Incremental values (null while warming up)
+ * @returns {string|null} Problem description, or null if they match
+ */
+function compareSeries(expected, actual) {
+  const values = actual.filter(value => value !== null);
+  if (values.length !== expected.length) {
+    return `${values.length} values, batch has ${expected.length}`;
+  }
+
+  for (let i = 0; i < expected.length; i++) {
+    const difference = Math.abs(expected[i] - values[i]) / Math.max(1, Math.abs(expected[i]));
+    if (!(difference <= TOLERANCE)) {
+      return `value ${i} is ${values[i]}, batch has ${expected[i]}`;
+    }
+  }
+  return null;
+}
+
+const data = generateCandles(CANDLE_COUNT);
+const { highs, lows, closes, volumes, times, candles } = data;
+
+// [name, batch result, calculator, inputs, fields of object results]
+const cases = [
+  ['SMA', batch.calculateSMA(closes, 20), new incremental.SMA(20), closes],
+  ['EMA', batch.calculateEMA(closes, 20), new incremental.EMA(20), closes],
+  ['RSI', batch.calculateRSI(closes, 14), new incremental.RSI(14), closes],
+  ['MACD', batch.calculateMACD(closes), new incremental.MACD(), closes,
+    { macdLine: 'value', signalLine: 'signal', histogram: 'histogram' }],
+  ['BollingerBands', batch.calculateBollingerBands(closes, 20, 2), new incremental.BollingerBands(20, 2), closes,
+    { upper: 'upper', middle: 'middle', lower: 'lower' }],
+  ['Stochastic', batch.calculateStochastic(highs, lows, closes, 14, 3, 3), new incremental.Stochastic(14, 3, 3), candles,
+    { k: 'k', d: 'd' }],
+  ['Stochastic (fast)', batch.calculateStochastic(highs, lows, closes, 5, 1, 3), new incremental.Stochastic(5, 1, 3), candles,
+    { k: 'k', d: 'd' }],
+  ['StochRSI', batch.calculateStochRSI(closes), new incremental.StochRSI(), closes, { k: 'k', d: 'd' }],
+  ['CCI', batch.calculateCCI(highs, lows, closes, 20), new incremental.CCI(20), candles],
+  ['WilliamsR', batch.calculateWilliamsR(highs, lows, closes, 14), new incremental.WilliamsR(14), candles],
+  ['ROC', batch.calculateROC(closes, 12), new incremental.ROC(12), closes],
+  ['TrueRange', batch.calculateTrueRange(highs, lows, closes), new incremental.TrueRange(), candles],
+  ['ATR', batch.calculateATR(highs, lows, closes, 14), new incremental.ATR(14), candles],
+  ['ADX', batch.calculateADX(highs, lows, closes, 14), new incremental.ADX(14), candles,
+    { adx: 'adx', plusDI: 'plusDI', minusDI: 'minusDI' }],
+  ['SuperTrend', batch.calculateSuperTrend(highs, lows, closes, 10, 3), new incremental.SuperTrend(10, 3), candles,
+    { value: 'value', direction: 'direction' }],
+  ['KeltnerChannels', batch.calculateKeltnerChannels(highs, lows, closes), new incremental.KeltnerChannels(), candles,
+    { upper: 'upper', middle: 'middle', lower: 'lower' }],
+  ['DonchianChannels', batch.calculateDonchianChannels(highs, lows, 20), new incremental.DonchianChannels(20), candles,
+    { upper: 'upper', middle: 'middle', lower: 'lower' }],
+  ['ParabolicSAR', batch.calculateParabolicSAR(highs, lows), new incremental.ParabolicSAR(), candles,
+    { sar: 'sar', direction: 'direction' }],
+  ['OBV', batch.calculateOBV(closes, volumes), new incremental.OBV(), candles],
+  ['VWAP', batch.calculateVWAP(highs, lows, closes, volumes, times), new incremental.VWAP(), candles],
+  ['RollingVWAP', batch.calculateRollingVWAP(highs, lows, closes, volumes, 20), new incremental.RollingVWAP(20), candles],
+  ['MFI', batch.calculateMFI(highs, lows, closes, volumes, 14), new incremental.MFI(14), candles],
+  ['CMF', batch.calculateCMF(highs, lows, closes, volumes, 20), new incremental.CMF(20), candles]
+];
+
+let failed = false;
+
+for (const [name, expected, calculator, inputs, fields] of cases) {
+  const outputs = runIncremental(calculator, inputs);
+  const problems = Object.entries(fields || { '': null })
+    .map(([batchKey, key]) => {
+      const problem = key
+        ? compareSeries(expected[batchKey], outputs.map(output => output === null ? null : output[key]))
+        : compareSeries(expected, outputs);
+      return problem && (key ? `${key}: ${problem}` : problem);
+    })
+    .filter(Boolean);
+
+  if (problems.length > 0) {
+    console.error(`not ok - ${name}: ${problems.join('; ')}`);
+    failed = true;
+  } else {
+    console.log(`ok - ${name}`);
+  }
+}
+
+// calculateRelativeVolume() returns only the latest ratio; compare at two points
+const relativeVolume = runIncremental(new incremental.RelativeVolume(20), volumes);
+const relativeProblem = [400, CANDLE_COUNT]
+  .map(end => compareSeries([batch.calculateRelativeVolume(volumes.slice(0, end), 20)], [relativeVolume[end - 1]]))
+  .find(Boolean);
+if (relativeProblem) {
+  console.error(`not ok - RelativeVolume: ${relativeProblem}`);
+  failed = true;
+} else {
+  console.log('ok - RelativeVolume');
+}
+
+process.exit(failed ? 1 : 0);
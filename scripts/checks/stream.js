@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * Stream Client Check
+ * Runs createStream() against a local stand-in for the Binance combined stream
+ * endpoint and checks kline parsing, subscribe/unsubscribe, rollover without
+ * gaps, reconnect after a dropped connection and resubscription.
+ *
+ * Usage: node scripts/checks/stream.js (exits 1 on the first failed check)
+ */
+
+import assert from 'assert';
+import { WebSocketServer } from 'ws';
+import { createStream, klineStream, aggTradeStream } from '../lib/stream.js';
+import { parseKlines } from '../lib/api.js';
+import { configureTransport } from '../lib/transport.js';
+
+// Stand-in publish interval (ms)
+const TICK_MS = 10;
+
+// Like the real endpoint, SUBSCRIBE/UNSUBSCRIBE take effect after a round trip (ms)
+const REQUEST_DELAY = 50;
+
+// Give up on a single wait after this long (ms)
+const WAIT_TIMEOUT = 5000;
+
+/**
+ * Start a stand-in server that publishes an aggTrade with a global sequence id
+ * and a kline update to every connection subscribed to them
+ * @returns {Promise<Object>} { url, connections, onUpgrade, close }
+ */
+function startStandIn() {
+  return new Promise((resolve) => {
+    const standIn = { connections: [], onUpgrade: null, upgradeDelay: 0 };
+    let sequence = 0;
+
+    const server = new WebSocketServer({
+      port: 0,
+      host: '127.0.0.1',
+      verifyClient: (info, accept) => {
+        if (standIn.onUpgrade) {
+          standIn.onUpgrade();
+        }
+        setTimeout(() => accept(true), standIn.upgradeDelay);
+      }
+    });
+
+    server.on('connection', (ws, req) => {
+      const query = new URL(req.url, 'ws://127.0.0.1').searchParams.get('streams');
+      const connection = { ws, requested: query ? query.split('/') : [], streams: null, requests: [] };
+      connection.streams = new Set(connection.requested);
+      standIn.connections.push(connection);
+
+      ws.on('message', (raw) => {
+        const request = JSON.parse(raw.toString());
+        connection.requests.push(request);
+        setTimeout(() => {
+          for (const name of request.params) {
+            if (request.method === 'SUBSCRIBE') {
+              connection.streams.add(name);
+            } else if (request.method === 'UNSUBSCRIBE') {
+              connection.streams.delete(name);
+            }
+          }
+          if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify({ result: null, id: request.id }));
+          }
+        }, REQUEST_DELAY);
+      });
+    });
+
+    const ticker = setInterval(() => {
+      sequence++;
+      const now = Date.now();
+      const openTime = now - (now % 60000);
+
+      for (const { ws, streams } of standIn.connections) {
+        if (ws.readyState !== ws.OPEN) {
+          continue;
+        }
+        for (const stream of streams) {
+          const symbol = stream.split('@')[0].toUpperCase();
+          const data = stream.endsWith('@aggTrade')
+            ? { e: 'aggTrade', E: now, s: symbol, a: sequence, p: '100.5', q: '0.25', T: now, m: false }
+            : {
+              e: 'kline', E: now, s: symbol,
+              k: {
+                t: openTime, T: openTime + 59999, s: symbol, i: '1m',
+                o: '100.0', h: '101.5', l: '99.25', c: String(100 + sequence / 1000), v: '12.5',
+                n: sequence, x: false, q: '1250.0', V: '6.0', Q: '600.0'
+              }
+            };
+          ws.send(JSON.stringify({ stream, data }));
+        }
+      }
+    }, TICK_MS);
+
+    server.on('listening', () => {
+      standIn.url = `ws://127.0.0.1:${server.address().port}`;
+      standIn.close = () => {
+        clearInterval(ticker);
+        server.clients.forEach(ws => ws.terminate());
+        server.close();
+      };
+      resolve(standIn);
+    });
+  });
+}
+
+/**
+ * Poll until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {string} description - Used in the timeout message
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, description) {
+  const deadline = Date.now() + WAIT_TIMEOUT;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${description}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, TICK_MS));
+  }
+}
+
+/**
+ * Check that a list of sequence ids has no holes
+ * @param {number[]} ids - Received ids (duplicates allowed)
+ * @returns {number[]} Missing ids
+ */
+function findGaps(ids) {
+  const seen = new Set(ids);
+  const missing = [];
+  for (let id = Math.min(...ids); id <= Math.max(...ids); id++) {
+    if (!seen.has(id)) {
+      missing.push(id);
+    }
+  }
+  return missing;
+}
+
+/**
+ * Klines arrive as parsed numbers; subscribe() and unsubscribe() reach the server
+ * @param {Object} standIn - Stand-in server
+ */
+async function checkEventsAndSubscriptions(standIn) {
+  const trades = aggTradeStream('BTCUSDT');
+  const klines = klineStream('ETHUSDT', '1m');
+  const stream = createStream({ streams: [trades], baseUrl: standIn.url });
+  const events = [];
+  stream.on('kline', event => events.push(event));
+
+  try {
+    await waitFor(() => standIn.connections.length === 1, 'the first connection');
+    const connection = standIn.connections[0];
+    assert.deepStrictEqual(connection.requested, [trades], 'initial streams are named in the URL');
+
+    stream.subscribe(klines);
+    await waitFor(() => events.length > 0, 'a kline event');
+    const event = events[0];
+    for (const field of ['time', 'closeTime', 'open', 'high', 'low', 'close', 'volume', 'quoteVolume', 'trades']) {
+      assert.strictEqual(typeof event[field], 'number', `kline.${field} is a number`);
+    }
+    const parsed = parseKlines([event.kline]);
+    assert.deepStrictEqual(
+      [event.time, event.open, event.high, event.low, event.close, event.volume],
+      [parsed.times[0], parsed.opens[0], parsed.highs[0], parsed.lows[0], parsed.closes[0], parsed.volumes[0]],
+      'kline fields match parseKlines() of the raw row'
+    );
+
+    stream.unsubscribe(klines);
+    await waitFor(() => !connection.streams.has(klines), 'the UNSUBSCRIBE request');
+    assert.deepStrictEqual(stream.getSubscriptions(), [trades]);
+  } finally {
+    stream.close();
+  }
+}
+
+/**
+ * Rollovers never leave a gap, and subscriptions made mid-rollover carry over
+ * @param {Object} standIn - Stand-in server
+ */
+async function checkRollover(standIn) {
+  const trades = aggTradeStream('BTCUSDT');
+  const late = aggTradeStream('SOLUSDT');
+  const first = standIn.connections.length;
+  const stream = createStream({ streams: [trades], baseUrl: standIn.url, rolloverMs: 150 });
+  const ids = [];
+  stream.on('aggTrade', ({ stream: name, id }) => {
+    if (name === trades) {
+      ids.push(id);
+    }
+  });
+
+  try {
+    await waitFor(() => standIn.connections.length >= first + 4, 'three rollovers');
+
+    // Subscribe while the next rollover connection is still being accepted
+    standIn.upgradeDelay = 100;
+    const before = standIn.connections.length;
+    standIn.onUpgrade = () => {
+      standIn.onUpgrade = null;
+      stream.subscribe(late);
+    };
+    await waitFor(() => standIn.connections.length > before, 'the delayed rollover');
+    standIn.upgradeDelay = 0;
+
+    const connection = standIn.connections[standIn.connections.length - 1];
+    assert.ok(!connection.requested.includes(late), 'the delayed connection was requested before subscribe()');
+    await waitFor(() => connection.streams.has(late), 'the catch-up SUBSCRIBE on the new connection');
+
+    const next = standIn.connections.length;
+    await waitFor(() => standIn.connections.length > next, 'a rollover after subscribe()');
+    assert.deepStrictEqual(standIn.connections[next].requested, [trades, late], 'later connections name both streams');
+  } finally {
+    stream.close();
+  }
+
+  assert.ok(ids.length > 0, 'received trades');
+  assert.deepStrictEqual(findGaps(ids), [], 'no trades lost across rollovers');
+}
+
+/**
+ * A dropped connection is reopened with the current subscriptions
+ * @param {Object} standIn - Stand-in server
+ */
+async function checkReconnect(standIn) {
+  const trades = aggTradeStream('BTCUSDT');
+  const klines = klineStream('ETHUSDT', '1m');
+  const first = standIn.connections.length;
+  const stream = createStream({ streams: [trades], baseUrl: standIn.url });
+  const reconnects = [];
+  let received = 0;
+  stream.on('reconnecting', event => reconnects.push(event));
+  stream.on('aggTrade', () => received++);
+
+  try {
+    await waitFor(() => standIn.connections.length === first + 1, 'the first connection');
+    stream.subscribe(klines);
+    await waitFor(() => standIn.connections[first].streams.has(klines), 'the SUBSCRIBE request');
+
+    standIn.connections[first].ws.terminate();
+    await waitFor(() => reconnects.length === 1, 'a reconnecting event');
+    await waitFor(() => standIn.connections.length === first + 2, 'the reconnect');
+
+    received = 0;
+    await waitFor(() => received > 0, 'trades after the reconnect');
+    assert.deepStrictEqual(standIn.connections[first + 1].requested, [trades, klines], 'the reconnect names all subscriptions');
+  } finally {
+    stream.close();
+  }
+}
+
+const checks = [
+  ['kline events and subscriptions', checkEventsAndSubscriptions],
+  ['rollover', checkRollover],
+  ['reconnect', checkReconnect]
+];
+
+configureTransport({ proxy: 'direct' });
+const standIn = await startStandIn();
+let failed = false;
+
+for (const [name, check] of checks) {
+  try {
+    await check(standIn);
+    console.log(`ok - ${name}`);
+  } catch (error) {
+    console.error(`not ok - ${name}: ${error.message}`);
+    failed = true;
+    break;
+  }
+}
+
+standIn.close();
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,222 @@
+/**
+ * Spot Account Data
+ * Balances, open orders and trade history through signed requests,
+ * valued in USDT at current prices
+ */
+
+import { request } from './api.js';
+
+// Quote asset all values are converted to
+const VALUE_ASSET = 'USDT';
+
+// Simple Earn flexible positions are reported as LD<asset> (e.g., LDBTC)
+const EARN_PREFIX = 'LD';
+
+// Maximum rows per /myTrades request
+const MAX_MY_TRADES_LIMIT = 1000;
+
+/**
+ * Fetch account balances
+ * @returns {Promise<Object>} { canTrade, accountType, permissions, updateTime, balances: [{ asset, free, locked, total }] }
+ */
+export async function fetchAccount() {
+  const data = await request('/account', { omitZeroBalances: true }, { signed: true });
+
+  return {
+    canTrade: data.canTrade,
+    accountType: data.accountType,
+    permissions: data.permissions || [],
+    updateTime: data.updateTime,
+    balances: data.balances
+      .map(b => {
+        const free = parseFloat(b.free);
+        const locked = parseFloat(b.locked);
+        return { asset: b.asset, free, locked, total: free + locked };
+      })
+      .filter(b => b.total > 0)
+  };
+}
+
+/**
+ * Fetch open orders
+ * Without a symbol all open orders are returned, at a much higher request weight
+ * @param {string|null} symbol - Trading symbol, or null for all symbols
+ * @returns {Promise<Object[]>} Orders with numeric price and quantity fields
+ */
+export async function fetchOpenOrders(symbol = null) {
+  const data = await request('/openOrders', { symbol }, { signed: true });
+
+  return data.map(order => ({
+    symbol: order.symbol,
+    orderId: order.orderId,
+    side: order.side,
+    type: order.type,
+    status: order.status,
+    timeInForce: order.timeInForce,
+    price: parseFloat(order.price),
+    stopPrice: parseFloat(order.stopPrice),
+    origQty: parseFloat(order.origQty),
+    executedQty: parseFloat(order.executedQty),
+    time: order.time
+  }));
+}
+
+/**
+ * Fetch the account's trades for a symbol
+ * @param {string} symbol - Trading symbol
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Number of trades (default: 50, max: 1000)
+ * @param {number} options.startTime - Start time in ms
+ * @param {number} options.endTime - End time in ms (at most 24h after startTime)
+ * @param {number} options.fromId - Return trades from this trade ID on
+ * @returns {Promise<Object[]>} Trades, oldest first
+ */
+export async function fetchMyTrades(symbol, options = {}) {
+  const { limit = 50, startTime, endTime, fromId } = options;
+  const data = await request('/myTrades', {
+    symbol,
+    limit: Math.min(Math.max(limit, 1), MAX_MY_TRADES_LIMIT),
+    startTime,
+    endTime,
+    fromId
+  }, { signed: true });
+
+  return data.map(trade => ({
+    symbol: trade.symbol,
+    id: trade.id,
+    orderId: trade.orderId,
+    side: trade.isBuyer ? 'BUY' : 'SELL',
+    price: parseFloat(trade.price),
+    qty: parseFloat(trade.qty),
+    quoteQty: parseFloat(trade.quoteQty),
+    commission: parseFloat(trade.commission),
+    commissionAsset: trade.commissionAsset,
+    isMaker: trade.isMaker,
+    time: trade.time
+  }));
+}
+
+/**
+ * Get the USDT value of one unit of an asset
+ * Tries ASSETUSDT, then the inverse of USDTASSET (fiat), then ASSETBTC x BTCUSDT
+ * @param {string} asset - Asset (e.g., 'ETH', 'LDBTC')
+ * @param {Map<string, number>} prices - Map of symbol to price from fetchPrices()
+ * @returns {number|null} Rate, or null if the asset cannot be priced
+ */
+export function getUsdtRate(asset, prices) {
+  if (asset === VALUE_ASSET) {
+    return 1;
+  }
+
+  if (prices.has(`${asset}${VALUE_ASSET}`)) {
+    return prices.get(`${asset}${VALUE_ASSET}`);
+  }
+  if (prices.get(`${VALUE_ASSET}${asset}`) > 0) {
+    return 1 / prices.get(`${VALUE_ASSET}${asset}`);
+  }
+  if (prices.has(`${asset}BTC`) && prices.has(`BTC${VALUE_ASSET}`)) {
+    return prices.get(`${asset}BTC`) * prices.get(`BTC${VALUE_ASSET}`);
+  }
+
+  // Checked last, since real assets can start with LD too (e.g., LDO)
+  if (asset.startsWith(EARN_PREFIX) && asset.length > EARN_PREFIX.length) {
+    return getUsdtRate(asset.slice(EARN_PREFIX.length), prices);
+  }
+
+  return null;
+}
+
+/**
+ * Value balances in USDT
+ * @param {Object[]} balances - Balances from fetchAccount()
+ * @param {Map<string, number>} prices - Map of symbol to price from fetchPrices()
+ * @returns {Object} { balances: [... with price, value, share], totalValue, unpriced }
+ */
+export function valueBalances(balances, prices) {
+  const rows = balances.map(balance => {
+    const price = getUsdtRate(balance.asset, prices);
+    return { ...balance, price, value: price !== null ? balance.total * price : null };
+  });
+
+  const totalValue = rows.reduce((sum, row) => sum + (row.value || 0), 0);
+
+  for (const row of rows) {
+    row.share = row.value !== null && totalValue > 0 ? row.value / totalValue : null;
+  }
+
+  rows.sort((a, b) => (b.value || 0) - (a.value || 0) || a.asset.localeCompare(b.asset));
+
+  return {
+    balances: rows,
+    totalValue,
+    unpriced: rows.filter(row => row.value === null).map(row => row.asset)
+  };
+}
+
+/**
+ * Value open orders in USDT
+ * The unfilled quantity is valued at the order price (or the stop price for
+ * market stop orders), converted from the quote asset
+ * @param {Object[]} orders - Orders from fetchOpenOrders()
+ * @param {Map<string, string>} quoteAssets - Map of symbol to quote asset
+ * @param {Map<string, number>} prices - Map of symbol to price from fetchPrices()
+ * @returns {Object[]} Orders with remainingQty, lastPrice, distancePct and value
+ */
+export function valueOrders(orders, quoteAssets, prices) {
+  return orders.map(order => {
+    const remainingQty = order.origQty - order.executedQty;
+    const orderPrice = order.price || order.stopPrice;
+    const lastPrice = prices.has(order.symbol) ? prices.get(order.symbol) : null;
+    const rate = quoteAssets.has(order.symbol) ? getUsdtRate(quoteAssets.get(order.symbol), prices) : null;
+    const refPrice = orderPrice || lastPrice;
+
+    return {
+      ...order,
+      remainingQty,
+      lastPrice,
+      distancePct: orderPrice && lastPrice ? ((orderPrice - lastPrice) / lastPrice) * 100 : null,
+      value: rate !== null && refPrice ? remainingQty * refPrice * rate : null
+    };
+  });
+}
+
+/**
+ * Summarize trades and value them in USDT
+ * @param {Object[]} trades - Trades from fetchMyTrades()
+ * @param {number|null} quoteRate - USDT value of one unit of the symbol's quote asset
+ * @param {Map<string, number>} prices - Map of symbol to price, for valuing commissions
+ * @returns {Object} Buy/sell quantity, volume and average price, net quantity and commissions
+ */
+export function summarizeTrades(trades, quoteRate, prices) {
+  const side = (name) => {
+    const rows = trades.filter(t => t.side === name);
+    const qty = rows.reduce((sum, t) => sum + t.qty, 0);
+    const quoteQty = rows.reduce((sum, t) => sum + t.quoteQty, 0);
+    return {
+      count: rows.length,
+      qty,
+      quoteQty,
+      avgPrice: qty > 0 ? quoteQty / qty : null,
+      value: quoteRate !== null ? quoteQty * quoteRate : null
+    };
+  };
+
+  const commissions = new Map();
+  for (const trade of trades) {
+    commissions.set(trade.commissionAsset, (commissions.get(trade.commissionAsset) || 0) + trade.commission);
+  }
+
+  const buy = side('BUY');
+  const sell = side('SELL');
+
+  return {
+    count: trades.length,
+    buy,
+    sell,
+    netQty: buy.qty - sell.qty,
+    commissions: [...commissions.entries()].map(([asset, amount]) => {
+      const rate = getUsdtRate(asset, prices);
+      return { asset, amount, value: rate !== null ? amount * rate : null };
+    })
+  };
+}
@@ -3,19 +3,66 @@
  * Provides API access functions with built-in rate limiting
  */
 
-import fetch from 'node-fetch';
-import { HttpsProxyAgent } from 'https-proxy-agent';
-
-const BASE_URL = 'https://api.binance.com/api/v3';
-
-// Proxy configuration
-const PROXY_URL = process.env.HTTPS_PROXY || process.env.HTTP_PROXY || 'http://127.0.0.1:7897';
-const agent = new HttpsProxyAgent(PROXY_URL);
-
-// Rate limiting configuration
-const BATCH_SIZE = 20; // Number of symbols per batch
-const BATCH_DELAY = 1000; // Delay between batches (ms)
-const REQUEST_DELAY = 100; // Delay between requests (ms)
+import { transportFetch } from './transport.js';
+import { createApiError, RateLimitError, NetworkError, BinanceApiError } from './errors.js';
+import { loadCredentials, signPayload } from './signing.js';
+import { createRateLimiter, getRequestWeight } from './rate-limiter.js';
+import { runPool } from './pool.js';
+import {
+  readKlineCache,
+  writeKlineCache,
+  intervalToMs,
+  readExchangeInfoCache,
+  writeExchangeInfoCache
+} from './cache.js';
+import { saveFixture, loadFixture, saveRecordingTime, loadRecordingTime } from './fixtures.js';
+import { selectSymbols } from './universe.js';
+
+const DEFAULT_BASE_URL = 'https://api.binance.com/api/v3';
+const DEFAULT_FUTURES_BASE_URL = 'https://fapi.binance.com';
+
+// Endpoint and record/replay configuration, overridable via configureApi()
+const config = {
+  baseUrl: process.env.BINANCE_API_URL || DEFAULT_BASE_URL,
+  futuresBaseUrl: process.env.BINANCE_FAPI_URL || DEFAULT_FUTURES_BASE_URL,
+  recordDir: process.env.BINANCE_RECORD_DIR || null,
+  replayDir: process.env.BINANCE_REPLAY_DIR || null,
+  recvWindow: parseInt(process.env.BINANCE_RECV_WINDOW) || 5000
+};
+
+// Shared request weight limiter for every call made through this module
+export const rateLimiter = createRateLimiter();
+
+// Number of retries after a 429/418 response
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// Above this many symbols the all-symbols ticker costs the same weight as a symbols list
+const MAX_TICKER_SYMBOLS = 100;
+
+// Worker pool defaults for fetchKlinesBatch
+const DEFAULT_CONCURRENCY = 10;
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY = 500; // Base delay before a retry (ms), doubled per attempt
+
+// Binance error code for a timestamp outside recvWindow (clock drift)
+const TIMESTAMP_ERROR_CODE = -1021;
+
+// Server time minus local time (ms), measured by syncServerTime()
+let timeOffset = 0;
+let timeSynced = false;
+
+// Reference time of this run, fixed on first use (see getReferenceTime)
+let referenceTime = null;
+
+// In-flight or completed exchangeInfo request, shared by all callers
+let exchangeInfoPromise = null;
+
+// Maximum candles per /klines request
+const MAX_KLINES_LIMIT = 1000;
+
+// /aggTrades paging: rows per request and the longest startTime/endTime window allowed
+const MAX_AGG_TRADES_LIMIT = 1000;
+const AGG_TRADES_MAX_WINDOW = 3600000;
 
 /**
  * Delay utility for rate limiting
@@ -27,37 +74,289 @@ export async function delay(ms) {
 }
 
 /**
- * Get all USDT trading pairs from Binance
- * @returns {Promise<string[]>} Array of symbol names (e.g., ['BTCUSDT', 'ETHUSDT'])
+ * Configure the API endpoint and record/replay mode
+ * @param {Object} options - Configuration options
+ * @param {string} options.baseUrl - REST base URL (e.g., a local stand-in server)
+ * @param {string} options.futuresBaseUrl - USDⓈ-M futures REST base URL
+ * @param {string} options.recordDir - Save every API response to this directory
+ * @param {string} options.replayDir - Serve responses from this directory instead of the network
+ * @param {number} options.recvWindow - Validity of signed requests after their timestamp (ms, max 60000)
  */
-export async function getAllUSDTPairs() {
-  try {
-    const response = await fetch(`${BASE_URL}/exchangeInfo`, { agent });
+export function configureApi(options = {}) {
+  if (options.baseUrl) {
+    config.baseUrl = options.baseUrl.replace(/\/+$/, '');
+  }
+  if (options.futuresBaseUrl) {
+    config.futuresBaseUrl = options.futuresBaseUrl.replace(/\/+$/, '');
+  }
+  if (options.recordDir) {
+    config.recordDir = options.recordDir;
+  }
+  if (options.replayDir) {
+    config.replayDir = options.replayDir;
+  }
+  if (options.recvWindow !== undefined) {
+    config.recvWindow = options.recvWindow;
+  }
+
+  if (!(config.recvWindow > 0 && config.recvWindow <= 60000)) {
+    throw new Error(`Invalid recvWindow: ${config.recvWindow}. Expected 1-60000 ms`);
+  }
+
+  if (config.recordDir && config.replayDir) {
+    throw new Error('Record and replay mode cannot be used together');
+  }
+}
+
+/**
+ * Get the current API configuration
+ * @returns {Object} Base URL and record/replay directories
+ */
+export function getApiConfig() {
+  return { ...config };
+}
+
+/**
+ * Measure the offset between the server clock and the local clock
+ * Signed requests add it to their timestamp so a drifting local clock
+ * does not push them outside recvWindow
+ * @returns {Promise<number>} Server time minus local time (ms)
+ */
+export async function syncServerTime() {
+  const sent = Date.now();
+  const { serverTime } = await request('/time');
+  const received = Date.now();
+
+  // Assume the server read its clock halfway through the round trip
+  timeOffset = serverTime - Math.round((sent + received) / 2);
+  timeSynced = true;
+  return timeOffset;
+}
+
+/**
+ * Get the current time for defaults derived from the clock (e.g., the last hour of trades)
+ * The time is fixed on first use. Record mode saves it with the fixtures and
+ * replay mode returns the recorded time, so both send the same request parameters
+ * @returns {number} Server time (ms timestamp)
+ */
+export function getReferenceTime() {
+  if (referenceTime === null) {
+    if (config.replayDir) {
+      referenceTime = loadRecordingTime(config.replayDir);
+    } else {
+      referenceTime = Date.now() + timeOffset;
+      if (config.recordDir) {
+        saveRecordingTime(config.recordDir, referenceTime);
+      }
+    }
+  }
+  return referenceTime;
+}
+
+/**
+ * Build the query string of a signed request
+ * The signature covers the exact query string sent, including recvWindow and timestamp
+ * @param {Object} params - Query parameters
+ * @param {Object} signer - Credentials from loadCredentials()
+ * @returns {string} Query string ending in &signature=...
+ */
+function buildSignedQuery(params, signer) {
+  const query = new URLSearchParams({
+    ...params,
+    recvWindow: config.recvWindow,
+    timestamp: Date.now() + timeOffset
+  }).toString();
+  return `${query}&signature=${signPayload(query, signer)}`;
+}
+
+/**
+ * Send a GET request to the Binance API through the shared rate limiter
+ * Waits for request weight budget, syncs used weight from response headers
+ * and backs off exponentially on HTTP 429/418. In record mode every response
+ * is also saved as a fixture; in replay mode fixtures are served instead.
+ * Signed requests carry the API key header plus timestamp and signature, which
+ * are added per attempt and never saved in fixtures
+ * @param {string} path - Endpoint path (e.g., '/klines')
+ * @param {Object} params - Query parameters
+ * @param {Object} options - Request options
+ * @param {number} options.weight - Request weight (default: looked up by endpoint)
+ * @param {string} options.baseUrl - Base URL for other Binance APIs (default: spot base URL)
+ * @param {Object} options.limiter - Rate limiter for other Binance APIs (default: shared spot limiter)
+ * @param {boolean} options.signed - Sign the request with the configured API credentials
+ * @returns {Promise<any>} Parsed JSON response
+ */
+export async function request(path, params = {}, options = {}) {
+  const definedParams = Object.fromEntries(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+  );
+
+  if (config.replayDir) {
+    const fixture = loadFixture(config.replayDir, path, definedParams);
+
+    if (fixture.status < 200 || fixture.status >= 300) {
+      throw createApiError(fixture.status, fixture.body, { endpoint: path, symbol: definedParams.symbol });
+    }
+    return fixture.body;
+  }
+
+  const baseUrl = options.baseUrl || config.baseUrl;
+  const limiter = options.limiter || rateLimiter;
+  const weight = options.weight !== undefined ? options.weight : getRequestWeight(path, definedParams);
+  const signer = options.signed ? loadCredentials() : null;
+  const headers = signer ? { 'X-MBX-APIKEY': signer.apiKey } : {};
+  let resynced = false;
+
+  if (signer && !timeSynced) {
+    await syncServerTime();
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    await limiter.acquire(weight, path);
+
+    const query = signer ? buildSignedQuery(definedParams, signer) : new URLSearchParams(definedParams).toString();
+    const url = `${baseUrl}${path}${query ? `?${query}` : ''}`;
+    const response = await transportFetch(url, { headers });
+    limiter.update(response.headers);
+
+    if (response.status === 429 || response.status === 418) {
+      const wait = limiter.backoff(response.status, response.headers.get('retry-after'));
+
+      if (wait < 0 || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        const retryAfter = response.headers.get('retry-after');
+        const reason = response.status === 418 ? 'IP banned' : 'Rate limit exceeded';
+        throw new RateLimitError(`${reason} (HTTP ${response.status}), retry after ${retryAfter || '?'}s`, {
+          status: response.status,
+          endpoint: path,
+          retryAfter: retryAfter ? parseInt(retryAfter) : null,
+          banned: response.status === 418
+        });
+      }
+      continue;
+    }
+
+    limiter.succeed();
+
+    const text = await response.text();
+    let body = null;
+    try {
+      body = JSON.parse(text);
+    } catch {
+      // Non-JSON bodies (e.g., proxy error pages) are reported via the status text
+    }
+
+    if (config.recordDir) {
+      saveFixture(config.recordDir, path, definedParams, response.status, body);
+    }
+
+    // The local clock drifted since the last sync: resync once and sign again
+    if (signer && !resynced && body && body.code === TIMESTAMP_ERROR_CODE) {
+      resynced = true;
+      await syncServerTime();
+      continue;
+    }
 
     if (!response.ok) {
-      throw new Error(`Failed to fetch exchange info: ${response.statusText}`);
+      throw createApiError(response.status, body, {
+        endpoint: path,
+        symbol: definedParams.symbol,
+        fallback: response.statusText
+      });
+    }
+    if (body === null) {
+      throw createApiError(response.status, null, { endpoint: path, fallback: `Invalid JSON response from ${path}` });
     }
 
-    const data = await response.json();
+    return body;
+  }
+}
 
-    // Filter for USDT pairs that are currently trading
-    const usdtPairs = data.symbols
-      .filter(symbol =>
-        symbol.quoteAsset === 'USDT' &&
-        symbol.status === 'TRADING' &&
-        !symbol.symbol.includes('UP') &&
-        !symbol.symbol.includes('DOWN') &&
-        !symbol.symbol.includes('BULL') &&
-        !symbol.symbol.includes('BEAR')
-      )
-      .map(symbol => symbol.symbol);
+/**
+ * Check whether a failed request is worth retrying
+ * Network errors and 5xx responses are transient; 4xx, proxy authentication
+ * failures and exhausted rate limit retries are not
+ * @param {Error} error - Error thrown by request()
+ * @returns {boolean} True if the request may succeed on retry
+ */
+function isTransientError(error) {
+  if (error instanceof NetworkError) {
+    return error.status === undefined;
+  }
+  return error instanceof BinanceApiError && !(error instanceof RateLimitError) && error.status >= 500;
+}
 
-    return usdtPairs.sort();
+/**
+ * Run an async function, retrying transient failures with exponential delay
+ * @param {Function} fn - Async function to run
+ * @param {number} retries - Number of retries after the first attempt
+ * @returns {Promise<any>} Result of fn
+ */
+async function withRetry(fn, retries) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries || !isTransientError(error)) {
+        throw error;
+      }
+      await delay(RETRY_DELAY * Math.pow(2, attempt));
+    }
+  }
+}
 
-  } catch (error) {
-    console.error('Error fetching USDT pairs:', error.message);
-    throw error;
+/**
+ * Fetch exchange trading rules and symbol metadata
+ * The response is kept in memory for the lifetime of the process. With the
+ * cache option a copy of the symbol list less than an hour old is read from
+ * disk instead (record/replay runs always hit the API)
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.cache - Use the on-disk exchangeInfo cache (default: false)
+ * @returns {Promise<Object>} exchangeInfo response (cached copies hold only { symbols })
+ */
+export async function fetchExchangeInfo(options = {}) {
+  const useCache = options.cache && !config.recordDir && !config.replayDir;
+
+  if (!exchangeInfoPromise) {
+    exchangeInfoPromise = (async () => {
+      const cached = useCache ? readExchangeInfoCache('spot') : null;
+      if (cached) {
+        return cached;
+      }
+
+      const data = await request('/exchangeInfo');
+      if (useCache) {
+        writeExchangeInfoCache('spot', data);
+      }
+      return data;
+    })().catch(error => {
+      exchangeInfoPromise = null;
+      throw error;
+    });
   }
+  return await exchangeInfoPromise;
+}
+
+/**
+ * Get trading pairs selected by exchangeInfo metadata
+ * @param {Object} options - Selection options (see selectSymbols)
+ * @param {string|string[]} options.quoteAsset - Quote asset(s) (default: 'USDT')
+ * @param {string[]} options.include - Only keep these base assets or symbols
+ * @param {string[]} options.exclude - Drop these base assets or symbols
+ * @param {boolean} options.excludeStables - Drop stablecoin base assets (default: false)
+ * @param {boolean} options.cache - Use the on-disk exchangeInfo cache (default: false)
+ * @returns {Promise<string[]>} Array of symbol names
+ */
+export async function getTradingPairs(options = {}) {
+  const { cache = false, ...selection } = options;
+  const data = await fetchExchangeInfo({ cache });
+  return selectSymbols(data.symbols, selection);
+}
+
+/**
+ * Get all USDT trading pairs from Binance
+ * @returns {Promise<string[]>} Array of symbol names (e.g., ['BTCUSDT', 'ETHUSDT'])
+ */
+export async function getAllUSDTPairs() {
+  return await getTradingPairs({ quoteAsset: 'USDT' });
 }
 
 /**
@@ -65,146 +364,371 @@ export async function getAllUSDTPairs() {
  * @param {string} symbol - Trading symbol
  * @param {string} interval - Kline interval
  * @param {number} limit - Number of candles
- * @returns {Promise<Array|null>} Kline data or null if failed
+ * @param {Object} options - Fetch options
+ * @param {number} options.retries - Retries for transient failures (default: 0)
+ * @param {number} options.startTime - Open time of the first candle (ms)
+ * @param {number} options.endTime - Open time of the last candle (ms)
+ * @param {boolean} options.cache - Use the on-disk kline cache (default: false)
+ * @param {boolean} options.refresh - Ignore cached candles and rewrite the cache (default: false)
+ * @returns {Promise<Array>} Kline data
  */
-export async function fetchKlines(symbol, interval = '4h', limit = 100) {
-  try {
-    const url = `${BASE_URL}/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`;
-    const response = await fetch(url, { agent });
+export async function fetchKlines(symbol, interval = '4h', limit = 100, options = {}) {
+  const { retries = 0, startTime, endTime, cache = false, refresh = false } = options;
+
+  // Ranged requests are historical lookups, the cache only serves the latest candles.
+  // Record/replay runs bypass it so that every request is captured or served as-is
+  const useCache = cache && !config.recordDir && !config.replayDir;
+  if (useCache && startTime === undefined && endTime === undefined) {
+    return await fetchKlinesCached(symbol, interval, limit, retries, refresh);
+  }
 
-    if (!response.ok) {
-      console.error(`Failed to fetch klines for ${symbol}: ${response.statusText}`);
-      return null;
+  return await withRetry(
+    () => request('/klines', { symbol, interval, limit, startTime, endTime }),
+    retries
+  );
+}
+
+/**
+ * Fetch the latest klines through the on-disk cache
+ * Only candles after the last cached close time are downloaded; entries that
+ * are too short or too stale to extend are replaced by a full download
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Kline interval
+ * @param {number} limit - Number of candles
+ * @param {number} retries - Retries for transient failures
+ * @param {boolean} refresh - Ignore cached candles
+ * @returns {Promise<Array>} Kline data
+ */
+async function fetchKlinesCached(symbol, interval, limit, retries, refresh) {
+  const cached = refresh ? null : readKlineCache(symbol, interval);
+
+  let klines;
+  if (cached) {
+    const lastCloseTime = cached[cached.length - 1][6];
+    const missing = Math.ceil((Date.now() - lastCloseTime) / intervalToMs(interval)) + 1;
+
+    // Extend only if cached plus new candles cover the requested limit
+    if (missing <= MAX_KLINES_LIMIT && cached.length + missing >= limit) {
+      const newer = await withRetry(
+        () => request('/klines', { symbol, interval, startTime: lastCloseTime + 1, limit: Math.min(missing + 1, MAX_KLINES_LIMIT) }),
+        retries
+      );
+
+      // The first new candle must open right after the cached one closed,
+      // and the estimate above may have counted candles that do not exist yet
+      const extended = cached.concat(newer);
+      if ((newer.length === 0 || newer[0][0] === lastCloseTime + 1) && extended.length >= limit) {
+        klines = extended;
+      }
     }
+  }
+
+  if (!klines) {
+    klines = await withRetry(() => request('/klines', { symbol, interval, limit }), retries);
+  }
 
-    return await response.json();
+  writeKlineCache(symbol, interval, klines, Math.max(limit, MAX_KLINES_LIMIT));
+  return klines.slice(-limit);
+}
 
-  } catch (error) {
-    console.error(`Error fetching klines for ${symbol}:`, error.message);
-    return null;
+/**
+ * Fetch all klines between two dates, paging through the 1000-candle limit
+ * Pages are de-duplicated on open time and returned as one contiguous series
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Kline interval
+ * @param {number} startTime - Range start (ms timestamp)
+ * @param {number|null} endTime - Range end (ms timestamp); null leaves it to Binance (now),
+ *   which also keeps recorded request keys independent of the clock (default: null)
+ * @param {Object} options - Fetch options
+ * @param {number} options.retries - Retries per page for transient failures (default: 2)
+ * @param {Function} options.onPage - Optional callback (candlesSoFar, lastOpenTime) after each page
+ * @returns {Promise<Array>} Kline data sorted by open time
+ */
+export async function fetchKlinesRange(symbol, interval, startTime, endTime = null, options = {}) {
+  const { retries = DEFAULT_RETRIES, onPage = null } = options;
+
+  if (endTime !== null && startTime > endTime) {
+    throw new Error('Range start must be before range end');
   }
+
+  const byOpenTime = new Map();
+  let cursor = startTime;
+
+  while (endTime === null || cursor <= endTime) {
+    const page = await withRetry(
+      () => request('/klines', { symbol, interval, startTime: cursor, endTime, limit: MAX_KLINES_LIMIT }),
+      retries
+    );
+
+    if (page.length === 0) {
+      break;
+    }
+
+    for (const kline of page) {
+      byOpenTime.set(kline[0], kline);
+    }
+
+    const lastOpenTime = page[page.length - 1][0];
+    if (onPage) {
+      onPage(byOpenTime.size, lastOpenTime);
+    }
+
+    // A short page means we reached the end of the range (or of the listing)
+    if (page.length < MAX_KLINES_LIMIT || lastOpenTime < cursor) {
+      break;
+    }
+
+    cursor = lastOpenTime + 1;
+  }
+
+  return Array.from(byOpenTime.values()).sort((a, b) => a[0] - b[0]);
 }
 
 /**
- * Fetch kline data for multiple symbols in batches with rate limiting
+ * Fetch kline data for multiple symbols with a bounded-concurrency worker pool
+ * Every request still goes through the shared rate limiter, so the pool
+ * slows down automatically when the weight budget runs low. Per-symbol
+ * failures are collected; a RateLimitError aborts the whole batch
  * @param {string[]} symbols - Array of trading symbols
  * @param {string} interval - Kline interval
  * @param {number} limit - Number of candles
  * @param {Function} progressCallback - Optional progress callback
- * @returns {Promise<Map<string, Array>>} Map of symbol to kline data
+ * @param {Object} options - Fetch options
+ * @param {number} options.concurrency - Number of parallel requests (default: 10)
+ * @param {number} options.retries - Retries per symbol for transient failures (default: 2)
+ * @param {boolean} options.cache - Use the on-disk kline cache (default: false)
+ * @param {boolean} options.refresh - Ignore cached candles and rewrite the cache (default: false)
+ * @returns {Promise<Object>} { results: Map of symbol to kline data, failures: Map of symbol to Error }
  */
-export async function fetchKlinesBatch(symbols, interval = '4h', limit = 100, progressCallback = null) {
+export async function fetchKlinesBatch(symbols, interval = '4h', limit = 100, progressCallback = null, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    cache = false,
+    refresh = false
+  } = options;
   const results = new Map();
+  const failures = new Map();
   const totalSymbols = symbols.length;
   let processed = 0;
 
-  // Process symbols in batches
-  for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
-    const batch = symbols.slice(i, Math.min(i + BATCH_SIZE, symbols.length));
-
-    // Fetch klines for each symbol in the batch
-    for (const symbol of batch) {
-      const klines = await fetchKlines(symbol, interval, limit);
-      if (klines && klines.length > 0) {
-        results.set(symbol, klines);
-      }
-
-      processed++;
-      if (progressCallback) {
-        progressCallback(processed, totalSymbols, symbol);
+  const klinesList = await runPool(symbols, async (symbol) => {
+    let klines = null;
+    try {
+      klines = await fetchKlines(symbol, interval, limit, { retries, cache, refresh });
+    } catch (error) {
+      // Every further request would hit the same limit or ban
+      if (error instanceof RateLimitError) {
+        throw error;
       }
+      failures.set(symbol, error);
+    }
 
-      // Delay between requests
-      await delay(REQUEST_DELAY);
+    processed++;
+    if (progressCallback) {
+      progressCallback(processed, totalSymbols, symbol);
     }
 
-    // Delay between batches (except for the last batch)
-    if (i + BATCH_SIZE < symbols.length) {
-      await delay(BATCH_DELAY);
+    return klines;
+  }, concurrency);
+
+  // Keep the input order in the result map
+  symbols.forEach((symbol, i) => {
+    const klines = klinesList[i];
+    if (klines && klines.length > 0) {
+      results.set(symbol, klines);
     }
-  }
+  });
 
-  return results;
+  return { results, failures };
 }
 
 /**
  * Fetch current price for a single symbol
  * @param {string} symbol - Trading symbol
- * @returns {Promise<number|null>} Current price or null if failed
+ * @returns {Promise<number>} Current price
  */
 export async function fetchPrice(symbol) {
-  try {
-    const response = await fetch(`${BASE_URL}/ticker/price?symbol=${symbol}`, { agent });
-
-    if (!response.ok) {
-      return null;
-    }
-
-    const data = await response.json();
-    return parseFloat(data.price);
-
-  } catch (error) {
-    console.error(`Error fetching price for ${symbol}:`, error.message);
-    return null;
-  }
+  const data = await request('/ticker/price', { symbol });
+  return parseFloat(data.price);
 }
 
 /**
  * Fetch 24hr ticker data for a single symbol
  * @param {string} symbol - Trading symbol
- * @returns {Promise<Object|null>} Ticker data or null if failed
+ * @returns {Promise<Object>} Ticker data
  */
 export async function fetchTicker24hr(symbol) {
-  try {
-    const response = await fetch(`${BASE_URL}/ticker/24hr?symbol=${symbol}`, { agent });
-
-    if (!response.ok) {
-      return null;
-    }
+  return await request('/ticker/24hr', { symbol });
+}
 
-    return await response.json();
+/**
+ * Fetch 24hr ticker data for many symbols in one request
+ * Uses the symbols=[...] form, or the all-symbols form when no symbols are given
+ * Throws if any of the symbols is invalid
+ * @param {string[]|null} symbols - Array of trading symbols, or null for all
+ * @returns {Promise<Object[]>} Array of ticker data
+ */
+export async function fetchTickers24hr(symbols = null) {
+  const params = symbols ? { symbols: JSON.stringify(symbols) } : {};
+  return await request('/ticker/24hr', params);
+}
 
-  } catch (error) {
-    console.error(`Error fetching ticker for ${symbol}:`, error.message);
-    return null;
-  }
+/**
+ * Fetch current prices for many symbols in one request
+ * Uses the symbols=[...] form, or the all-symbols form when no symbols are given
+ * Throws if any of the symbols is invalid
+ * @param {string[]|null} symbols - Array of trading symbols, or null for all
+ * @returns {Promise<Map<string, number>>} Map of symbol to price
+ */
+export async function fetchPrices(symbols = null) {
+  const params = symbols ? { symbols: JSON.stringify(symbols) } : {};
+  const data = await request('/ticker/price', params);
+  return new Map(data.map(ticker => [ticker.symbol, parseFloat(ticker.price)]));
 }
 
 /**
- * Fetch 24hr ticker data for multiple symbols in batches
+ * Fetch 24hr ticker data for multiple symbols with a single bulk request
+ * Large symbol lists are served from the all-symbols ticker, which costs
+ * the same request weight as a list of more than 100 symbols
  * @param {string[]} symbols - Array of trading symbols
  * @returns {Promise<Map<string, Object>>} Map of symbol to ticker data
  */
 export async function fetchTickerBatch(symbols) {
   const results = new Map();
 
-  for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
-    const batch = symbols.slice(i, Math.min(i + BATCH_SIZE, symbols.length));
+  if (symbols.length === 0) {
+    return results;
+  }
+
+  const tickers = symbols.length > MAX_TICKER_SYMBOLS
+    ? await fetchTickers24hr()
+    : await fetchTickers24hr(symbols);
+
+  const wanted = new Set(symbols);
+  for (const ticker of tickers) {
+    if (wanted.has(ticker.symbol)) {
+      results.set(ticker.symbol, ticker);
+    }
+  }
+
+  return results;
+}
 
-    const promises = batch.map(async (symbol) => {
-      const ticker = await fetchTicker24hr(symbol);
-      if (ticker) {
-        results.set(symbol, ticker);
+/**
+ * Fetch an order book snapshot
+ * @param {string} symbol - Trading symbol
+ * @param {number} limit - Number of levels per side (max 5000, default: 1000)
+ * @returns {Promise<Object>} Depth data { lastUpdateId, bids, asks }
+ */
+export async function fetchDepth(symbol, limit = 1000) {
+  return await request('/depth', { symbol, limit });
+}
+
+/**
+ * Fetch best bid/ask price and quantity for a symbol
+ * @param {string} symbol - Trading symbol
+ * @returns {Promise<Object>} Book ticker { symbol, bidPrice, bidQty, askPrice, askQty }
+ */
+export async function fetchBookTicker(symbol) {
+  return await request('/ticker/bookTicker', { symbol });
+}
+
+/**
+ * Fetch all aggregated trades in a time range
+ * The first page is located by time (at most one hour per request), the
+ * rest is paged by trade id with fromId until the end of the range
+ * @param {string} symbol - Trading symbol
+ * @param {number} startTime - Range start (ms timestamp)
+ * @param {number} endTime - Range end (ms timestamp) (default: getReferenceTime())
+ * @param {Object} options - Fetch options
+ * @param {number} options.retries - Retries per page for transient failures (default: 2)
+ * @param {Function} options.onPage - Optional callback (tradesSoFar, lastTradeTime) after each page
+ * @returns {Promise<Array>} Raw aggTrades rows sorted by id
+ */
+export async function fetchAggTrades(symbol, startTime, endTime = getReferenceTime(), options = {}) {
+  const { retries = DEFAULT_RETRIES, onPage = null } = options;
+
+  if (startTime > endTime) {
+    throw new Error('Range start must be before range end');
+  }
+
+  const trades = [];
+  let windowStart = startTime;
+  let fromId = null;
+
+  for (;;) {
+    let page;
+
+    if (fromId === null) {
+      // Find the first trade, one hour window at a time
+      if (windowStart > endTime) {
+        break;
       }
-    });
+      const windowEnd = Math.min(windowStart + AGG_TRADES_MAX_WINDOW - 1, endTime);
+      page = await withRetry(
+        () => request('/aggTrades', { symbol, startTime: windowStart, endTime: windowEnd, limit: MAX_AGG_TRADES_LIMIT }),
+        retries
+      );
+
+      if (page.length === 0) {
+        windowStart = windowEnd + 1;
+        continue;
+      }
+    } else {
+      page = await withRetry(
+        () => request('/aggTrades', { symbol, fromId, limit: MAX_AGG_TRADES_LIMIT }),
+        retries
+      );
+    }
+
+    let reachedEnd = false;
+    for (const trade of page) {
+      if (trade.T > endTime) {
+        reachedEnd = true;
+        break;
+      }
+      trades.push(trade);
+    }
 
-    await Promise.all(promises);
+    if (onPage && trades.length > 0) {
+      onPage(trades.length, trades[trades.length - 1].T);
+    }
 
-    if (i + BATCH_SIZE < symbols.length) {
-      await delay(BATCH_DELAY);
+    // A page from the time window may end early; keep paging by id until the range ends
+    if (reachedEnd || (fromId !== null && page.length < MAX_AGG_TRADES_LIMIT)) {
+      break;
     }
+
+    fromId = page[page.length - 1].a + 1;
   }
 
-  return results;
+  return trades;
+}
+
+/**
+ * Drop the last kline if it is still forming
+ * A kline is closed once its close time (index 6) has passed
+ * @param {Array} klines - Raw kline data from Binance
+ * @param {number} now - Reference time in ms (default: getReferenceTime(), the recorded
+ *   run's time when replaying)
+ * @returns {Array} Closed klines
+ */
+export function dropOpenCandle(klines, now = getReferenceTime()) {
+  if (klines.length > 0 && klines[klines.length - 1][6] >= now) {
+    return klines.slice(0, -1);
+  }
+  return klines;
 }
 
 /**
  * Parse kline data into OHLC arrays
  * @param {Array} klines - Raw kline data from Binance
- * @returns {Object} Object with opens, highs, lows, closes, volumes arrays
+ * @returns {Object} Object with times (open time, ms), opens, highs, lows, closes, volumes arrays
  */
 export function parseKlines(klines) {
   return {
+    times: klines.map(k => k[0]),
     opens: klines.map(k => parseFloat(k[1])),
     highs: klines.map(k => parseFloat(k[2])),
     lows: klines.map(k => parseFloat(k[3])),
@@ -0,0 +1,179 @@
+/**
+ * On-Disk Kline Cache
+ * Stores closed candles per symbol and interval so repeated scans only
+ * download candles newer than the last cached close time
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const CACHE_DIR = process.env.BINANCE_CACHE_DIR || path.join(os.homedir(), '.cache', 'binance-skill');
+
+// Approximate interval lengths, used to decide when a cache entry is too stale to extend
+const INTERVAL_MS = {
+  '1m': 60000,
+  '3m': 3 * 60000,
+  '5m': 5 * 60000,
+  '15m': 15 * 60000,
+  '30m': 30 * 60000,
+  '1h': 3600000,
+  '2h': 2 * 3600000,
+  '4h': 4 * 3600000,
+  '6h': 6 * 3600000,
+  '8h': 8 * 3600000,
+  '12h': 12 * 3600000,
+  '1d': 86400000,
+  '3d': 3 * 86400000,
+  '1w': 7 * 86400000,
+  '1M': 31 * 86400000
+};
+
+/**
+ * Get the approximate length of a kline interval
+ * @param {string} interval - Kline interval
+ * @returns {number} Interval length in ms
+ */
+export function intervalToMs(interval) {
+  const ms = INTERVAL_MS[interval];
+  if (!ms) {
+    throw new Error(`Unknown interval: ${interval}`);
+  }
+  return ms;
+}
+
+/**
+ * Get the cache file path for a symbol and interval
+ * '1M' is renamed so it does not collide with '1m' on case-insensitive filesystems
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Kline interval
+ * @returns {string} Cache file path
+ */
+function getCachePath(symbol, interval) {
+  const intervalName = interval === '1M' ? '1mon' : interval;
+  return path.join(CACHE_DIR, 'klines', `${symbol}_${intervalName}.json`);
+}
+
+/**
+ * Check that cached candles form a contiguous series
+ * Each candle must open right after the previous one closed
+ * @param {Array} klines - Kline data
+ * @returns {boolean} True if there are no gaps or overlaps
+ */
+export function isContiguous(klines) {
+  for (let i = 1; i < klines.length; i++) {
+    if (klines[i][0] !== klines[i - 1][6] + 1) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Read cached closed candles
+ * Corrupt or non-contiguous entries are treated as a cache miss
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Kline interval
+ * @returns {Array|null} Cached kline data or null if missing
+ */
+export function readKlineCache(symbol, interval) {
+  try {
+    const data = JSON.parse(fs.readFileSync(getCachePath(symbol, interval), 'utf8'));
+
+    if (!Array.isArray(data.klines) || data.klines.length === 0 || !isContiguous(data.klines)) {
+      return null;
+    }
+
+    return data.klines;
+
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write closed candles to the cache
+ * Candles that have not closed yet are dropped; the file is replaced atomically
+ * so that overlapping runs never read a half-written entry
+ * @param {string} symbol - Trading symbol
+ * @param {string} interval - Kline interval
+ * @param {Array} klines - Kline data
+ * @param {number} maxCandles - Maximum candles to keep (default: 1000)
+ */
+export function writeKlineCache(symbol, interval, klines, maxCandles = 1000) {
+  const now = Date.now();
+  const closed = klines.filter(k => k[6] < now).slice(-maxCandles);
+
+  if (closed.length === 0) {
+    return;
+  }
+
+  const file = getCachePath(symbol, interval);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify({ symbol, interval, updatedAt: now, klines: closed }));
+    fs.renameSync(tmpFile, file);
+  } catch (error) {
+    // A read-only or full disk should not break the scan
+    console.error(`Error writing kline cache for ${symbol}:`, error.message);
+  }
+}
+
+// exchangeInfo changes rarely; reuse a cached copy for this long
+const EXCHANGE_INFO_MAX_AGE = 3600000;
+
+// Symbol fields kept in the cached exchangeInfo (the full response is several MB)
+const EXCHANGE_INFO_FIELDS = [
+  'symbol', 'status', 'baseAsset', 'quoteAsset', 'permissions', 'permissionSets',
+  'isSpotTradingAllowed', 'contractType'
+];
+
+/**
+ * Read a cached exchangeInfo symbol list
+ * @param {string} name - Cache name (e.g., 'spot', 'futures')
+ * @returns {Object|null} { symbols } or null if missing or older than one hour
+ */
+export function readExchangeInfoCache(name) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(CACHE_DIR, `exchangeInfo_${name}.json`), 'utf8'));
+
+    if (!Array.isArray(data.symbols) || Date.now() - data.updatedAt > EXCHANGE_INFO_MAX_AGE) {
+      return null;
+    }
+
+    return { symbols: data.symbols };
+
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write the symbol list of an exchangeInfo response to the cache
+ * @param {string} name - Cache name (e.g., 'spot', 'futures')
+ * @param {Object} exchangeInfo - exchangeInfo response
+ */
+export function writeExchangeInfoCache(name, exchangeInfo) {
+  const symbols = exchangeInfo.symbols.map(info => {
+    const slim = {};
+    for (const field of EXCHANGE_INFO_FIELDS) {
+      if (info[field] !== undefined) {
+        slim[field] = info[field];
+      }
+    }
+    return slim;
+  });
+
+  const file = path.join(CACHE_DIR, `exchangeInfo_${name}.json`);
+  const tmpFile = `${file}.${process.pid}.tmp`;
+
+  try {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(tmpFile, JSON.stringify({ updatedAt: Date.now(), symbols }));
+    fs.renameSync(tmpFile, file);
+  } catch (error) {
+    console.error(`Error writing exchangeInfo cache:`, error.message);
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Swing Pivots and Divergence Detection
+ * Finds swing highs/lows on price and oscillators and compares the last two
+ * swings for regular and hidden divergences
+ */
+
+// Oscillators checked for divergence
+export const DIVERGENCE_SOURCES = ['rsi', 'macd', 'obv'];
+
+// Divergence kinds as used by filters
+export const DIVERGENCE_KINDS = ['bullish', 'bearish', 'hidden-bullish', 'hidden-bearish'];
+
+/**
+ * Find swing highs and lows
+ * A pivot high is above the strength values before it and not below the
+ * strength values after it (lows mirrored), so a pivot is confirmed only
+ * strength candles later
+ * @param {Array<number|null>} values - Series; null entries (warm-up) are never pivots
+ * @param {number} strength - Values required on each side (default: 3)
+ * @returns {Object} { highs, lows } arrays of indices, oldest first
+ */
+export function findPivots(values, strength = 3) {
+  const highs = [];
+  const lows = [];
+
+  for (let i = strength; i < values.length - strength; i++) {
+    const value = values[i];
+    if (value === null || value === undefined) {
+      continue;
+    }
+
+    let isHigh = true;
+    let isLow = true;
+    for (let j = i - strength; j <= i + strength && (isHigh || isLow); j++) {
+      if (j === i) {
+        continue;
+      }
+      const other = values[j];
+      if (other === null || other === undefined) {
+        isHigh = false;
+        isLow = false;
+        break;
+      }
+      if (j < i ? other >= value : other > value) {
+        isHigh = false;
+      }
+      if (j < i ? other <= value : other < value) {
+        isLow = false;
+      }
+    }
+
+    if (isHigh) {
+      highs.push(i);
+    }
+    if (isLow) {
+      lows.push(i);
+    }
+  }
+
+  return { highs, lows };
+}
+
+/**
+ * Pad an indicator series at the front so it lines up with the price series
+ * @param {number[]} values - Indicator values (shorter by the warm-up)
+ * @param {number} length - Length of the price series
+ * @returns {Array<number|null>} Series of the given length
+ */
+export function alignSeries(values, length) {
+  return [...new Array(Math.max(0, length - values.length)).fill(null), ...values.slice(-length)];
+}
+
+/**
+ * Find the oscillator pivot closest to a price pivot
+ * @param {number[]} pivots - Oscillator pivot indices
+ * @param {number} index - Price pivot index
+ * @param {number} strength - Maximum distance
+ * @returns {number|null} Oscillator pivot index
+ */
+function nearestPivot(pivots, index, strength) {
+  let best = null;
+  for (const pivot of pivots) {
+    if (Math.abs(pivot - index) <= strength && (best === null || Math.abs(pivot - index) < Math.abs(best - index))) {
+      best = pivot;
+    }
+  }
+  return best;
+}
+
+/**
+ * Compare the last two swings of one side
+ * @param {number[]} pricePivots - Price pivot indices
+ * @param {number[]} oscillatorPivots - Oscillator pivot indices
+ * @param {number[]} prices - Highs for swing highs, lows for swing lows
+ * @param {Array<number|null>} oscillator - Aligned oscillator series
+ * @param {Object} options - { from, strength, lows }
+ * @returns {Object|null} Divergence, or null
+ */
+function compareSwings(pricePivots, oscillatorPivots, prices, oscillator, options) {
+  const { from, strength, lows } = options;
+  const recent = pricePivots.filter(i => i >= from).slice(-2);
+  if (recent.length < 2) {
+    return null;
+  }
+
+  const pivots = recent.map(index => {
+    const oscIndex = nearestPivot(oscillatorPivots, index, strength);
+    return oscIndex === null ? null : { index, price: prices[index], oscIndex, value: oscillator[oscIndex] };
+  });
+  if (pivots.includes(null)) {
+    return null;
+  }
+
+  const [first, second] = pivots;
+  const priceRising = second.price > first.price;
+  const priceFalling = second.price < first.price;
+  const oscRising = second.value > first.value;
+  const oscFalling = second.value < first.value;
+
+  // Lows: lower price low with a higher oscillator low is regular bullish,
+  // a higher price low with a lower oscillator low is hidden bullish
+  // Highs: higher price high with a lower oscillator high is regular bearish,
+  // a lower price high with a higher oscillator high is hidden bearish
+  let type = null;
+  if (lows) {
+    type = priceFalling && oscRising ? 'regular' : priceRising && oscFalling ? 'hidden' : null;
+  } else {
+    type = priceRising && oscFalling ? 'regular' : priceFalling && oscRising ? 'hidden' : null;
+  }
+
+  return type ? { type, direction: lows ? 'bullish' : 'bearish', pivots } : null;
+}
+
+/**
+ * Detect divergences between price and an oscillator
+ * Only the last two price swings of each side within the lookback are compared,
+ * each paired with the nearest oscillator swing within strength candles
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {Array<number|null>} oscillator - Oscillator aligned with the prices (see alignSeries)
+ * @param {Object} options - Detection options
+ * @param {number} options.lookback - Candles searched for swings (default: 60)
+ * @param {number} options.strength - Pivot strength (default: 3)
+ * @returns {Object[]} [{ type: 'regular'|'hidden', direction: 'bullish'|'bearish', pivots: [{ index, price, oscIndex, value }] }]
+ */
+export function detectDivergences(highs, lows, oscillator, options = {}) {
+  const { lookback = 60, strength = 3 } = options;
+  const from = Math.max(0, highs.length - lookback);
+
+  const pricePivots = {
+    highs: findPivots(highs, strength).highs,
+    lows: findPivots(lows, strength).lows
+  };
+  const oscillatorPivots = findPivots(oscillator, strength);
+
+  return [
+    compareSwings(pricePivots.lows, oscillatorPivots.lows, lows, oscillator, { from, strength, lows: true }),
+    compareSwings(pricePivots.highs, oscillatorPivots.highs, highs, oscillator, { from, strength, lows: false })
+  ].filter(Boolean);
+}
+
+/**
+ * Name a divergence as used by filters (e.g., 'bullish', 'hidden-bearish')
+ * @param {Object} divergence - Divergence from detectDivergences()
+ * @returns {string} Kind
+ */
+export function getDivergenceKind(divergence) {
+  return divergence.type === 'hidden' ? `hidden-${divergence.direction}` : divergence.direction;
+}
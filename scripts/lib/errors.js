@@ -0,0 +1,222 @@
+/**
+ * Error Types
+ * Thrown by the API layer so callers can tell an invalid symbol from a rate
+ * limit or IP ban, from a network failure; the CLIs map them to exit codes
+ */
+
+// Process exit codes used by the CLIs
+export const EXIT_CODES = {
+  ERROR: 1,
+  USAGE: 2,
+  INVALID_SYMBOL: 3,
+  API: 4,
+  RATE_LIMIT: 5,
+  NETWORK: 6,
+  AUTH: 7,
+  FIXTURE: 8
+};
+
+// Binance error code for an unknown or delisted symbol
+const INVALID_SYMBOL_CODE = -1121;
+
+// Binance error codes for a rejected signature, API key or permission
+// -1022 invalid signature, -2014 bad API key format, -2015 invalid key, IP or permissions
+const AUTH_CODES = new Set([-1022, -2014, -2015]);
+
+/**
+ * Base class for all errors raised by this package
+ */
+export class BinanceError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { cause }
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = new.target.name;
+  }
+}
+
+/**
+ * Error response from a Binance endpoint
+ */
+export class BinanceApiError extends BinanceError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Response details
+   * @param {number} details.status - HTTP status
+   * @param {number} details.code - Binance error code (e.g., -1121)
+   * @param {string} details.msg - Binance error message
+   * @param {string} details.endpoint - Endpoint path
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.status = details.status;
+    this.code = details.code;
+    this.msg = details.msg;
+    this.endpoint = details.endpoint;
+  }
+}
+
+/**
+ * Request weight exceeded (HTTP 429) or IP banned (HTTP 418)
+ */
+export class RateLimitError extends BinanceApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - BinanceApiError details plus { retryAfter, banned }
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter !== undefined ? details.retryAfter : null;
+    this.banned = Boolean(details.banned);
+  }
+}
+
+/**
+ * Missing or rejected API credentials
+ */
+export class AuthenticationError extends BinanceApiError {}
+
+/**
+ * The API or proxy could not be reached
+ */
+export class NetworkError extends BinanceError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { code, proxy, status, cause }
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.code = details.code;
+    this.proxy = details.proxy || null;
+    this.status = details.status;
+  }
+}
+
+/**
+ * Symbol not listed, not trading, or rejected by Binance (code -1121)
+ */
+export class InvalidSymbolError extends BinanceError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { symbol, suggestions, status, code }
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.symbol = details.symbol;
+    this.suggestions = details.suggestions || [];
+    this.status = details.status;
+    this.code = details.code;
+  }
+}
+
+/**
+ * Replay mode could not serve a request from the fixture directory
+ */
+export class FixtureError extends BinanceError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - { file, missing, cause }
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.file = details.file;
+    this.missing = Boolean(details.missing);
+  }
+}
+
+/**
+ * Invalid command line arguments
+ */
+export class UsageError extends BinanceError {}
+
+/**
+ * Create the error for a failed API response
+ * @param {number} status - HTTP status
+ * @param {any} body - Parsed response body, if any ({ code, msg })
+ * @param {Object} context - Request context
+ * @param {string} context.endpoint - Endpoint path
+ * @param {string} context.symbol - Requested symbol, if any
+ * @param {string} context.fallback - Message used when the body carries none
+ * @returns {BinanceError} InvalidSymbolError, AuthenticationError or BinanceApiError
+ */
+export function createApiError(status, body, context = {}) {
+  const { endpoint, symbol, fallback } = context;
+  const code = body && body.code;
+  const msg = body && body.msg;
+  const details = { status, code, msg, endpoint, symbol };
+
+  if (code === INVALID_SYMBOL_CODE) {
+    return new InvalidSymbolError(`${symbol ? `${symbol} is not a valid symbol` : 'Invalid symbol'} (Binance code ${code})`, details);
+  }
+  if (status === 401 || AUTH_CODES.has(code)) {
+    return new AuthenticationError(msg || fallback || `HTTP ${status}`, details);
+  }
+  return new BinanceApiError(msg || fallback || `HTTP ${status}`, details);
+}
+
+/**
+ * Get the process exit code for an error
+ * @param {Error} error - Any error
+ * @returns {number} Exit code from EXIT_CODES
+ */
+export function getExitCode(error) {
+  if (error instanceof UsageError) {
+    return EXIT_CODES.USAGE;
+  }
+  if (error instanceof InvalidSymbolError) {
+    return EXIT_CODES.INVALID_SYMBOL;
+  }
+  if (error instanceof AuthenticationError) {
+    return EXIT_CODES.AUTH;
+  }
+  if (error instanceof RateLimitError) {
+    return EXIT_CODES.RATE_LIMIT;
+  }
+  if (error instanceof BinanceApiError) {
+    return EXIT_CODES.API;
+  }
+  if (error instanceof NetworkError) {
+    return EXIT_CODES.NETWORK;
+  }
+  if (error instanceof FixtureError) {
+    return EXIT_CODES.FIXTURE;
+  }
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Format an error for the terminal
+ * @param {Error} error - Any error
+ * @returns {string} Message prefixed with the error kind
+ */
+export function formatError(error) {
+  if (error instanceof RateLimitError) {
+    const hint = error.banned
+      ? 'This IP is banned by Binance; wait before retrying and lower --concurrency'
+      : 'Request weight limit reached; wait a minute or lower --concurrency';
+    return `Rate limit: ${error.message}\n${hint}`;
+  }
+  if (error instanceof AuthenticationError) {
+    if (!error.status) {
+      return `Authentication error: ${error.message}`;
+    }
+    return `Authentication error: Binance rejected the request${error.code !== undefined ? ` (code ${error.code})` : ''}: ${error.message}\n` +
+      'Check BINANCE_API_KEY and its secret or private key, the key\'s IP whitelist and that reading is enabled';
+  }
+  if (error instanceof BinanceApiError) {
+    const code = error.code !== undefined ? ` ${error.code}` : '';
+    return `Binance API error${code} (HTTP ${error.status}${error.endpoint ? `, ${error.endpoint}` : ''}): ${error.message}`;
+  }
+  if (error instanceof NetworkError) {
+    return `Network error: ${error.message}`;
+  }
+  if (error instanceof FixtureError) {
+    const hint = error.missing
+      ? '\nThe run made a request the recording does not have; record it again with the same options'
+      : '';
+    return `Replay error: ${error.message}${hint}`;
+  }
+  return `Error: ${error.message}`;
+}
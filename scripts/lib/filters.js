@@ -3,6 +3,70 @@
  * Provides filtering logic for technical indicators
  */
 
+import {
+  isBullishLineCross,
+  isBearishLineCross,
+  createIndicatorSpec,
+  parseMovingAverage,
+  formatMovingAverage,
+  formatMALabel
+} from './indicators.js';
+import { getDivergenceKind } from './divergence.js';
+
+// Indicator spec keys needed by each filter group
+const FILTER_INDICATORS = {
+  rsi: ['rsi'],
+  macd: ['macd'],
+  ma: ['maCross'],
+  bollinger: ['bollinger'],
+  adx: ['adx'],
+  atr: ['atr'],
+  supertrend: ['supertrend'],
+  psar: ['psar'],
+  keltner: ['keltner'],
+  donchian: ['donchian'],
+  stoch: ['stoch'],
+  stochRsi: ['stochRsi'],
+  cci: ['cci'],
+  williamsR: ['williamsR'],
+  roc: ['roc'],
+  rvol: ['volume'],
+  obv: ['obv'],
+  mfi: ['mfi'],
+  cmf: ['cmf'],
+  vwap: ['vwap'],
+  patterns: ['patterns'],
+  divergence: ['divergence'],
+  levels: ['levels']
+};
+
+/**
+ * Check an oscillator's %K/%D against cross and threshold filters
+ * Crosses are searched over the recent values, which span the spec's crosses window
+ * @param {Object} lines - { k, d, prevK, prevD, recentK, recentD } from getLatestIndicators
+ * @param {Object} filter - { crossUpBelow, crossDownAbove, below, above }
+ * @returns {boolean} True if all criteria match
+ */
+function matchesOscillator(lines, filter) {
+  const k = lines.recentK || [lines.prevK, lines.k];
+  const d = lines.recentD || [lines.prevD, lines.d];
+  const within = k.length - 1;
+
+  if (filter.crossUpBelow !== undefined && !isBullishLineCross(k, d, filter.crossUpBelow, within)) {
+    return false;
+  }
+  if (filter.crossDownAbove !== undefined && !isBearishLineCross(k, d, filter.crossDownAbove, within)) {
+    return false;
+  }
+  if (filter.below !== undefined && lines.k >= filter.below) {
+    return false;
+  }
+  if (filter.above !== undefined && lines.k <= filter.above) {
+    return false;
+  }
+  return true;
+}
+
 /**
  * Check if indicators match the specified filters
  * @param {Object} indicators - Indicator values from getLatestIndicators
@@ -49,7 +113,7 @@ export function matchesFilters(indicators, filters) {
     }
   }
 
-  // MA filters
+  // MA cross filters (fast/slow moving averages of the spec)
   if (filters.ma) {
     if (filters.ma.goldenCross && !indicators.crosses.goldenCross) {
       return false;
@@ -57,21 +121,17 @@ export function matchesFilters(indicators, filters) {
     if (filters.ma.deathCross && !indicators.crosses.deathCross) {
       return false;
     }
-    if (filters.ma.above !== undefined) {
-      // Check if price is above MA
-      if (filters.ma.above === 20 && indicators.price <= indicators.ma20) {
-        return false;
-      }
-      if (filters.ma.above === 50 && indicators.price <= indicators.ma50) {
+  }
+
+  // Price vs moving average filters, keyed like 'ema:200'
+  if (filters.priceMA) {
+    for (const key of filters.priceMA.above || []) {
+      if (indicators.price <= indicators.movingAverages[key]) {
         return false;
       }
     }
-    if (filters.ma.below !== undefined) {
-      // Check if price is below MA
-      if (filters.ma.below === 20 && indicators.price >= indicators.ma20) {
-        return false;
-      }
-      if (filters.ma.below === 50 && indicators.price >= indicators.ma50) {
+    for (const key of filters.priceMA.below || []) {
+      if (indicators.price >= indicators.movingAverages[key]) {
         return false;
       }
     }
@@ -124,6 +184,178 @@ export function matchesFilters(indicators, filters) {
     }
   }
 
+  // ADX filters (trend strength)
+  if (filters.adx) {
+    if (filters.adx.above !== undefined && indicators.adx.value <= filters.adx.above) {
+      return false;
+    }
+    if (filters.adx.below !== undefined && indicators.adx.value >= filters.adx.below) {
+      return false;
+    }
+  }
+
+  // ATR filters (volatility as % of price)
+  if (filters.atr) {
+    if (filters.atr.pctAbove !== undefined && indicators.atrPct <= filters.atr.pctAbove) {
+      return false;
+    }
+    if (filters.atr.pctBelow !== undefined && indicators.atrPct >= filters.atr.pctBelow) {
+      return false;
+    }
+  }
+
+  // SuperTrend filters
+  if (filters.supertrend) {
+    if (filters.supertrend.flip && indicators.crosses.superTrendFlip !== filters.supertrend.flip) {
+      return false;
+    }
+    if (filters.supertrend.trend) {
+      const direction = filters.supertrend.trend === 'bullish' ? 'up' : 'down';
+      if (indicators.supertrend.direction !== direction) {
+        return false;
+      }
+    }
+  }
+
+  // Parabolic SAR filters
+  if (filters.psar) {
+    if (filters.psar.flip && indicators.crosses.psarFlip !== filters.psar.flip) {
+      return false;
+    }
+  }
+
+  // Keltner Channels filters
+  if (filters.keltner) {
+    if (filters.keltner.aboveUpper && indicators.price <= indicators.keltner.upper) {
+      return false;
+    }
+    if (filters.keltner.belowLower && indicators.price >= indicators.keltner.lower) {
+      return false;
+    }
+  }
+
+  // Donchian Channels filters
+  if (filters.donchian) {
+    if (filters.donchian.breakout && indicators.crosses.donchianBreakout !== filters.donchian.breakout) {
+      return false;
+    }
+  }
+
+  // Stochastic and StochRSI filters (%K crossing %D, %K thresholds)
+  if (filters.stoch && !matchesOscillator(indicators.stoch, filters.stoch)) {
+    return false;
+  }
+  if (filters.stochRsi && !matchesOscillator(indicators.stochRsi, filters.stochRsi)) {
+    return false;
+  }
+
+  // CCI filters
+  if (filters.cci) {
+    if (filters.cci.below !== undefined && indicators.cci >= filters.cci.below) {
+      return false;
+    }
+    if (filters.cci.above !== undefined && indicators.cci <= filters.cci.above) {
+      return false;
+    }
+  }
+
+  // Williams %R filters
+  if (filters.williamsR) {
+    if (filters.williamsR.below !== undefined && indicators.williamsR >= filters.williamsR.below) {
+      return false;
+    }
+    if (filters.williamsR.above !== undefined && indicators.williamsR <= filters.williamsR.above) {
+      return false;
+    }
+  }
+
+  // ROC filters
+  if (filters.roc) {
+    if (filters.roc.above !== undefined && indicators.roc <= filters.roc.above) {
+      return false;
+    }
+    if (filters.roc.below !== undefined && indicators.roc >= filters.roc.below) {
+      return false;
+    }
+  }
+
+  // Relative volume filters (last candle vs the average before it)
+  if (filters.rvol) {
+    if (filters.rvol.above !== undefined && indicators.rvol <= filters.rvol.above) {
+      return false;
+    }
+    if (filters.rvol.below !== undefined && indicators.rvol >= filters.rvol.below) {
+      return false;
+    }
+  }
+
+  // OBV filters
+  if (filters.obv) {
+    if (filters.obv.trend && indicators.obv.trend !== filters.obv.trend) {
+      return false;
+    }
+  }
+
+  // MFI filters
+  if (filters.mfi) {
+    if (filters.mfi.below !== undefined && indicators.mfi >= filters.mfi.below) {
+      return false;
+    }
+    if (filters.mfi.above !== undefined && indicators.mfi <= filters.mfi.above) {
+      return false;
+    }
+  }
+
+  // CMF filters
+  if (filters.cmf) {
+    if (filters.cmf.above !== undefined && indicators.cmf <= filters.cmf.above) {
+      return false;
+    }
+    if (filters.cmf.below !== undefined && indicators.cmf >= filters.cmf.below) {
+      return false;
+    }
+  }
+
+  // VWAP filters (session VWAP)
+  if (filters.vwap) {
+    const vwap = indicators.vwap.session;
+    if (filters.vwap.above && indicators.price <= vwap) {
+      return false;
+    }
+    if (filters.vwap.below && indicators.price >= vwap) {
+      return false;
+    }
+  }
+
+  // Candlestick patterns on the last candle, any of the listed names
+  if (filters.patterns) {
+    if (!indicators.patterns.some(p => filters.patterns.any.includes(p.name))) {
+      return false;
+    }
+  }
+
+  // Swing support/resistance filters
+  if (filters.levels) {
+    const { support, supportDistancePct, brokeResistance } = indicators.levels;
+    if (filters.levels.nearSupport !== undefined && (!support || supportDistancePct > filters.levels.nearSupport)) {
+      return false;
+    }
+    if (filters.levels.brokeResistance && !brokeResistance) {
+      return false;
+    }
+  }
+
+  // Divergences, any of the listed 'source:kind' entries (e.g., 'rsi:bullish')
+  if (filters.divergence) {
+    const found = filters.divergence.any.some(entry => {
+      const [source, kind] = entry.split(':');
+      return (indicators.divergences[source] || []).some(d => getDivergenceKind(d) === kind);
+    });
+    if (!found) {
+      return false;
+    }
+  }
+
   // Price filters
   if (filters.price) {
     if (filters.price.min !== undefined && indicators.price < filters.price.min) {
@@ -139,7 +371,7 @@ export function matchesFilters(indicators, filters) {
 
 /**
  * Calculate a score for indicators based on filter criteria
- * Higher score means stronger match
+ * Higher score means stronger match; indicators that were not computed add nothing
  * @param {Object} indicators - Indicator values
  * @returns {number} Score from 0-100
  */
@@ -164,17 +396,19 @@ export function calculateScore(indicators) {
   }
 
   // Bollinger Band position
-  const { upper, lower } = indicators.bollinger;
-  const bandWidth = upper - lower;
-  const position = (indicators.price - lower) / bandWidth;
+  if (indicators.bollinger) {
+    const { upper, lower } = indicators.bollinger;
+    const bandWidth = upper - lower;
+    const position = (indicators.price - lower) / bandWidth;
 
-  // Near lower band (potential buy)
-  if (position < 0.1) {
-    score += 10;
-  }
-  // Near upper band (potential sell)
-  if (position > 0.9) {
-    score += 10;
+    // Near lower band (potential buy)
+    if (position < 0.1) {
+      score += 10;
+    }
+    // Near upper band (potential sell)
+    if (position > 0.9) {
+      score += 10;
+    }
   }
 
   return Math.min(100, Math.max(0, score));
@@ -216,8 +450,8 @@ export function parseFiltersFromArgs(args) {
     }
   }
 
-  // MA filters
-  if (args.maGoldenCross || args.maDeathCross || args.maAbove !== undefined || args.maBelow !== undefined) {
+  // MA cross filters
+  if (args.maGoldenCross || args.maDeathCross) {
     filters.ma = {};
     if (args.maGoldenCross) {
       filters.ma.goldenCross = true;
@@ -225,11 +459,16 @@ export function parseFiltersFromArgs(args) {
     if (args.maDeathCross) {
       filters.ma.deathCross = true;
     }
-    if (args.maAbove !== undefined) {
-      filters.ma.above = parseInt(args.maAbove);
+  }
+
+  // Price vs moving average filters ({ type, period } entries from parseMovingAverage)
+  if ((args.priceAbove && args.priceAbove.length > 0) || (args.priceBelow && args.priceBelow.length > 0)) {
+    filters.priceMA = {};
+    if (args.priceAbove && args.priceAbove.length > 0) {
+      filters.priceMA.above = args.priceAbove.map(formatMovingAverage);
     }
-    if (args.maBelow !== undefined) {
-      filters.ma.below = parseInt(args.maBelow);
+    if (args.priceBelow && args.priceBelow.length > 0) {
+      filters.priceMA.below = args.priceBelow.map(formatMovingAverage);
     }
   }
 
@@ -256,6 +495,177 @@ export function parseFiltersFromArgs(args) {
     }
   }
 
+  // ADX filters
+  if (args.adxAbove !== undefined || args.adxBelow !== undefined) {
+    filters.adx = {};
+    if (args.adxAbove !== undefined) {
+      filters.adx.above = args.adxAbove;
+    }
+    if (args.adxBelow !== undefined) {
+      filters.adx.below = args.adxBelow;
+    }
+  }
+
+  // ATR filters
+  if (args.atrPctAbove !== undefined || args.atrPctBelow !== undefined) {
+    filters.atr = {};
+    if (args.atrPctAbove !== undefined) {
+      filters.atr.pctAbove = args.atrPctAbove;
+    }
+    if (args.atrPctBelow !== undefined) {
+      filters.atr.pctBelow = args.atrPctBelow;
+    }
+  }
+
+  // SuperTrend filters
+  if (args.supertrendFlip || args.supertrend) {
+    filters.supertrend = {};
+    if (args.supertrendFlip) {
+      filters.supertrend.flip = args.supertrendFlip;
+    }
+    if (args.supertrend) {
+      filters.supertrend.trend = args.supertrend;
+    }
+  }
+
+  // Parabolic SAR filters
+  if (args.psarFlip) {
+    filters.psar = { flip: args.psarFlip };
+  }
+
+  // Keltner Channels filters
+  if (args.kcAboveUpper || args.kcBelowLower) {
+    filters.keltner = {};
+    if (args.kcAboveUpper) {
+      filters.keltner.aboveUpper = true;
+    }
+    if (args.kcBelowLower) {
+      filters.keltner.belowLower = true;
+    }
+  }
+
+  // Donchian Channels filters
+  if (args.donchianBreakout) {
+    filters.donchian = { breakout: args.donchianBreakout };
+  }
+
+  // Stochastic and StochRSI filters
+  for (const name of ['stoch', 'stochRsi']) {
+    const filter = {};
+    if (args[`${name}CrossUpBelow`] !== undefined) {
+      filter.crossUpBelow = args[`${name}CrossUpBelow`];
+    }
+    if (args[`${name}CrossDownAbove`] !== undefined) {
+      filter.crossDownAbove = args[`${name}CrossDownAbove`];
+    }
+    if (args[`${name}Below`] !== undefined) {
+      filter.below = args[`${name}Below`];
+    }
+    if (args[`${name}Above`] !== undefined) {
+      filter.above = args[`${name}Above`];
+    }
+    if (Object.keys(filter).length > 0) {
+      filters[name] = filter;
+    }
+  }
+
+  // CCI filters
+  if (args.cciBelow !== undefined || args.cciAbove !== undefined) {
+    filters.cci = {};
+    if (args.cciBelow !== undefined) {
+      filters.cci.below = args.cciBelow;
+    }
+    if (args.cciAbove !== undefined) {
+      filters.cci.above = args.cciAbove;
+    }
+  }
+
+  // Williams %R filters
+  if (args.willrBelow !== undefined || args.willrAbove !== undefined) {
+    filters.williamsR = {};
+    if (args.willrBelow !== undefined) {
+      filters.williamsR.below = args.willrBelow;
+    }
+    if (args.willrAbove !== undefined) {
+      filters.williamsR.above = args.willrAbove;
+    }
+  }
+
+  // ROC filters
+  if (args.rocAbove !== undefined || args.rocBelow !== undefined) {
+    filters.roc = {};
+    if (args.rocAbove !== undefined) {
+      filters.roc.above = args.rocAbove;
+    }
+    if (args.rocBelow !== undefined) {
+      filters.roc.below = args.rocBelow;
+    }
+  }
+
+  // Relative volume filters
+  if (args.rvolAbove !== undefined || args.rvolBelow !== undefined) {
+    filters.rvol = {};
+    if (args.rvolAbove !== undefined) {
+      filters.rvol.above = args.rvolAbove;
+    }
+    if (args.rvolBelow !== undefined) {
+      filters.rvol.below = args.rvolBelow;
+    }
+  }
+
+  // OBV filters
+  if (args.obvTrend) {
+    filters.obv = { trend: args.obvTrend };
+  }
+
+  // MFI filters
+  if (args.mfiBelow !== undefined || args.mfiAbove !== undefined) {
+    filters.mfi = {};
+    if (args.mfiBelow !== undefined) {
+      filters.mfi.below = args.mfiBelow;
+    }
+    if (args.mfiAbove !== undefined) {
+      filters.mfi.above = args.mfiAbove;
+    }
+  }
+
+  // CMF filters
+  if (args.cmfAbove !== undefined || args.cmfBelow !== undefined) {
+    filters.cmf = {};
+    if (args.cmfAbove !== undefined) {
+      filters.cmf.above = args.cmfAbove;
+    }
+    if (args.cmfBelow !== undefined) {
+      filters.cmf.below = args.cmfBelow;
+    }
+  }
+
+  // VWAP filters
+  if (args.vwap) {
+    filters.vwap = { [args.vwap]: true };
+  }
+
+  // Candlestick pattern filters
+  if (args.patterns && args.patterns.length > 0) {
+    filters.patterns = { any: [...args.patterns] };
+  }
+
+  // Support/resistance filters
+  if (args.nearSupport !== undefined || args.brokeResistance) {
+    filters.levels = {};
+    if (args.nearSupport !== undefined) {
+      filters.levels.nearSupport = args.nearSupport;
+    }
+    if (args.brokeResistance) {
+      filters.levels.brokeResistance = true;
+    }
+  }
+
+  // Divergence filters
+  if (args.divergences && args.divergences.length > 0) {
+    filters.divergence = { any: [...args.divergences] };
+  }
+
   // Price filters
   if (args.priceMin !== undefined || args.priceMax !== undefined) {
     filters.price = {};
@@ -308,6 +718,15 @@ export function formatFilters(filters) {
     }
   }
 
+  if (filters.priceMA) {
+    for (const key of filters.priceMA.above || []) {
+      parts.push(`Price above ${formatMALabel(parseMovingAverage(key))}`);
+    }
+    for (const key of filters.priceMA.below || []) {
+      parts.push(`Price below ${formatMALabel(parseMovingAverage(key))}`);
+    }
+  }
+
   if (filters.bollinger) {
     if (filters.bollinger.belowLower) {
       parts.push('Price below BB lower');
@@ -323,6 +742,148 @@ export function formatFilters(filters) {
     }
   }
 
+  if (filters.adx) {
+    if (filters.adx.above !== undefined) {
+      parts.push(`ADX > ${filters.adx.above}`);
+    }
+    if (filters.adx.below !== undefined) {
+      parts.push(`ADX < ${filters.adx.below}`);
+    }
+  }
+
+  if (filters.atr) {
+    if (filters.atr.pctAbove !== undefined) {
+      parts.push(`ATR > ${filters.atr.pctAbove}% of price`);
+    }
+    if (filters.atr.pctBelow !== undefined) {
+      parts.push(`ATR < ${filters.atr.pctBelow}% of price`);
+    }
+  }
+
+  if (filters.supertrend) {
+    if (filters.supertrend.flip) {
+      parts.push(`SuperTrend ${filters.supertrend.flip} flip`);
+    }
+    if (filters.supertrend.trend) {
+      parts.push(`SuperTrend ${filters.supertrend.trend}`);
+    }
+  }
+
+  if (filters.psar) {
+    parts.push(`PSAR ${filters.psar.flip} flip`);
+  }
+
+  if (filters.keltner) {
+    if (filters.keltner.aboveUpper) {
+      parts.push('Price above Keltner upper');
+    }
+    if (filters.keltner.belowLower) {
+      parts.push('Price below Keltner lower');
+    }
+  }
+
+  if (filters.donchian) {
+    parts.push(`Donchian breakout ${filters.donchian.breakout}`);
+  }
+
+  for (const [name, label] of [['stoch', 'Stoch'], ['stochRsi', 'StochRSI']]) {
+    const filter = filters[name];
+    if (!filter) {
+      continue;
+    }
+    if (filter.crossUpBelow !== undefined) {
+      parts.push(`${label} %K crosses above %D below ${filter.crossUpBelow}`);
+    }
+    if (filter.crossDownAbove !== undefined) {
+      parts.push(`${label} %K crosses below %D above ${filter.crossDownAbove}`);
+    }
+    if (filter.below !== undefined) {
+      parts.push(`${label} %K < ${filter.below}`);
+    }
+    if (filter.above !== undefined) {
+      parts.push(`${label} %K > ${filter.above}`);
+    }
+  }
+
+  if (filters.cci) {
+    if (filters.cci.below !== undefined) {
+      parts.push(`CCI < ${filters.cci.below}`);
+    }
+    if (filters.cci.above !== undefined) {
+      parts.push(`CCI > ${filters.cci.above}`);
+    }
+  }
+
+  if (filters.williamsR) {
+    if (filters.williamsR.below !== undefined) {
+      parts.push(`Williams %R < ${filters.williamsR.below}`);
+    }
+    if (filters.williamsR.above !== undefined) {
+      parts.push(`Williams %R > ${filters.williamsR.above}`);
+    }
+  }
+
+  if (filters.roc) {
+    if (filters.roc.above !== undefined) {
+      parts.push(`ROC > ${filters.roc.above}%`);
+    }
+    if (filters.roc.below !== undefined) {
+      parts.push(`ROC < ${filters.roc.below}%`);
+    }
+  }
+
+  if (filters.rvol) {
+    if (filters.rvol.above !== undefined) {
+      parts.push(`RVOL > ${filters.rvol.above}x`);
+    }
+    if (filters.rvol.below !== undefined) {
+      parts.push(`RVOL < ${filters.rvol.below}x`);
+    }
+  }
+
+  if (filters.obv) {
+    parts.push(`OBV trend ${filters.obv.trend}`);
+  }
+
+  if (filters.mfi) {
+    if (filters.mfi.below !== undefined) {
+      parts.push(`MFI < ${filters.mfi.below}`);
+    }
+    if (filters.mfi.above !== undefined) {
+      parts.push(`MFI > ${filters.mfi.above}`);
+    }
+  }
+
+  if (filters.cmf) {
+    if (filters.cmf.above !== undefined) {
+      parts.push(`CMF > ${filters.cmf.above}`);
+    }
+    if (filters.cmf.below !== undefined) {
+      parts.push(`CMF < ${filters.cmf.below}`);
+    }
+  }
+
+  if (filters.vwap) {
+    parts.push(`Price ${filters.vwap.above ? 'above' : 'below'} VWAP`);
+  }
+
+  if (filters.patterns) {
+    parts.push(`Pattern ${filters.patterns.any.join(' or ')}`);
+  }
+
+  if (filters.levels) {
+    if (filters.levels.nearSupport !== undefined) {
+      parts.push(`Within ${filters.levels.nearSupport}% of support`);
+    }
+    if (filters.levels.brokeResistance) {
+      parts.push('Broke resistance');
+    }
+  }
+
+  if (filters.divergence) {
+    parts.push(`Divergence ${filters.divergence.any.join(' or ')}`);
+  }
+
   if (filters.price) {
     if (filters.price.min !== undefined) {
       parts.push(`Price >= $${filters.price.min}`);
@@ -334,3 +895,44 @@ export function formatFilters(filters) {
 
   return parts.length > 0 ? parts.join(', ') : 'No filters';
 }
+
+/**
+ * Select the indicators the active filters need
+ * @param {Object} filters - Filter criteria from parseFiltersFromArgs
+ * @param {Object} overrides - Indicator settings (e.g., { rsi: { period: 7 } }), see createIndicatorSpec
+ * @returns {Object} Indicator spec holding only the indicators used by the filters
+ */
+export function selectIndicatorSpec(filters, overrides = {}) {
+  const keys = new Set();
+
+  for (const [group, indicators] of Object.entries(FILTER_INDICATORS)) {
+    if (filters[group]) {
+      indicators.forEach(key => keys.add(key));
+    }
+  }
+
+  // The crossover window applies to whichever indicators are selected
+  if (overrides.crosses) {
+    keys.add('crosses');
+  }
+
+  const spec = createIndicatorSpec(overrides, [...keys]);
+
+  // Oscillators checked for divergence use their own settings
+  if (filters.divergence) {
+    spec.divergence.sources = [...new Set(filters.divergence.any.map(entry => entry.split(':')[0]))];
+    for (const source of spec.divergence.sources) {
+      if (!spec[source]) {
+        Object.assign(spec, createIndicatorSpec(overrides, [source]));
+      }
+    }
+  }
+
+  // Moving averages compared with the price come from the filters themselves
+  if (filters.priceMA) {
+    const mas = [...(filters.priceMA.above || []), ...(filters.priceMA.below || [])];
+    spec.movingAverages = [...new Set(mas)].map(parseMovingAverage);
+  }
+
+  return spec;
+}
@@ -0,0 +1,113 @@
+/**
+ * API Response Fixtures for Record/Replay Mode
+ * Saves every API response to a fixture directory and serves them back,
+ * so screener and ticker runs can be reproduced offline
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { FixtureError } from './errors.js';
+
+/**
+ * Build a stable query string with parameters sorted by name
+ * @param {Object} params - Query parameters
+ * @returns {string} Query string
+ */
+function canonicalQuery(params) {
+  return Object.keys(params)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+}
+
+// File holding the time a recording was made, see saveRecordingTime()
+const RECORDING_FILE = 'recording.json';
+
+/**
+ * Get the fixture file path for a request
+ * Files are named after the endpoint plus a hash of the query, e.g. klines-3f2a9c01d4e5.json
+ * @param {string} dir - Fixture directory
+ * @param {string} endpoint - Endpoint path (e.g., '/klines')
+ * @param {Object} params - Query parameters
+ * @returns {string} Fixture file path
+ */
+export function getFixturePath(dir, endpoint, params = {}) {
+  const name = endpoint.replace(/^\//, '').replace(/[^A-Za-z0-9]+/g, '_') || 'root';
+  const hash = crypto.createHash('sha1').update(canonicalQuery(params)).digest('hex').slice(0, 12);
+  return path.join(dir, `${name}-${hash}.json`);
+}
+
+/**
+ * Save an API response as a fixture
+ * @param {string} dir - Fixture directory
+ * @param {string} endpoint - Endpoint path
+ * @param {Object} params - Query parameters
+ * @param {number} status - HTTP status code
+ * @param {any} body - Parsed response body
+ */
+export function saveFixture(dir, endpoint, params, status, body) {
+  const file = getFixturePath(dir, endpoint, params);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    request: { endpoint, query: canonicalQuery(params) },
+    recordedAt: new Date().toISOString(),
+    status,
+    body
+  }, null, 2));
+}
+
+/**
+ * Load a recorded API response
+ * @param {string} dir - Fixture directory
+ * @param {string} endpoint - Endpoint path
+ * @param {Object} params - Query parameters
+ * @returns {Object} Fixture with status and body
+ * @throws {FixtureError} If the fixture is missing (missing: true) or unreadable
+ */
+export function loadFixture(dir, endpoint, params) {
+  const file = getFixturePath(dir, endpoint, params);
+
+  if (!fs.existsSync(file)) {
+    const query = canonicalQuery(params);
+    throw new FixtureError(`No recorded response for ${endpoint}${query ? `?${query}` : ''} in ${dir}`, { file, missing: true });
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new FixtureError(`Unreadable fixture ${file}: ${error.message}`, { file, cause: error });
+  }
+}
+
+/**
+ * Save the reference time of a recorded run
+ * Defaults computed from the clock (e.g., the last hour of trades) use it, so a
+ * replay sends the same request parameters as the recording
+ * @param {string} dir - Fixture directory
+ * @param {number} time - Reference time (ms timestamp)
+ */
+export function saveRecordingTime(dir, time) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, RECORDING_FILE), JSON.stringify({ time, recordedAt: new Date(time).toISOString() }, null, 2));
+}
+
+/**
+ * Load the reference time of a recorded run
+ * @param {string} dir - Fixture directory
+ * @returns {number} Reference time (ms timestamp)
+ * @throws {FixtureError} If the recording has no saved time (missing: true) or it is unreadable
+ */
+export function loadRecordingTime(dir) {
+  const file = path.join(dir, RECORDING_FILE);
+
+  if (!fs.existsSync(file)) {
+    throw new FixtureError(`No recorded reference time (${RECORDING_FILE}) in ${dir}`, { file, missing: true });
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).time;
+  } catch (error) {
+    throw new FixtureError(`Unreadable fixture ${file}: ${error.message}`, { file, cause: error });
+  }
+}
@@ -0,0 +1,172 @@
+/**
+ * Binance USDⓈ-M Futures Market Data
+ * Mark price, funding rate, open interest and long/short ratio
+ * through the same proxy, record/replay and rate limiting as the spot API
+ */
+
+import { request, getApiConfig } from './api.js';
+import { createRateLimiter } from './rate-limiter.js';
+import { readExchangeInfoCache, writeExchangeInfoCache } from './cache.js';
+
+// Futures have their own weight limit, separate from spot
+export const futuresRateLimiter = createRateLimiter({ maxWeight: 2400 });
+
+// Futures API weights per endpoint
+const FUTURES_WEIGHTS = {
+  '/fapi/v1/exchangeInfo': 1,
+  '/fapi/v1/premiumIndex': params => (params.symbol ? 1 : 10),
+  '/fapi/v1/fundingRate': 1,
+  '/fapi/v1/openInterest': 1,
+  '/futures/data/openInterestHist': 1,
+  '/futures/data/globalLongShortAccountRatio': 1
+};
+
+// In-flight or completed futures exchangeInfo request
+let exchangeInfoPromise = null;
+
+// Periods supported by the /futures/data endpoints
+export const FUTURES_DATA_PERIODS = ['5m', '15m', '30m', '1h', '2h', '4h', '6h', '12h', '1d'];
+
+/**
+ * Send a GET request to the futures API
+ * @param {string} path - Endpoint path (e.g., '/fapi/v1/premiumIndex')
+ * @param {Object} params - Query parameters
+ * @returns {Promise<any>} Parsed JSON response
+ */
+function futuresRequest(path, params = {}) {
+  const weight = FUTURES_WEIGHTS[path];
+  return request(path, params, {
+    baseUrl: getApiConfig().futuresBaseUrl,
+    limiter: futuresRateLimiter,
+    weight: typeof weight === 'function' ? weight(params) : (weight || 1)
+  });
+}
+
+/**
+ * Validate a /futures/data period
+ * @param {string} period - Period (e.g., '1h')
+ */
+function checkPeriod(period) {
+  if (!FUTURES_DATA_PERIODS.includes(period)) {
+    throw new Error(`Invalid period: ${period}. Valid periods: ${FUTURES_DATA_PERIODS.join(', ')}`);
+  }
+}
+
+/**
+ * Fetch futures symbol metadata
+ * Kept in memory for the process; with the cache option a copy less than an
+ * hour old is read from disk (record/replay runs always hit the API)
+ * @param {Object} options - Fetch options
+ * @param {boolean} options.cache - Use the on-disk exchangeInfo cache (default: false)
+ * @returns {Promise<Object>} exchangeInfo response (cached copies hold only { symbols })
+ */
+export async function fetchFuturesExchangeInfo(options = {}) {
+  const { recordDir, replayDir } = getApiConfig();
+  const useCache = options.cache && !recordDir && !replayDir;
+
+  if (!exchangeInfoPromise) {
+    exchangeInfoPromise = (async () => {
+      const cached = useCache ? readExchangeInfoCache('futures') : null;
+      if (cached) {
+        return cached;
+      }
+
+      const data = await futuresRequest('/fapi/v1/exchangeInfo');
+      if (useCache) {
+        writeExchangeInfoCache('futures', data);
+      }
+      return data;
+    })().catch(error => {
+      exchangeInfoPromise = null;
+      throw error;
+    });
+  }
+  return await exchangeInfoPromise;
+}
+
+/**
+ * Fetch mark price, index price and current funding rate
+ * @param {string} symbol - Futures symbol (e.g., 'BTCUSDT')
+ * @returns {Promise<Object>} Premium index with numeric prices and rates
+ */
+export async function fetchPremiumIndex(symbol) {
+  const data = await futuresRequest('/fapi/v1/premiumIndex', { symbol });
+  return {
+    symbol: data.symbol,
+    markPrice: parseFloat(data.markPrice),
+    indexPrice: parseFloat(data.indexPrice),
+    estimatedSettlePrice: parseFloat(data.estimatedSettlePrice),
+    fundingRate: parseFloat(data.lastFundingRate),
+    interestRate: parseFloat(data.interestRate),
+    nextFundingTime: data.nextFundingTime,
+    time: data.time
+  };
+}
+
+/**
+ * Fetch historical funding rates
+ * @param {string} symbol - Futures symbol
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Number of records (max 1000, default: 100)
+ * @param {number} options.startTime - Range start (ms)
+ * @param {number} options.endTime - Range end (ms)
+ * @returns {Promise<Object[]>} Funding records { fundingTime, fundingRate, markPrice }, oldest first
+ */
+export async function fetchFundingRateHistory(symbol, options = {}) {
+  const { limit = 100, startTime, endTime } = options;
+  const data = await futuresRequest('/fapi/v1/fundingRate', { symbol, limit, startTime, endTime });
+  return data.map(r => ({
+    fundingTime: r.fundingTime,
+    fundingRate: parseFloat(r.fundingRate),
+    markPrice: r.markPrice !== undefined && r.markPrice !== '' ? parseFloat(r.markPrice) : null
+  }));
+}
+
+/**
+ * Fetch current open interest
+ * @param {string} symbol - Futures symbol
+ * @returns {Promise<Object>} { symbol, openInterest, time }
+ */
+export async function fetchOpenInterest(symbol) {
+  const data = await futuresRequest('/fapi/v1/openInterest', { symbol });
+  return {
+    symbol: data.symbol,
+    openInterest: parseFloat(data.openInterest),
+    time: data.time
+  };
+}
+
+/**
+ * Fetch open interest history
+ * @param {string} symbol - Futures symbol
+ * @param {string} period - Period (5m, 15m, 30m, 1h, 2h, 4h, 6h, 12h, 1d)
+ * @param {number} limit - Number of records (max 500, default: 30)
+ * @returns {Promise<Object[]>} { timestamp, openInterest, openInterestValue }, oldest first
+ */
+export async function fetchOpenInterestHistory(symbol, period = '1h', limit = 30) {
+  checkPeriod(period);
+  const data = await futuresRequest('/futures/data/openInterestHist', { symbol, period, limit });
+  return data.map(r => ({
+    timestamp: r.timestamp,
+    openInterest: parseFloat(r.sumOpenInterest),
+    openInterestValue: parseFloat(r.sumOpenInterestValue)
+  }));
+}
+
+/**
+ * Fetch the global long/short account ratio
+ * @param {string} symbol - Futures symbol
+ * @param {string} period - Period (5m, 15m, 30m, 1h, 2h, 4h, 6h, 12h, 1d)
+ * @param {number} limit - Number of records (max 500, default: 30)
+ * @returns {Promise<Object[]>} { timestamp, longShortRatio, longAccount, shortAccount }, oldest first
+ */
+export async function fetchLongShortRatio(symbol, period = '1h', limit = 30) {
+  checkPeriod(period);
+  const data = await futuresRequest('/futures/data/globalLongShortAccountRatio', { symbol, period, limit });
+  return data.map(r => ({
+    timestamp: r.timestamp,
+    longShortRatio: parseFloat(r.longShortRatio),
+    longAccount: parseFloat(r.longAccount),
+    shortAccount: parseFloat(r.shortAccount)
+  }));
+}
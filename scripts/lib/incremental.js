@@ -0,0 +1,1111 @@
+/**
+ * Incremental Indicator Calculators
+ * Stateful counterparts of the batch functions in indicators.js for streaming
+ * data: each update() takes one new value or candle and returns the latest
+ * indicator value (null while warming up) without recomputing the series.
+ * Updates are O(1) except CCI, whose mean deviation rescans its window (O(period)).
+ *
+ * Results follow the batch functions step for step. Recursive indicators (EMA,
+ * RSI, MACD, ATR, ADX, SuperTrend, Parabolic SAR, OBV, VWAP) match exactly;
+ * rolling-window sums are updated instead of re-summed, so SMA-based values
+ * match to floating-point rounding. scripts/checks/incremental.js compares every
+ * calculator with its batch function.
+ *
+ * State is plain data: JSON.stringify() a calculator and restoreIndicator()
+ * the result to continue where it left off.
+ *
+ *   const rsi = new RSI(14);
+ *   for (const close of closes) rsi.update(close);
+ *   const saved = JSON.stringify(rsi);
+ *   restoreIndicator(saved).update(nextClose);
+ */
+
+/**
+ * Base class for all calculators
+ */
+class Indicator {
+  constructor() {
+    // Latest result, null while warming up
+    this.value = null;
+  }
+
+  /**
+   * Serialize the calculator state
+   * @returns {Object} State tagged with the calculator class
+   */
+  toJSON() {
+    return { indicator: this.constructor.name, ...this };
+  }
+}
+
+/**
+ * Fixed-size window with a running sum
+ */
+class RollingWindow extends Indicator {
+  /**
+   * @param {number} size - Window length
+   */
+  constructor(size) {
+    super();
+    this.size = size;
+    this.values = [];
+    this.next = 0;
+    this.sum = 0;
+    // Non-zero values in the window; lets the sum snap back to exactly 0
+    this.nonZero = 0;
+  }
+
+  /**
+   * Whether the window holds size values
+   * @returns {boolean}
+   */
+  get full() {
+    return this.values.length === this.size;
+  }
+
+  /**
+   * Oldest value in the window
+   * @returns {number|undefined}
+   */
+  get oldest() {
+    return this.full ? this.values[this.next] : this.values[0];
+  }
+
+  /**
+   * Add a value, dropping the oldest once the window is full
+   * @param {number} value - New value
+   * @returns {number|null} Dropped value, or null while filling
+   */
+  push(value) {
+    let removed = null;
+
+    if (this.full) {
+      removed = this.values[this.next];
+      this.values[this.next] = value;
+      this.next = (this.next + 1) % this.size;
+      this.sum -= removed;
+      if (removed !== 0) {
+        this.nonZero--;
+      }
+    } else {
+      this.values.push(value);
+    }
+
+    this.sum += value;
+    if (value !== 0) {
+      this.nonZero++;
+    }
+    if (this.nonZero === 0) {
+      this.sum = 0;
+    }
+
+    return removed;
+  }
+}
+
+/**
+ * Highest or lowest value over a rolling window (monotonic queue, amortized O(1))
+ */
+class RollingExtreme extends Indicator {
+  /**
+   * @param {number} period - Window length
+   * @param {string} mode - 'max' or 'min'
+   */
+  constructor(period, mode) {
+    super();
+    this.period = period;
+    this.mode = mode;
+    this.count = 0;
+    // [index, value] candidates, best first; entries before head are expired
+    this.entries = [];
+    this.head = 0;
+  }
+
+  /**
+   * Add a value
+   * @param {number} value - New value
+   * @returns {number|null} Extreme of the last period values, or null while filling
+   */
+  push(value) {
+    const index = this.count++;
+    const dominated = this.mode === 'max'
+      ? last => last <= value
+      : last => last >= value;
+
+    while (this.entries.length > this.head && dominated(this.entries[this.entries.length - 1][1])) {
+      this.entries.pop();
+    }
+    this.entries.push([index, value]);
+
+    if (this.entries[this.head][0] <= index - this.period) {
+      this.head++;
+    }
+    if (this.head > this.period) {
+      this.entries = this.entries.slice(this.head);
+      this.head = 0;
+    }
+
+    this.value = this.count >= this.period ? this.entries[this.head][1] : null;
+    return this.value;
+  }
+}
+
+/**
+ * Wilder's moving average (RMA), seeded with the SMA of the first period values
+ */
+class WilderAverage extends Indicator {
+  /**
+   * @param {number} period - Smoothing period
+   */
+  constructor(period) {
+    super();
+    this.period = period;
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  /**
+   * @param {number} input - New value
+   * @returns {number|null} Smoothed value
+   */
+  update(input) {
+    if (this.value === null) {
+      this.sum += input;
+      if (++this.count === this.period) {
+        this.value = this.sum / this.period;
+      }
+    } else {
+      this.value = (this.value * (this.period - 1) + input) / this.period;
+    }
+    return this.value;
+  }
+}
+
+/**
+ * SMA (Simple Moving Average)
+ */
+export class SMA extends Indicator {
+  /**
+   * @param {number} period - SMA period
+   */
+  constructor(period) {
+    super();
+    this.period = period;
+    this.window = new RollingWindow(period);
+  }
+
+  /**
+   * @param {number} price - New price
+   * @returns {number|null} SMA value
+   */
+  update(price) {
+    this.window.push(price);
+    this.value = this.window.full ? this.window.sum / this.period : null;
+    return this.value;
+  }
+}
+
+/**
+ * EMA (Exponential Moving Average), seeded with the SMA of the first period prices
+ */
+export class EMA extends Indicator {
+  /**
+   * @param {number} period - EMA period
+   */
+  constructor(period) {
+    super();
+    this.period = period;
+    this.multiplier = 2 / (period + 1);
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  /**
+   * @param {number} price - New price
+   * @returns {number|null} EMA value
+   */
+  update(price) {
+    if (this.value === null) {
+      this.sum += price;
+      if (++this.count === this.period) {
+        this.value = this.sum / this.period;
+      }
+    } else {
+      this.value = (price - this.value) * this.multiplier + this.value;
+    }
+    return this.value;
+  }
+}
+
+/**
+ * Create a moving average calculator of the given type
+ * @param {Object} ma - { type: 'sma'|'ema', period }
+ * @returns {SMA|EMA} Calculator
+ */
+export function createMovingAverage(ma) {
+  return ma.type === 'ema' ? new EMA(ma.period) : new SMA(ma.period);
+}
+
+/**
+ * RSI (Relative Strength Index) using Wilder's smoothing
+ */
+export class RSI extends Indicator {
+  /**
+   * @param {number} period - RSI period (default: 14)
+   */
+  constructor(period = 14) {
+    super();
+    this.period = period;
+    this.prevClose = null;
+    this.avgGain = new WilderAverage(period);
+    this.avgLoss = new WilderAverage(period);
+  }
+
+  /**
+   * @param {number} close - New closing price
+   * @returns {number|null} RSI value
+   */
+  update(close) {
+    if (this.prevClose === null) {
+      this.prevClose = close;
+      return null;
+    }
+
+    const change = close - this.prevClose;
+    this.prevClose = close;
+
+    const avgGain = this.avgGain.update(change > 0 ? change : 0);
+    const avgLoss = this.avgLoss.update(change < 0 ? Math.abs(change) : 0);
+
+    if (avgGain !== null) {
+      this.value = avgLoss === 0 ? 100 : 100 - (100 / (1 + avgGain / avgLoss));
+    }
+    return this.value;
+  }
+}
+
+/**
+ * MACD (Moving Average Convergence Divergence)
+ */
+export class MACD extends Indicator {
+  /**
+   * @param {number} fast - Fast EMA period (default: 12)
+   * @param {number} slow - Slow EMA period (default: 26)
+   * @param {number} signal - Signal line EMA period (default: 9)
+   */
+  constructor(fast = 12, slow = 26, signal = 9) {
+    super();
+    this.fast = new EMA(fast);
+    this.slow = new EMA(slow);
+    this.signal = new EMA(signal);
+  }
+
+  /**
+   * @param {number} close - New closing price
+   * @returns {Object|null} { value, signal, histogram }; signal and histogram are null until the signal line starts
+   */
+  update(close) {
+    const fast = this.fast.update(close);
+    const slow = this.slow.update(close);
+    if (slow === null) {
+      return null;
+    }
+
+    const macd = fast - slow;
+    const signal = this.signal.update(macd);
+    this.value = {
+      value: macd,
+      signal,
+      histogram: signal === null ? null : macd - signal
+    };
+    return this.value;
+  }
+}
+
+/**
+ * Bollinger Bands
+ * The variance is kept up to date with a sliding Welford update
+ */
+export class BollingerBands extends Indicator {
+  /**
+   * @param {number} period - Period for middle band (SMA) (default: 20)
+   * @param {number} stdDev - Standard deviation multiplier (default: 2)
+   */
+  constructor(period = 20, stdDev = 2) {
+    super();
+    this.period = period;
+    this.stdDev = stdDev;
+    this.window = new RollingWindow(period);
+    this.mean = 0;
+    // Sum of squared deviations from the mean
+    this.m2 = 0;
+  }
+
+  /**
+   * @param {number} price - New price
+   * @returns {Object|null} { upper, middle, lower }
+   */
+  update(price) {
+    const removed = this.window.push(price);
+    const oldMean = this.mean;
+
+    if (removed === null) {
+      this.mean += (price - oldMean) / this.window.values.length;
+      this.m2 += (price - oldMean) * (price - this.mean);
+    } else {
+      this.mean += (price - removed) / this.period;
+      this.m2 = Math.max(0, this.m2 + (price - removed) * (price - this.mean + removed - oldMean));
+    }
+
+    if (!this.window.full) {
+      return null;
+    }
+
+    const middle = this.window.sum / this.period;
+    const stdDeviation = Math.sqrt(this.m2 / this.period);
+    this.value = {
+      upper: middle + this.stdDev * stdDeviation,
+      middle,
+      lower: middle - this.stdDev * stdDeviation
+    };
+    return this.value;
+  }
+}
+
+/**
+ * Stochastic Oscillator %K and %D
+ */
+export class Stochastic extends Indicator {
+  /**
+   * @param {number} kPeriod - Lookback for the raw %K (default: 14)
+   * @param {number} kSmooth - SMA smoothing of %K, 1 for the fast stochastic (default: 3)
+   * @param {number} dPeriod - SMA period of %D (default: 3)
+   */
+  constructor(kPeriod = 14, kSmooth = 3, dPeriod = 3) {
+    super();
+    this.highest = new RollingExtreme(kPeriod, 'max');
+    this.lowest = new RollingExtreme(kPeriod, 'min');
+    this.kSmooth = kSmooth > 1 ? new SMA(kSmooth) : null;
+    this.d = new SMA(dPeriod);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {Object|null} { k, d }; d is null until %D starts
+   */
+  update(candle) {
+    const high = this.highest.push(candle.high);
+    const low = this.lowest.push(candle.low);
+    if (high === null) {
+      return null;
+    }
+
+    const range = high - low;
+    const rawK = range === 0 ? 50 : ((candle.close - low) / range) * 100;
+    const k = this.kSmooth ? this.kSmooth.update(rawK) : rawK;
+    if (k === null) {
+      return null;
+    }
+
+    this.value = { k, d: this.d.update(k) };
+    return this.value;
+  }
+}
+
+/**
+ * Stochastic RSI
+ */
+export class StochRSI extends Indicator {
+  /**
+   * @param {number} rsiPeriod - RSI period (default: 14)
+   * @param {number} stochPeriod - Stochastic lookback over RSI (default: 14)
+   * @param {number} kSmooth - SMA smoothing of %K (default: 3)
+   * @param {number} dPeriod - SMA period of %D (default: 3)
+   */
+  constructor(rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dPeriod = 3) {
+    super();
+    this.rsi = new RSI(rsiPeriod);
+    this.stoch = new Stochastic(stochPeriod, kSmooth, dPeriod);
+  }
+
+  /**
+   * @param {number} close - New closing price
+   * @returns {Object|null} { k, d }
+   */
+  update(close) {
+    const rsi = this.rsi.update(close);
+    if (rsi === null) {
+      return null;
+    }
+
+    this.value = this.stoch.update({ high: rsi, low: rsi, close: rsi });
+    return this.value;
+  }
+}
+
+/**
+ * CCI (Commodity Channel Index)
+ * The mean deviation has no running form, so each update is O(period)
+ */
+export class CCI extends Indicator {
+  /**
+   * @param {number} period - CCI period (default: 20)
+   */
+  constructor(period = 20) {
+    super();
+    this.period = period;
+    this.window = new RollingWindow(period);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {number|null} CCI value
+   */
+  update(candle) {
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    this.window.push(typical);
+    if (!this.window.full) {
+      return null;
+    }
+
+    const mean = this.window.sum / this.period;
+    const meanDeviation = this.window.values.reduce((sum, t) => sum + Math.abs(t - mean), 0) / this.period;
+    this.value = meanDeviation === 0 ? 0 : (typical - mean) / (0.015 * meanDeviation);
+    return this.value;
+  }
+}
+
+/**
+ * Williams %R
+ */
+export class WilliamsR extends Indicator {
+  /**
+   * @param {number} period - Lookback period (default: 14)
+   */
+  constructor(period = 14) {
+    super();
+    this.highest = new RollingExtreme(period, 'max');
+    this.lowest = new RollingExtreme(period, 'min');
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {number|null} %R value (-100 to 0)
+   */
+  update(candle) {
+    const high = this.highest.push(candle.high);
+    const low = this.lowest.push(candle.low);
+    if (high === null) {
+      return null;
+    }
+
+    const range = high - low;
+    this.value = range === 0 ? -50 : ((high - candle.close) / range) * -100;
+    return this.value;
+  }
+}
+
+/**
+ * ROC (Rate of Change)
+ */
+export class ROC extends Indicator {
+  /**
+   * @param {number} period - Lookback period (default: 12)
+   */
+  constructor(period = 12) {
+    super();
+    this.window = new RollingWindow(period + 1);
+  }
+
+  /**
+   * @param {number} close - New closing price
+   * @returns {number|null} % change over period candles
+   */
+  update(close) {
+    this.window.push(close);
+    if (!this.window.full) {
+      return null;
+    }
+
+    const past = this.window.oldest;
+    this.value = ((close - past) / past) * 100;
+    return this.value;
+  }
+}
+
+/**
+ * True Range
+ * The first candle has no previous close, so its range is high - low
+ */
+export class TrueRange extends Indicator {
+  constructor() {
+    super();
+    this.prevClose = null;
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {number} True range
+   */
+  update(candle) {
+    const { high, low, close } = candle;
+    this.value = this.prevClose === null
+      ? high - low
+      : Math.max(high - low, Math.abs(high - this.prevClose), Math.abs(low - this.prevClose));
+    this.prevClose = close;
+    return this.value;
+  }
+}
+
+/**
+ * ATR (Average True Range) using Wilder's smoothing
+ */
+export class ATR extends Indicator {
+  /**
+   * @param {number} period - ATR period (default: 14)
+   */
+  constructor(period = 14) {
+    super();
+    this.trueRange = new TrueRange();
+    this.average = new WilderAverage(period);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {number|null} ATR value
+   */
+  update(candle) {
+    // Skip the first true range, which lacks a previous close
+    const first = this.trueRange.prevClose === null;
+    const tr = this.trueRange.update(candle);
+    if (first) {
+      return null;
+    }
+
+    this.value = this.average.update(tr);
+    return this.value;
+  }
+}
+
+/**
+ * ADX (Average Directional Index) with +DI and -DI
+ */
+export class ADX extends Indicator {
+  /**
+   * @param {number} period - DI and ADX period (default: 14)
+   */
+  constructor(period = 14) {
+    super();
+    this.trueRange = new TrueRange();
+    this.prevHigh = null;
+    this.prevLow = null;
+    this.smoothedTR = new WilderAverage(period);
+    this.smoothedPlus = new WilderAverage(period);
+    this.smoothedMinus = new WilderAverage(period);
+    this.adx = new WilderAverage(period);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {Object|null} { adx, plusDI, minusDI }; adx is null until it starts
+   */
+  update(candle) {
+    const { high, low } = candle;
+    const tr = this.trueRange.update(candle);
+
+    if (this.prevHigh === null) {
+      this.prevHigh = high;
+      this.prevLow = low;
+      return null;
+    }
+
+    const up = high - this.prevHigh;
+    const down = this.prevLow - low;
+    this.prevHigh = high;
+    this.prevLow = low;
+
+    const smoothedTR = this.smoothedTR.update(tr);
+    const smoothedPlus = this.smoothedPlus.update(up > down && up > 0 ? up : 0);
+    const smoothedMinus = this.smoothedMinus.update(down > up && down > 0 ? down : 0);
+    if (smoothedTR === null) {
+      return null;
+    }
+
+    const plusDI = smoothedTR === 0 ? 0 : (smoothedPlus / smoothedTR) * 100;
+    const minusDI = smoothedTR === 0 ? 0 : (smoothedMinus / smoothedTR) * 100;
+    const dx = plusDI + minusDI === 0 ? 0 : (Math.abs(plusDI - minusDI) / (plusDI + minusDI)) * 100;
+
+    this.value = { adx: this.adx.update(dx), plusDI, minusDI };
+    return this.value;
+  }
+}
+
+/**
+ * SuperTrend
+ */
+export class SuperTrend extends Indicator {
+  /**
+   * @param {number} period - ATR period (default: 10)
+   * @param {number} multiplier - ATR multiplier (default: 3)
+   */
+  constructor(period = 10, multiplier = 3) {
+    super();
+    this.multiplier = multiplier;
+    this.atr = new ATR(period);
+    this.prevClose = null;
+    this.upperBand = null;
+    this.lowerBand = null;
+    this.trend = 1;
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {Object|null} { value, direction } (1 up, -1 down)
+   */
+  update(candle) {
+    const { high, low, close } = candle;
+    const atr = this.atr.update(candle);
+    const prevClose = this.prevClose;
+    this.prevClose = close;
+    if (atr === null) {
+      return null;
+    }
+
+    const mid = (high + low) / 2;
+    const basicUpper = mid + this.multiplier * atr;
+    const basicLower = mid - this.multiplier * atr;
+
+    if (this.upperBand === null) {
+      this.upperBand = basicUpper;
+      this.lowerBand = basicLower;
+      this.trend = close >= mid ? 1 : -1;
+    } else {
+      this.upperBand = basicUpper < this.upperBand || prevClose > this.upperBand ? basicUpper : this.upperBand;
+      this.lowerBand = basicLower > this.lowerBand || prevClose < this.lowerBand ? basicLower : this.lowerBand;
+
+      if (this.trend === -1 && close > this.upperBand) {
+        this.trend = 1;
+      } else if (this.trend === 1 && close < this.lowerBand) {
+        this.trend = -1;
+      }
+    }
+
+    this.value = {
+      value: this.trend === 1 ? this.lowerBand : this.upperBand,
+      direction: this.trend
+    };
+    return this.value;
+  }
+}
+
+/**
+ * Keltner Channels
+ */
+export class KeltnerChannels extends Indicator {
+  /**
+   * @param {number} period - EMA period for the middle line (default: 20)
+   * @param {number} multiplier - ATR multiplier (default: 2)
+   * @param {number} atrPeriod - ATR period (default: 10)
+   */
+  constructor(period = 20, multiplier = 2, atrPeriod = 10) {
+    super();
+    this.multiplier = multiplier;
+    this.ema = new EMA(period);
+    this.atr = new ATR(atrPeriod);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close }
+   * @returns {Object|null} { upper, middle, lower }
+   */
+  update(candle) {
+    const middle = this.ema.update(candle.close);
+    const atr = this.atr.update(candle);
+    if (middle === null || atr === null) {
+      return null;
+    }
+
+    this.value = {
+      upper: middle + this.multiplier * atr,
+      middle,
+      lower: middle - this.multiplier * atr
+    };
+    return this.value;
+  }
+}
+
+/**
+ * Donchian Channels
+ */
+export class DonchianChannels extends Indicator {
+  /**
+   * @param {number} period - Lookback period (default: 20)
+   */
+  constructor(period = 20) {
+    super();
+    this.highest = new RollingExtreme(period, 'max');
+    this.lowest = new RollingExtreme(period, 'min');
+  }
+
+  /**
+   * @param {Object} candle - { high, low }
+   * @returns {Object|null} { upper, middle, lower }
+   */
+  update(candle) {
+    const upper = this.highest.push(candle.high);
+    const lower = this.lowest.push(candle.low);
+    if (upper === null) {
+      return null;
+    }
+
+    this.value = { upper, middle: (upper + lower) / 2, lower };
+    return this.value;
+  }
+}
+
+/**
+ * Parabolic SAR
+ */
+export class ParabolicSAR extends Indicator {
+  /**
+   * @param {number} step - Acceleration factor step (default: 0.02)
+   * @param {number} max - Maximum acceleration factor (default: 0.2)
+   */
+  constructor(step = 0.02, max = 0.2) {
+    super();
+    this.step = step;
+    this.max = max;
+    this.count = 0;
+    // Highs and lows of the previous two candles, most recent last
+    this.highs = [];
+    this.lows = [];
+    this.trend = 1;
+    this.sar = null;
+    this.extreme = null;
+    this.af = step;
+  }
+
+  /**
+   * @param {Object} candle - { high, low }
+   * @returns {Object|null} { sar, direction } (1 up, -1 down), starting at the second candle
+   */
+  update(candle) {
+    const { high, low } = candle;
+    const i = this.count++;
+
+    if (i === 0) {
+      this.highs = [high];
+      this.lows = [low];
+      return null;
+    }
+
+    const [prevHigh, prevHigh2 = prevHigh] = [...this.highs].reverse();
+    const [prevLow, prevLow2 = prevLow] = [...this.lows].reverse();
+
+    // Start in the direction of the first move
+    if (i === 1) {
+      this.trend = high + low >= prevHigh + prevLow ? 1 : -1;
+      this.sar = this.trend === 1 ? prevLow : prevHigh;
+      this.extreme = this.trend === 1 ? prevHigh : prevLow;
+    }
+
+    let sar = this.sar + this.af * (this.extreme - this.sar);
+
+    // SAR may not move into the prior two candles' range
+    if (this.trend === 1) {
+      sar = Math.min(sar, prevLow, prevLow2);
+    } else {
+      sar = Math.max(sar, prevHigh, prevHigh2);
+    }
+
+    if (this.trend === 1 && low < sar) {
+      this.trend = -1;
+      sar = this.extreme;
+      this.extreme = low;
+      this.af = this.step;
+    } else if (this.trend === -1 && high > sar) {
+      this.trend = 1;
+      sar = this.extreme;
+      this.extreme = high;
+      this.af = this.step;
+    } else if (this.trend === 1 && high > this.extreme) {
+      this.extreme = high;
+      this.af = Math.min(this.af + this.step, this.max);
+    } else if (this.trend === -1 && low < this.extreme) {
+      this.extreme = low;
+      this.af = Math.min(this.af + this.step, this.max);
+    }
+
+    this.sar = sar;
+    this.highs = [prevHigh, high];
+    this.lows = [prevLow, low];
+
+    this.value = { sar, direction: this.trend };
+    return this.value;
+  }
+}
+
+/**
+ * OBV (On-Balance Volume), starting at 0 on the first candle
+ */
+export class OBV extends Indicator {
+  constructor() {
+    super();
+    this.prevClose = null;
+  }
+
+  /**
+   * @param {Object} candle - { close, volume }
+   * @returns {number} OBV value
+   */
+  update(candle) {
+    const { close, volume } = candle;
+
+    if (this.prevClose === null) {
+      this.value = 0;
+    } else if (close > this.prevClose) {
+      this.value += volume;
+    } else if (close < this.prevClose) {
+      this.value -= volume;
+    }
+
+    this.prevClose = close;
+    return this.value;
+  }
+}
+
+/**
+ * Session VWAP (Volume Weighted Average Price), reset at each session start
+ */
+export class VWAP extends Indicator {
+  /**
+   * @param {number} sessionMs - Session length in ms, aligned to UTC midnight (default: 1 day)
+   */
+  constructor(sessionMs = 86400000) {
+    super();
+    this.sessionMs = sessionMs;
+    this.session = null;
+    this.priceVolume = 0;
+    this.totalVolume = 0;
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close, volume, time } (time is the open time in ms)
+   * @returns {number} VWAP value
+   */
+  update(candle) {
+    const { high, low, close, volume, time } = candle;
+
+    const session = Math.floor(time / this.sessionMs);
+    if (session !== this.session) {
+      this.session = session;
+      this.priceVolume = 0;
+      this.totalVolume = 0;
+    }
+
+    const typical = (high + low + close) / 3;
+    this.priceVolume += typical * volume;
+    this.totalVolume += volume;
+
+    // A session without volume so far has no VWAP; fall back to the typical price
+    this.value = this.totalVolume > 0 ? this.priceVolume / this.totalVolume : typical;
+    return this.value;
+  }
+}
+
+/**
+ * Rolling VWAP over the last period candles
+ */
+export class RollingVWAP extends Indicator {
+  /**
+   * @param {number} period - Rolling window (default: 20)
+   */
+  constructor(period = 20) {
+    super();
+    this.priceVolume = new RollingWindow(period);
+    this.volume = new RollingWindow(period);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close, volume }
+   * @returns {number|null} VWAP value
+   */
+  update(candle) {
+    const { high, low, close, volume } = candle;
+    this.priceVolume.push(((high + low + close) / 3) * volume);
+    this.volume.push(volume);
+    if (!this.volume.full) {
+      return null;
+    }
+
+    this.value = this.volume.sum > 0 ? this.priceVolume.sum / this.volume.sum : close;
+    return this.value;
+  }
+}
+
+/**
+ * MFI (Money Flow Index)
+ */
+export class MFI extends Indicator {
+  /**
+   * @param {number} period - MFI period (default: 14)
+   */
+  constructor(period = 14) {
+    super();
+    this.prevTypical = null;
+    this.positive = new RollingWindow(period);
+    this.negative = new RollingWindow(period);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close, volume }
+   * @returns {number|null} MFI value (0-100)
+   */
+  update(candle) {
+    const typical = (candle.high + candle.low + candle.close) / 3;
+    const prevTypical = this.prevTypical;
+    this.prevTypical = typical;
+    if (prevTypical === null) {
+      return null;
+    }
+
+    const flow = typical * candle.volume;
+    this.positive.push(typical > prevTypical ? flow : 0);
+    this.negative.push(typical < prevTypical ? flow : 0);
+    if (!this.positive.full) {
+      return null;
+    }
+
+    const pos = this.positive.sum;
+    const neg = this.negative.sum;
+    this.value = neg === 0 ? (pos === 0 ? 50 : 100) : 100 - (100 / (1 + pos / neg));
+    return this.value;
+  }
+}
+
+/**
+ * CMF (Chaikin Money Flow)
+ */
+export class CMF extends Indicator {
+  /**
+   * @param {number} period - CMF period (default: 20)
+   */
+  constructor(period = 20) {
+    super();
+    this.flowVolume = new RollingWindow(period);
+    this.volume = new RollingWindow(period);
+  }
+
+  /**
+   * @param {Object} candle - { high, low, close, volume }
+   * @returns {number|null} CMF value (-1 to 1)
+   */
+  update(candle) {
+    const { high, low, close, volume } = candle;
+    const range = high - low;
+
+    // Money flow volume: volume weighted by where the close sits in the candle's range
+    this.flowVolume.push(range === 0 ? 0 : (((close - low) - (high - close)) / range) * volume);
+    this.volume.push(volume);
+    if (!this.volume.full) {
+      return null;
+    }
+
+    this.value = this.volume.sum === 0 ? 0 : this.flowVolume.sum / this.volume.sum;
+    return this.value;
+  }
+}
+
+/**
+ * Relative volume: each volume divided by the average of the period volumes before it
+ */
+export class RelativeVolume extends Indicator {
+  /**
+   * @param {number} period - Number of preceding candles to average (default: 20)
+   */
+  constructor(period = 20) {
+    super();
+    this.period = period;
+    this.window = new RollingWindow(period);
+  }
+
+  /**
+   * @param {number} volume - New volume
+   * @returns {number|null} Relative volume
+   */
+  update(volume) {
+    if (this.window.full) {
+      const average = this.window.sum / this.period;
+      this.value = average === 0 ? 0 : volume / average;
+    }
+
+    this.window.push(volume);
+    return this.value;
+  }
+}
+
+// Calculator classes by name, for restoring serialized state
+const CALCULATORS = {
+  RollingWindow,
+  RollingExtreme,
+  WilderAverage,
+  SMA,
+  EMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  Stochastic,
+  StochRSI,
+  CCI,
+  WilliamsR,
+  ROC,
+  TrueRange,
+  ATR,
+  ADX,
+  SuperTrend,
+  KeltnerChannels,
+  DonchianChannels,
+  ParabolicSAR,
+  OBV,
+  VWAP,
+  RollingVWAP,
+  MFI,
+  CMF,
+  RelativeVolume
+};
+
+/**
+ * Rebuild calculators found in serialized state
+ * @param {*} data - Parsed JSON
+ * @returns {*} Data with tagged objects turned back into calculators
+ */
+function revive(data) {
+  if (Array.isArray(data)) {
+    return data.map(revive);
+  }
+  if (data === null || typeof data !== 'object') {
+    return data;
+  }
+
+  const { indicator, ...fields } = data;
+  for (const key of Object.keys(fields)) {
+    fields[key] = revive(fields[key]);
+  }
+
+  if (indicator === undefined) {
+    return fields;
+  }
+  if (!Object.hasOwn(CALCULATORS, indicator)) {
+    throw new Error(`Unknown indicator in saved state: ${indicator}`);
+  }
+  return Object.assign(Object.create(CALCULATORS[indicator].prototype), fields);
+}
+
+/**
+ * Restore a calculator from JSON.stringify() output
+ * @param {string|Object} state - Serialized calculator, as a string or parsed
+ * @returns {Indicator} Calculator that continues from the saved state
+ */
+export function restoreIndicator(state) {
+  return revive(typeof state === 'string' ? JSON.parse(state) : state);
+}
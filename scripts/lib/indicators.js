@@ -3,6 +3,10 @@
  * Provides common technical analysis calculations
  */
 
+import { detectPatterns, getPatternMinimumCandles } from './patterns.js';
+import { alignSeries, detectDivergences } from './divergence.js';
+import { findSupportResistance } from './levels.js';
+
 /**
  * Calculate RSI (Relative Strength Index) using Wilder's smoothing
  * @param {number[]} closes - Array of closing prices
@@ -179,125 +183,1238 @@ export function calculateBollingerBands(prices, period = 20, stdDev = 2) {
 }
 
 /**
- * Check for golden cross (MA crossover bullish signal)
- * @param {number[]} maFast - Faster moving average
- * @param {number[]} maSlow - Slower moving average
- * @returns {boolean} True if golden cross detected
+ * Highest high and lowest low over a rolling window
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number} period - Window length
+ * @returns {Object} { highest, lowest } arrays, starting at index period - 1
+ */
+function rollingRange(highs, lows, period) {
+  const highest = [];
+  const lowest = [];
+
+  for (let i = period - 1; i < highs.length; i++) {
+    highest.push(Math.max(...highs.slice(i - period + 1, i + 1)));
+    lowest.push(Math.min(...lows.slice(i - period + 1, i + 1)));
+  }
+
+  return { highest, lowest };
+}
+
+/**
+ * Calculate Stochastic Oscillator %K and %D
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} kPeriod - Lookback for the raw %K (default: 14)
+ * @param {number} kSmooth - SMA smoothing of %K, 1 for the fast stochastic (default: 3)
+ * @param {number} dPeriod - SMA period of %D (default: 3)
+ * @returns {Object} Stochastic data with k and d arrays (0-100)
+ */
+export function calculateStochastic(highs, lows, closes, kPeriod = 14, kSmooth = 3, dPeriod = 3) {
+  if (closes.length < kPeriod + kSmooth + dPeriod - 2) {
+    throw new Error(`Not enough data for Stochastic calculation. Need at least ${kPeriod + kSmooth + dPeriod - 2} data points.`);
+  }
+
+  const { highest, lowest } = rollingRange(highs, lows, kPeriod);
+  const rawK = highest.map((high, i) => {
+    const range = high - lowest[i];
+    return range === 0 ? 50 : ((closes[i + kPeriod - 1] - lowest[i]) / range) * 100;
+  });
+
+  const k = kSmooth > 1 ? calculateSMA(rawK, kSmooth) : rawK;
+  const d = calculateSMA(k, dPeriod);
+
+  return {
+    k,
+    d
+  };
+}
+
+/**
+ * Calculate Stochastic RSI
+ * The stochastic formula applied to RSI values instead of prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} rsiPeriod - RSI period (default: 14)
+ * @param {number} stochPeriod - Stochastic lookback over RSI (default: 14)
+ * @param {number} kSmooth - SMA smoothing of %K (default: 3)
+ * @param {number} dPeriod - SMA period of %D (default: 3)
+ * @returns {Object} StochRSI data with k and d arrays (0-100)
+ */
+export function calculateStochRSI(closes, rsiPeriod = 14, stochPeriod = 14, kSmooth = 3, dPeriod = 3) {
+  const rsi = calculateRSI(closes, rsiPeriod);
+  return calculateStochastic(rsi, rsi, rsi, stochPeriod, kSmooth, dPeriod);
+}
+
+/**
+ * Calculate CCI (Commodity Channel Index)
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} period - CCI period (default: 20)
+ * @returns {number[]} Array of CCI values
+ */
+export function calculateCCI(highs, lows, closes, period = 20) {
+  if (closes.length < period) {
+    throw new Error(`Not enough data for CCI calculation. Need at least ${period} data points.`);
+  }
+
+  const typical = closes.map((c, i) => (highs[i] + lows[i] + c) / 3);
+  const cciValues = [];
+
+  for (let i = period - 1; i < typical.length; i++) {
+    const slice = typical.slice(i - period + 1, i + 1);
+    const mean = slice.reduce((a, b) => a + b, 0) / period;
+    const meanDeviation = slice.reduce((sum, t) => sum + Math.abs(t - mean), 0) / period;
+
+    // 0.015 scales CCI so that most values fall within ±100
+    cciValues.push(meanDeviation === 0 ? 0 : (typical[i] - mean) / (0.015 * meanDeviation));
+  }
+
+  return cciValues;
+}
+
+/**
+ * Calculate Williams %R
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} period - Lookback period (default: 14)
+ * @returns {number[]} Array of %R values (-100 to 0)
+ */
+export function calculateWilliamsR(highs, lows, closes, period = 14) {
+  if (closes.length < period) {
+    throw new Error(`Not enough data for Williams %R calculation. Need at least ${period} data points.`);
+  }
+
+  const { highest, lowest } = rollingRange(highs, lows, period);
+
+  return highest.map((high, i) => {
+    const range = high - lowest[i];
+    return range === 0 ? -50 : ((high - closes[i + period - 1]) / range) * -100;
+  });
+}
+
+/**
+ * Calculate ROC (Rate of Change)
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} period - Lookback period (default: 12)
+ * @returns {number[]} Array of ROC values (% change over period candles)
+ */
+export function calculateROC(closes, period = 12) {
+  if (closes.length < period + 1) {
+    throw new Error(`Not enough data for ROC calculation. Need at least ${period + 1} data points.`);
+  }
+
+  const rocValues = [];
+  for (let i = period; i < closes.length; i++) {
+    rocValues.push(((closes[i] - closes[i - period]) / closes[i - period]) * 100);
+  }
+
+  return rocValues;
+}
+
+/**
+ * Calculate True Range
+ * The first candle has no previous close, so its range is high - low
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @returns {number[]} Array of true range values (same length as input)
+ */
+export function calculateTrueRange(highs, lows, closes) {
+  const trValues = [highs[0] - lows[0]];
+
+  for (let i = 1; i < closes.length; i++) {
+    trValues.push(Math.max(
+      highs[i] - lows[i],
+      Math.abs(highs[i] - closes[i - 1]),
+      Math.abs(lows[i] - closes[i - 1])
+    ));
+  }
+
+  return trValues;
+}
+
+/**
+ * Smooth values with Wilder's moving average (RMA)
+ * Seeded with the SMA of the first period values
+ * @param {number[]} values - Array of values
+ * @param {number} period - Smoothing period
+ * @returns {number[]} Array of smoothed values
+ */
+function wilderSmooth(values, period) {
+  let current = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  const smoothed = [current];
+
+  for (let i = period; i < values.length; i++) {
+    current = (current * (period - 1) + values[i]) / period;
+    smoothed.push(current);
+  }
+
+  return smoothed;
+}
+
+/**
+ * Calculate ATR (Average True Range) using Wilder's smoothing
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} period - ATR period (default: 14)
+ * @returns {number[]} Array of ATR values
+ */
+export function calculateATR(highs, lows, closes, period = 14) {
+  if (closes.length < period + 1) {
+    throw new Error(`Not enough data for ATR calculation. Need at least ${period + 1} data points.`);
+  }
+
+  // Skip the first true range, which lacks a previous close
+  return wilderSmooth(calculateTrueRange(highs, lows, closes).slice(1), period);
+}
+
+/**
+ * Calculate ADX (Average Directional Index) with +DI and -DI
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} period - DI and ADX period (default: 14)
+ * @returns {Object} ADX data with adx, plusDI and minusDI arrays
+ */
+export function calculateADX(highs, lows, closes, period = 14) {
+  if (closes.length < period * 2 + 1) {
+    throw new Error(`Not enough data for ADX calculation. Need at least ${period * 2 + 1} data points.`);
+  }
+
+  const trValues = calculateTrueRange(highs, lows, closes).slice(1);
+  const plusDM = [];
+  const minusDM = [];
+
+  for (let i = 1; i < closes.length; i++) {
+    const up = highs[i] - highs[i - 1];
+    const down = lows[i - 1] - lows[i];
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+
+  // Smoothing TR and DM the same way lets the period cancel out in the ratio
+  const smoothedTR = wilderSmooth(trValues, period);
+  const smoothedPlus = wilderSmooth(plusDM, period);
+  const smoothedMinus = wilderSmooth(minusDM, period);
+
+  const plusDI = [];
+  const minusDI = [];
+  const dx = [];
+
+  for (let i = 0; i < smoothedTR.length; i++) {
+    const plus = smoothedTR[i] === 0 ? 0 : (smoothedPlus[i] / smoothedTR[i]) * 100;
+    const minus = smoothedTR[i] === 0 ? 0 : (smoothedMinus[i] / smoothedTR[i]) * 100;
+    plusDI.push(plus);
+    minusDI.push(minus);
+    dx.push(plus + minus === 0 ? 0 : (Math.abs(plus - minus) / (plus + minus)) * 100);
+  }
+
+  return {
+    adx: wilderSmooth(dx, period),
+    plusDI,
+    minusDI
+  };
+}
+
+/**
+ * Calculate SuperTrend
+ * Bands at hl2 ± multiplier x ATR that only tighten while the trend holds;
+ * the trend flips when the close crosses the opposite band
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} period - ATR period (default: 10)
+ * @param {number} multiplier - ATR multiplier (default: 3)
+ * @returns {Object} SuperTrend data with value and direction (1 up, -1 down) arrays
+ */
+export function calculateSuperTrend(highs, lows, closes, period = 10, multiplier = 3) {
+  const atr = calculateATR(highs, lows, closes, period);
+  const offset = closes.length - atr.length;
+
+  const value = [];
+  const direction = [];
+  let upperBand = null;
+  let lowerBand = null;
+  let trend = 1;
+
+  for (let j = 0; j < atr.length; j++) {
+    const i = j + offset;
+    const mid = (highs[i] + lows[i]) / 2;
+    const basicUpper = mid + multiplier * atr[j];
+    const basicLower = mid - multiplier * atr[j];
+    const prevClose = closes[i - 1];
+
+    if (upperBand === null) {
+      upperBand = basicUpper;
+      lowerBand = basicLower;
+      trend = closes[i] >= mid ? 1 : -1;
+    } else {
+      upperBand = basicUpper < upperBand || prevClose > upperBand ? basicUpper : upperBand;
+      lowerBand = basicLower > lowerBand || prevClose < lowerBand ? basicLower : lowerBand;
+
+      if (trend === -1 && closes[i] > upperBand) {
+        trend = 1;
+      } else if (trend === 1 && closes[i] < lowerBand) {
+        trend = -1;
+      }
+    }
+
+    value.push(trend === 1 ? lowerBand : upperBand);
+    direction.push(trend);
+  }
+
+  return {
+    value,
+    direction
+  };
+}
+
+/**
+ * Calculate Keltner Channels
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} period - EMA period for the middle line (default: 20)
+ * @param {number} multiplier - ATR multiplier (default: 2)
+ * @param {number} atrPeriod - ATR period (default: 10)
+ * @returns {Object} Keltner Channels with upper, middle, lower arrays
  */
-export function isGoldenCross(maFast, maSlow) {
-  if (maFast.length < 2 || maSlow.length < 2) {
+export function calculateKeltnerChannels(highs, lows, closes, period = 20, multiplier = 2, atrPeriod = 10) {
+  const ema = calculateEMA(closes, period);
+  const atr = calculateATR(highs, lows, closes, atrPeriod);
+
+  // Align both series to the most recent candles
+  const length = Math.min(ema.length, atr.length);
+  const middle = ema.slice(ema.length - length);
+  const atrTail = atr.slice(atr.length - length);
+
+  return {
+    upper: middle.map((m, i) => m + multiplier * atrTail[i]),
+    middle,
+    lower: middle.map((m, i) => m - multiplier * atrTail[i])
+  };
+}
+
+/**
+ * Calculate Donchian Channels
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number} period - Lookback period (default: 20)
+ * @returns {Object} Donchian Channels with upper, middle, lower arrays
+ */
+export function calculateDonchianChannels(highs, lows, period = 20) {
+  if (highs.length < period) {
+    throw new Error(`Not enough data for Donchian Channels calculation. Need at least ${period} data points.`);
+  }
+
+  const upper = [];
+  const lower = [];
+
+  for (let i = period - 1; i < highs.length; i++) {
+    upper.push(Math.max(...highs.slice(i - period + 1, i + 1)));
+    lower.push(Math.min(...lows.slice(i - period + 1, i + 1)));
+  }
+
+  return {
+    upper,
+    middle: upper.map((u, i) => (u + lower[i]) / 2),
+    lower
+  };
+}
+
+/**
+ * Calculate Parabolic SAR
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number} step - Acceleration factor step (default: 0.02)
+ * @param {number} max - Maximum acceleration factor (default: 0.2)
+ * @returns {Object} SAR data with sar and direction (1 up, -1 down) arrays, starting at the second candle
+ */
+export function calculateParabolicSAR(highs, lows, step = 0.02, max = 0.2) {
+  if (highs.length < 2) {
+    throw new Error('Not enough data for Parabolic SAR calculation. Need at least 2 data points.');
+  }
+
+  // Start in the direction of the first move
+  let trend = highs[1] + lows[1] >= highs[0] + lows[0] ? 1 : -1;
+  let sar = trend === 1 ? lows[0] : highs[0];
+  let extreme = trend === 1 ? highs[0] : lows[0];
+  let af = step;
+
+  const sarValues = [];
+  const direction = [];
+
+  for (let i = 1; i < highs.length; i++) {
+    sar = sar + af * (extreme - sar);
+
+    // SAR may not move into the prior two candles' range
+    if (trend === 1) {
+      sar = Math.min(sar, lows[i - 1], i >= 2 ? lows[i - 2] : lows[i - 1]);
+    } else {
+      sar = Math.max(sar, highs[i - 1], i >= 2 ? highs[i - 2] : highs[i - 1]);
+    }
+
+    if (trend === 1 && lows[i] < sar) {
+      trend = -1;
+      sar = extreme;
+      extreme = lows[i];
+      af = step;
+    } else if (trend === -1 && highs[i] > sar) {
+      trend = 1;
+      sar = extreme;
+      extreme = highs[i];
+      af = step;
+    } else if (trend === 1 && highs[i] > extreme) {
+      extreme = highs[i];
+      af = Math.min(af + step, max);
+    } else if (trend === -1 && lows[i] < extreme) {
+      extreme = lows[i];
+      af = Math.min(af + step, max);
+    }
+
+    sarValues.push(sar);
+    direction.push(trend);
+  }
+
+  return {
+    sar: sarValues,
+    direction
+  };
+}
+
+/**
+ * Find the most recent crossover of two lines within the last candles
+ * The lines are aligned at their ends, so they may differ in length
+ * @param {number[]} fast - Faster line (e.g., %K)
+ * @param {number[]} slow - Slower line (e.g., %D)
+ * @param {string} direction - 'bullish' (fast crosses above slow) or 'bearish'
+ * @param {Object} options - Search options
+ * @param {number} options.within - Candles searched, counting the last (default: 1)
+ * @param {number} options.level - Only count crosses where both lines were below
+ *   (bullish) or above (bearish) this level before crossing (optional)
+ * @returns {number|null} Age in candles (0 = last candle), or null
+ */
+export function findLineCross(fast, slow, direction, options = {}) {
+  const { within = 1, level = null } = options;
+  const bullish = direction === 'bullish';
+
+  for (let age = 0; age < within; age++) {
+    const f = fast.length - 1 - age;
+    const s = slow.length - 1 - age;
+    if (f < 1 || s < 1) {
+      break;
+    }
+
+    const fastPrev = fast[f - 1];
+    const slowPrev = slow[s - 1];
+    if (level !== null && (bullish ? fastPrev >= level || slowPrev >= level : fastPrev <= level || slowPrev <= level)) {
+      continue;
+    }
+
+    const crossed = bullish
+      ? fastPrev <= slowPrev && fast[f] > slow[s]
+      : fastPrev >= slowPrev && fast[f] < slow[s];
+    if (crossed) {
+      return age;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check for a bullish line crossover (e.g., Stochastic %K crossing above %D)
+ * @param {number[]} fast - Faster line (e.g., %K)
+ * @param {number[]} slow - Slower line (e.g., %D)
+ * @param {number} level - Only count crosses where both lines were below this level (optional)
+ * @param {number} within - Candles searched, counting the last (default: 1)
+ * @returns {boolean} True if the fast line crossed above the slow line within the last candles
+ */
+export function isBullishLineCross(fast, slow, level = null, within = 1) {
+  return findLineCross(fast, slow, 'bullish', { level, within }) !== null;
+}
+
+/**
+ * Check for a bearish line crossover (e.g., Stochastic %K crossing below %D)
+ * @param {number[]} fast - Faster line (e.g., %K)
+ * @param {number[]} slow - Slower line (e.g., %D)
+ * @param {number} level - Only count crosses where both lines were above this level (optional)
+ * @param {number} within - Candles searched, counting the last (default: 1)
+ * @returns {boolean} True if the fast line crossed below the slow line within the last candles
+ */
+export function isBearishLineCross(fast, slow, level = null, within = 1) {
+  return findLineCross(fast, slow, 'bearish', { level, within }) !== null;
+}
+
+/**
+ * Check whether an oscillator crossed above a level (e.g., CCI above -100)
+ * @param {number[]} values - Oscillator values
+ * @param {number} level - Level to cross
+ * @returns {boolean} True if the last value crossed above the level
+ */
+export function isCrossAboveLevel(values, level) {
+  if (values.length < 2) {
     return false;
   }
 
-  // Get the last two values
-  const fastPrev = maFast[maFast.length - 2];
-  const fastCurr = maFast[maFast.length - 1];
-  const slowPrev = maSlow[maSlow.length - 2];
-  const slowCurr = maSlow[maSlow.length - 1];
+  return values[values.length - 2] <= level && values[values.length - 1] > level;
+}
+
+/**
+ * Check whether an oscillator crossed below a level (e.g., Williams %R below -20)
+ * @param {number[]} values - Oscillator values
+ * @param {number} level - Level to cross
+ * @returns {boolean} True if the last value crossed below the level
+ */
+export function isCrossBelowLevel(values, level) {
+  if (values.length < 2) {
+    return false;
+  }
 
+  return values[values.length - 2] >= level && values[values.length - 1] < level;
+}
+
+/**
+ * Find the most recent flip of a direction series (1 up, -1 down) within the last candles
+ * @param {number[]} direction - Direction values
+ * @param {number} within - Candles searched, counting the last (default: 1)
+ * @returns {Object|null} { flip: 'bullish'|'bearish', age } (age 0 = last candle), or null
+ */
+export function findDirectionFlip(direction, within = 1) {
+  for (let age = 0; age < within && direction.length - 2 - age >= 0; age++) {
+    const prev = direction[direction.length - 2 - age];
+    const curr = direction[direction.length - 1 - age];
+
+    if (prev === -1 && curr === 1) {
+      return { flip: 'bullish', age };
+    }
+    if (prev === 1 && curr === -1) {
+      return { flip: 'bearish', age };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a direction series (1 up, -1 down) flipped within the last candles
+ * @param {number[]} direction - Direction values
+ * @param {number} within - Candles searched, counting the last (default: 1)
+ * @returns {string|null} 'bullish', 'bearish' or null
+ */
+export function getDirectionFlip(direction, within = 1) {
+  const found = findDirectionFlip(direction, within);
+  return found ? found.flip : null;
+}
+
+/**
+ * Calculate OBV (On-Balance Volume)
+ * @param {number[]} closes - Array of closing prices
+ * @param {number[]} volumes - Array of volumes
+ * @returns {number[]} Array of OBV values (same length as input, starting at 0)
+ */
+export function calculateOBV(closes, volumes) {
+  const obvValues = [0];
+
+  for (let i = 1; i < closes.length; i++) {
+    const prev = obvValues[i - 1];
+    if (closes[i] > closes[i - 1]) {
+      obvValues.push(prev + volumes[i]);
+    } else if (closes[i] < closes[i - 1]) {
+      obvValues.push(prev - volumes[i]);
+    } else {
+      obvValues.push(prev);
+    }
+  }
+
+  return obvValues;
+}
+
+/**
+ * Calculate session VWAP (Volume Weighted Average Price)
+ * Accumulates typical price x volume from the start of each session
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number[]} volumes - Array of volumes
+ * @param {number[]} times - Array of candle open times (ms)
+ * @param {number} sessionMs - Session length in ms, aligned to UTC midnight (default: 1 day)
+ * @returns {number[]} Array of VWAP values (same length as input)
+ */
+export function calculateVWAP(highs, lows, closes, volumes, times, sessionMs = 86400000) {
+  const vwapValues = [];
+  let session = null;
+  let priceVolume = 0;
+  let totalVolume = 0;
+
+  for (let i = 0; i < closes.length; i++) {
+    const currentSession = Math.floor(times[i] / sessionMs);
+    if (currentSession !== session) {
+      session = currentSession;
+      priceVolume = 0;
+      totalVolume = 0;
+    }
+
+    const typical = (highs[i] + lows[i] + closes[i]) / 3;
+    priceVolume += typical * volumes[i];
+    totalVolume += volumes[i];
+
+    // A session without volume so far has no VWAP; fall back to the typical price
+    vwapValues.push(totalVolume > 0 ? priceVolume / totalVolume : typical);
+  }
+
+  return vwapValues;
+}
+
+/**
+ * Calculate rolling VWAP over the last period candles
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number[]} volumes - Array of volumes
+ * @param {number} period - Rolling window (default: 20)
+ * @returns {number[]} Array of VWAP values
+ */
+export function calculateRollingVWAP(highs, lows, closes, volumes, period = 20) {
+  if (closes.length < period) {
+    throw new Error(`Not enough data for rolling VWAP calculation. Need at least ${period} data points.`);
+  }
+
+  const vwapValues = [];
+
+  for (let i = period - 1; i < closes.length; i++) {
+    let priceVolume = 0;
+    let totalVolume = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      priceVolume += ((highs[j] + lows[j] + closes[j]) / 3) * volumes[j];
+      totalVolume += volumes[j];
+    }
+    vwapValues.push(totalVolume > 0 ? priceVolume / totalVolume : closes[i]);
+  }
+
+  return vwapValues;
+}
+
+/**
+ * Calculate MFI (Money Flow Index)
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number[]} volumes - Array of volumes
+ * @param {number} period - MFI period (default: 14)
+ * @returns {number[]} Array of MFI values (0-100)
+ */
+export function calculateMFI(highs, lows, closes, volumes, period = 14) {
+  if (closes.length < period + 1) {
+    throw new Error(`Not enough data for MFI calculation. Need at least ${period + 1} data points.`);
+  }
+
+  const typical = closes.map((c, i) => (highs[i] + lows[i] + c) / 3);
+  const positive = [];
+  const negative = [];
+
+  for (let i = 1; i < typical.length; i++) {
+    const flow = typical[i] * volumes[i];
+    positive.push(typical[i] > typical[i - 1] ? flow : 0);
+    negative.push(typical[i] < typical[i - 1] ? flow : 0);
+  }
+
+  const mfiValues = [];
+  for (let i = period - 1; i < positive.length; i++) {
+    const pos = positive.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0);
+    const neg = negative.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0);
+
+    if (neg === 0) {
+      mfiValues.push(pos === 0 ? 50 : 100);
+    } else {
+      mfiValues.push(100 - (100 / (1 + pos / neg)));
+    }
+  }
+
+  return mfiValues;
+}
+
+/**
+ * Calculate CMF (Chaikin Money Flow)
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {number[]} volumes - Array of volumes
+ * @param {number} period - CMF period (default: 20)
+ * @returns {number[]} Array of CMF values (-1 to 1)
+ */
+export function calculateCMF(highs, lows, closes, volumes, period = 20) {
+  if (closes.length < period) {
+    throw new Error(`Not enough data for CMF calculation. Need at least ${period} data points.`);
+  }
+
+  // Money flow volume: volume weighted by where the close sits in the candle's range
+  const flowVolume = closes.map((c, i) => {
+    const range = highs[i] - lows[i];
+    return range === 0 ? 0 : (((c - lows[i]) - (highs[i] - c)) / range) * volumes[i];
+  });
+
+  const cmfValues = [];
+  for (let i = period - 1; i < closes.length; i++) {
+    const flow = flowVolume.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0);
+    const volume = volumes.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0);
+    cmfValues.push(volume === 0 ? 0 : flow / volume);
+  }
+
+  return cmfValues;
+}
+
+/**
+ * Calculate relative volume of the last candle
+ * @param {number[]} volumes - Array of volumes
+ * @param {number} period - Number of preceding candles to average (default: 20)
+ * @returns {number} Last volume divided by the average of the period candles before it
+ */
+export function calculateRelativeVolume(volumes, period = 20) {
+  if (volumes.length < period + 1) {
+    throw new Error(`Not enough data for relative volume calculation. Need at least ${period + 1} data points.`);
+  }
+
+  const average = volumes.slice(-period - 1, -1).reduce((a, b) => a + b, 0) / period;
+  return average === 0 ? 0 : volumes[volumes.length - 1] / average;
+}
+
+/**
+ * Check for golden cross (MA crossover bullish signal)
+ * @param {number[]} maFast - Faster moving average
+ * @param {number[]} maSlow - Slower moving average
+ * @param {number} within - Candles searched, counting the last (default: 1)
+ * @returns {boolean} True if golden cross detected
+ */
+export function isGoldenCross(maFast, maSlow, within = 1) {
   // Golden cross: fast was below slow, now above slow
-  return fastPrev <= slowPrev && fastCurr > slowCurr;
+  return findLineCross(maFast, maSlow, 'bullish', { within }) !== null;
 }
 
 /**
  * Check for death cross (MA crossover bearish signal)
  * @param {number[]} maFast - Faster moving average
  * @param {number[]} maSlow - Slower moving average
+ * @param {number} within - Candles searched, counting the last (default: 1)
  * @returns {boolean} True if death cross detected
  */
-export function isDeathCross(maFast, maSlow) {
-  if (maFast.length < 2 || maSlow.length < 2) {
-    return false;
-  }
+export function isDeathCross(maFast, maSlow, within = 1) {
+  // Death cross: fast was above slow, now below slow
+  return findLineCross(maFast, maSlow, 'bearish', { within }) !== null;
+}
 
-  // Get the last two values
-  const fastPrev = maFast[maFast.length - 2];
-  const fastCurr = maFast[maFast.length - 1];
-  const slowPrev = maSlow[maSlow.length - 2];
-  const slowCurr = maSlow[maSlow.length - 1];
+/**
+ * Find the most recent zero-line cross of a series (e.g., MACD histogram) within the last candles
+ * Touching zero is not a cross: the sign must change from one value to the next
+ * @param {number[]} values - Series values
+ * @param {string} direction - 'bullish' (negative to positive) or 'bearish'
+ * @param {number} within - Candles searched, counting the last (default: 1)
+ * @returns {number|null} Age in candles (0 = last candle), or null
+ */
+export function findZeroCross(values, direction, within = 1) {
+  for (let age = 0; age < within && values.length - 2 - age >= 0; age++) {
+    const prev = values[values.length - 2 - age];
+    const curr = values[values.length - 1 - age];
 
-  // Death cross: fast was above slow, now below slow
-  return fastPrev >= slowPrev && fastCurr < slowCurr;
+    if (direction === 'bullish' ? prev < 0 && curr > 0 : prev > 0 && curr < 0) {
+      return age;
+    }
+  }
+  return null;
 }
 
 /**
  * Check for MACD bullish crossover
  * @param {number[]} histogram - MACD histogram values
+ * @param {number} within - Candles searched, counting the last (default: 1)
  * @returns {boolean} True if bullish crossover detected
  */
-export function isMACDBullishCross(histogram) {
-  if (histogram.length < 2) {
-    return false;
-  }
-
-  const prev = histogram[histogram.length - 2];
-  const curr = histogram[histogram.length - 1];
-
+export function isMACDBullishCross(histogram, within = 1) {
   // Bullish cross: histogram was negative, now positive
-  return prev < 0 && curr > 0;
+  return findZeroCross(histogram, 'bullish', within) !== null;
 }
 
 /**
  * Check for MACD bearish crossover
  * @param {number[]} histogram - MACD histogram values
+ * @param {number} within - Candles searched, counting the last (default: 1)
  * @returns {boolean} True if bearish crossover detected
  */
-export function isMACDBearishCross(histogram) {
-  if (histogram.length < 2) {
-    return false;
+export function isMACDBearishCross(histogram, within = 1) {
+  // Bearish cross: histogram was positive, now negative
+  return findZeroCross(histogram, 'bearish', within) !== null;
+}
+
+// Default indicator settings; getLatestIndicators computes only the keys present in a spec
+export const DEFAULT_INDICATOR_SPEC = {
+  rsi: { period: 14 },
+  macd: { fast: 12, slow: 26, signal: 9 },
+  maCross: { fast: { type: 'sma', period: 20 }, slow: { type: 'sma', period: 50 } },
+  movingAverages: [],
+  bollinger: { period: 20, stdDev: 2 },
+  atr: { period: 14 },
+  adx: { period: 14 },
+  supertrend: { period: 10, multiplier: 3 },
+  keltner: { period: 20, multiplier: 2, atrPeriod: 10 },
+  donchian: { period: 20 },
+  psar: { step: 0.02, max: 0.2 },
+  stoch: { kPeriod: 14, kSmooth: 3, dPeriod: 3 },
+  stochRsi: { rsiPeriod: 14, stochPeriod: 14, kSmooth: 3, dPeriod: 3 },
+  cci: { period: 20 },
+  williamsR: { period: 14 },
+  roc: { period: 12 },
+  volume: { period: 20 },
+  obv: { period: 20 },
+  mfi: { period: 14 },
+  cmf: { period: 20 },
+  vwap: { period: 20 },
+  patterns: {},
+  // Sources (rsi, macd histogram, obv) use the rsi and macd settings of the spec
+  divergence: { lookback: 60, strength: 3, sources: [] },
+  levels: { strength: 3, tolerance: 0.5 },
+  // Crossovers and flips count when they happened within this many candles
+  crosses: { within: 1 }
+};
+
+// Spec keys that need volumes
+const VOLUME_INDICATORS = ['volume', 'obv', 'mfi', 'cmf', 'vwap'];
+
+// Moving average types accepted in specs like 'ema:200'
+const MA_TYPES = ['sma', 'ema'];
+
+/**
+ * Parse a moving average spec
+ * @param {string} value - 'type:period' (e.g., 'ema:200') or a bare period for an SMA
+ * @returns {Object} { type, period }
+ */
+export function parseMovingAverage(value) {
+  const match = /^(?:([a-z]+):)?(\d+)$/.exec(String(value).trim().toLowerCase());
+  if (!match || !MA_TYPES.includes(match[1] || 'sma') || parseInt(match[2]) < 1) {
+    throw new Error(`Invalid moving average: ${value}. Expected <type>:<period> with type ${MA_TYPES.join(' or ')} (e.g., ema:200)`);
   }
+  return { type: match[1] || 'sma', period: parseInt(match[2]) };
+}
 
-  const prev = histogram[histogram.length - 2];
-  const curr = histogram[histogram.length - 1];
+/**
+ * Format a moving average spec as a key
+ * @param {Object} ma - { type, period }
+ * @returns {string} Key like 'ema:200'
+ */
+export function formatMovingAverage(ma) {
+  return `${ma.type}:${ma.period}`;
+}
 
-  // Bearish cross: histogram was positive, now negative
-  return prev > 0 && curr < 0;
+/**
+ * Format a moving average for display (e.g., 'EMA200')
+ * @param {Object} ma - { type, period }
+ * @returns {string} Label
+ */
+export function formatMALabel(ma) {
+  return `${ma.type.toUpperCase()}${ma.period}`;
+}
+
+/**
+ * Calculate a moving average of the given type
+ * @param {number[]} prices - Array of prices
+ * @param {Object} ma - { type: 'sma'|'ema', period }
+ * @returns {number[]} Array of moving average values
+ */
+export function calculateMA(prices, ma) {
+  return ma.type === 'ema' ? calculateEMA(prices, ma.period) : calculateSMA(prices, ma.period);
+}
+
+/**
+ * Create an indicator spec from the defaults and caller overrides
+ * @param {Object} overrides - Settings per indicator (e.g., { rsi: { period: 7 } })
+ * @param {string[]} keys - Indicators to include (default: all)
+ * @returns {Object} Indicator spec
+ */
+export function createIndicatorSpec(overrides = {}, keys = Object.keys(DEFAULT_INDICATOR_SPEC)) {
+  const spec = {};
+
+  for (const key of keys) {
+    if (!(key in DEFAULT_INDICATOR_SPEC)) {
+      throw new Error(`Unknown indicator: ${key}`);
+    }
+    const value = overrides[key] !== undefined ? overrides[key] : DEFAULT_INDICATOR_SPEC[key];
+    spec[key] = Array.isArray(value) ? [...value] : { ...DEFAULT_INDICATOR_SPEC[key], ...value };
+  }
+
+  return spec;
+}
+
+/**
+ * Get the number of candles needed to compute every indicator in a spec
+ * Crossover and flip checks need one value more than the indicator itself
+ * @param {Object} spec - Indicator spec
+ * @returns {number} Minimum number of candles
+ */
+export function getMinimumCandles(spec) {
+  const needs = [2];
+
+  if (spec.rsi) {
+    needs.push(spec.rsi.period + 1);
+  }
+  if (spec.macd) {
+    needs.push(spec.macd.slow + spec.macd.signal);
+  }
+  if (spec.maCross) {
+    needs.push(Math.max(spec.maCross.fast.period, spec.maCross.slow.period) + 1);
+  }
+  for (const ma of spec.movingAverages || []) {
+    needs.push(ma.period);
+  }
+  if (spec.bollinger) {
+    needs.push(spec.bollinger.period);
+  }
+  if (spec.atr) {
+    needs.push(spec.atr.period + 1);
+  }
+  if (spec.adx) {
+    needs.push(spec.adx.period * 2 + 1);
+  }
+  if (spec.supertrend) {
+    needs.push(spec.supertrend.period + 2);
+  }
+  if (spec.keltner) {
+    needs.push(Math.max(spec.keltner.period, spec.keltner.atrPeriod + 1));
+  }
+  if (spec.donchian) {
+    needs.push(spec.donchian.period + 1);
+  }
+  if (spec.psar) {
+    needs.push(3);
+  }
+  if (spec.stoch) {
+    needs.push(spec.stoch.kPeriod + spec.stoch.kSmooth + spec.stoch.dPeriod - 1);
+  }
+  if (spec.stochRsi) {
+    const { rsiPeriod, stochPeriod, kSmooth, dPeriod } = spec.stochRsi;
+    needs.push(rsiPeriod + stochPeriod + kSmooth + dPeriod - 1);
+  }
+  if (spec.cci) {
+    needs.push(spec.cci.period);
+  }
+  if (spec.williamsR) {
+    needs.push(spec.williamsR.period);
+  }
+  if (spec.roc) {
+    needs.push(spec.roc.period + 1);
+  }
+  if (spec.volume) {
+    needs.push(spec.volume.period + 1);
+  }
+  if (spec.obv) {
+    needs.push(spec.obv.period);
+  }
+  if (spec.mfi) {
+    needs.push(spec.mfi.period + 1);
+  }
+  if (spec.cmf) {
+    needs.push(spec.cmf.period);
+  }
+  if (spec.vwap) {
+    needs.push(spec.vwap.period);
+  }
+  if (spec.patterns) {
+    needs.push(getPatternMinimumCandles());
+  }
+  if (spec.levels) {
+    needs.push(spec.levels.strength * 2 + 2);
+  }
+  if (spec.divergence) {
+    // The whole lookback needs oscillator values
+    const { rsi, macd } = { ...DEFAULT_INDICATOR_SPEC, ...spec };
+    const warmup = {
+      rsi: rsi.period,
+      macd: macd.slow + macd.signal - 2,
+      obv: 0
+    };
+    needs.push(spec.divergence.lookback + Math.max(0, ...spec.divergence.sources.map(source => warmup[source])));
+  }
+
+  // Older crossovers need the indicators that many candles earlier
+  return Math.max(...needs) + (spec.crosses ? spec.crosses.within - 1 : 0);
+}
+
+/**
+ * Get the last value of an array
+ * @param {Array} values - Array
+ * @returns {*} Last value
+ */
+function last(values) {
+  return values[values.length - 1];
 }
 
 /**
  * Get latest indicator values for a symbol
+ * Only the indicators in the spec are computed; crosses holds the flags of those indicators
+ * and crossAges the candles since each one that happened (0 = last candle)
  * @param {number[]} closes - Array of closing prices
  * @param {number[]} highs - Array of high prices
  * @param {number[]} lows - Array of low prices
+ * @param {number[]} volumes - Array of volumes (needed for volume, obv, mfi, cmf and vwap)
+ * @param {Object} options - Indicator options
+ * @param {Object} options.spec - Indicator spec (default: DEFAULT_INDICATOR_SPEC, all indicators)
+ * @param {number[]} options.times - Candle open times, for the daily session VWAP
+ * @param {number[]} options.opens - Open prices, for candlestick patterns
  * @returns {Object} Latest indicator values
  */
-export function getLatestIndicators(closes, highs, lows) {
-  // Calculate RSI (period 14)
-  const rsiValues = calculateRSI(closes, 14);
+export function getLatestIndicators(closes, highs, lows, volumes = null, options = {}) {
+  const { spec = DEFAULT_INDICATOR_SPEC, times = null, opens = null } = options;
+
+  const missingVolume = VOLUME_INDICATORS.find(key => spec[key]);
+  if (missingVolume && !volumes) {
+    throw new Error(`Volumes are required for the ${missingVolume} indicator`);
+  }
+  if (spec.patterns && !opens) {
+    throw new Error('Opens are required for candlestick patterns');
+  }
+  if (spec.divergence && spec.divergence.sources.includes('obv') && !volumes) {
+    throw new Error('Volumes are required for OBV divergence');
+  }
+
+  const currentPrice = last(closes);
+  const result = { price: currentPrice };
+  const crosses = {};
+
+  // Candles since each crossover or flip that happened (0 = last candle)
+  const within = spec.crosses ? spec.crosses.within : 1;
+  const crossAges = {};
+  const track = (name, age) => {
+    if (age !== null) {
+      crossAges[name] = age;
+    }
+    return age !== null;
+  };
+  const trackFlip = (name, found) => {
+    if (found) {
+      crossAges[name] = found.age;
+    }
+    return found ? found.flip : null;
+  };
+
+  if (spec.rsi) {
+    result.rsi = last(calculateRSI(closes, spec.rsi.period));
+  }
+
+  if (spec.macd) {
+    const macdData = calculateMACD(closes, spec.macd.fast, spec.macd.slow, spec.macd.signal);
+    result.macd = {
+      value: last(macdData.macdLine),
+      signal: last(macdData.signalLine),
+      histogram: last(macdData.histogram)
+    };
+    crosses.macdBullish = track('macdBullish', findZeroCross(macdData.histogram, 'bullish', within));
+    crosses.macdBearish = track('macdBearish', findZeroCross(macdData.histogram, 'bearish', within));
+  }
 
-  // Calculate EMAs for MACD
-  const macdData = calculateMACD(closes, 12, 26, 9);
+  if (spec.maCross) {
+    const maFast = calculateMA(closes, spec.maCross.fast);
+    const maSlow = calculateMA(closes, spec.maCross.slow);
+    result.maFast = last(maFast);
+    result.maSlow = last(maSlow);
+    crosses.goldenCross = track('goldenCross', findLineCross(maFast, maSlow, 'bullish', { within }));
+    crosses.deathCross = track('deathCross', findLineCross(maFast, maSlow, 'bearish', { within }));
+  }
 
-  // Calculate MAs for golden cross detection
-  const ma20 = calculateSMA(closes, 20);
-  const ma50 = calculateSMA(closes, 50);
+  if (spec.movingAverages && spec.movingAverages.length > 0) {
+    result.movingAverages = {};
+    for (const ma of spec.movingAverages) {
+      result.movingAverages[formatMovingAverage(ma)] = last(calculateMA(closes, ma));
+    }
+  }
 
-  // Calculate Bollinger Bands
-  const bbData = calculateBollingerBands(closes, 20, 2);
+  if (spec.bollinger) {
+    const bbData = calculateBollingerBands(closes, spec.bollinger.period, spec.bollinger.stdDev);
+    result.bollinger = {
+      upper: last(bbData.upper),
+      middle: last(bbData.middle),
+      lower: last(bbData.lower)
+    };
+  }
 
-  const currentPrice = closes[closes.length - 1];
+  if (spec.atr) {
+    result.atr = last(calculateATR(highs, lows, closes, spec.atr.period));
+    result.atrPct = (result.atr / currentPrice) * 100;
+  }
 
-  return {
-    rsi: rsiValues[rsiValues.length - 1],
-    macd: {
-      value: macdData.macdLine[macdData.macdLine.length - 1],
-      signal: macdData.signalLine[macdData.signalLine.length - 1],
-      histogram: macdData.histogram[macdData.histogram.length - 1]
-    },
-    ma20: ma20[ma20.length - 1],
-    ma50: ma50[ma50.length - 1],
-    bollinger: {
-      upper: bbData.upper[bbData.upper.length - 1],
-      middle: bbData.middle[bbData.middle.length - 1],
-      lower: bbData.lower[bbData.lower.length - 1]
-    },
-    price: currentPrice,
-    // Cross detection flags
-    crosses: {
-      goldenCross: isGoldenCross(ma20, ma50),
-      deathCross: isDeathCross(ma20, ma50),
-      macdBullish: isMACDBullishCross(macdData.histogram),
-      macdBearish: isMACDBearishCross(macdData.histogram)
+  if (spec.adx) {
+    const adxData = calculateADX(highs, lows, closes, spec.adx.period);
+    result.adx = {
+      value: last(adxData.adx),
+      plusDI: last(adxData.plusDI),
+      minusDI: last(adxData.minusDI)
+    };
+  }
+
+  if (spec.supertrend) {
+    const superTrend = calculateSuperTrend(highs, lows, closes, spec.supertrend.period, spec.supertrend.multiplier);
+    result.supertrend = {
+      value: last(superTrend.value),
+      direction: last(superTrend.direction) === 1 ? 'up' : 'down'
+    };
+    crosses.superTrendFlip = trackFlip('superTrendFlip', findDirectionFlip(superTrend.direction, within));
+  }
+
+  if (spec.keltner) {
+    const keltner = calculateKeltnerChannels(highs, lows, closes, spec.keltner.period, spec.keltner.multiplier, spec.keltner.atrPeriod);
+    result.keltner = {
+      upper: last(keltner.upper),
+      middle: last(keltner.middle),
+      lower: last(keltner.lower)
+    };
+  }
+
+  if (spec.donchian) {
+    const donchian = calculateDonchianChannels(highs, lows, spec.donchian.period);
+    result.donchian = {
+      upper: last(donchian.upper),
+      middle: last(donchian.middle),
+      lower: last(donchian.lower)
+    };
+
+    // Breakout above/below the channel of the previous candles
+    const prevUpper = donchian.upper[donchian.upper.length - 2];
+    const prevLower = donchian.lower[donchian.lower.length - 2];
+    crosses.donchianBreakout = currentPrice > prevUpper ? 'up' : currentPrice < prevLower ? 'down' : null;
+  }
+
+  if (spec.psar) {
+    const psar = calculateParabolicSAR(highs, lows, spec.psar.step, spec.psar.max);
+    result.psar = {
+      value: last(psar.sar),
+      direction: last(psar.direction) === 1 ? 'up' : 'down'
+    };
+    crosses.psarFlip = trackFlip('psarFlip', findDirectionFlip(psar.direction, within));
+  }
+
+  // Recent %K/%D values are kept for level-filtered crossovers (see findLineCross)
+  if (spec.stoch) {
+    const stoch = calculateStochastic(highs, lows, closes, spec.stoch.kPeriod, spec.stoch.kSmooth, spec.stoch.dPeriod);
+    result.stoch = {
+      k: last(stoch.k),
+      d: last(stoch.d),
+      prevK: stoch.k[stoch.k.length - 2],
+      prevD: stoch.d[stoch.d.length - 2],
+      recentK: stoch.k.slice(-within - 1),
+      recentD: stoch.d.slice(-within - 1)
+    };
+    crosses.stochBullish = track('stochBullish', findLineCross(stoch.k, stoch.d, 'bullish', { within }));
+    crosses.stochBearish = track('stochBearish', findLineCross(stoch.k, stoch.d, 'bearish', { within }));
+  }
+
+  if (spec.stochRsi) {
+    const { rsiPeriod, stochPeriod, kSmooth, dPeriod } = spec.stochRsi;
+    const stochRsi = calculateStochRSI(closes, rsiPeriod, stochPeriod, kSmooth, dPeriod);
+    result.stochRsi = {
+      k: last(stochRsi.k),
+      d: last(stochRsi.d),
+      prevK: stochRsi.k[stochRsi.k.length - 2],
+      prevD: stochRsi.d[stochRsi.d.length - 2],
+      recentK: stochRsi.k.slice(-within - 1),
+      recentD: stochRsi.d.slice(-within - 1)
+    };
+    crosses.stochRsiBullish = track('stochRsiBullish', findLineCross(stochRsi.k, stochRsi.d, 'bullish', { within }));
+    crosses.stochRsiBearish = track('stochRsiBearish', findLineCross(stochRsi.k, stochRsi.d, 'bearish', { within }));
+  }
+
+  if (spec.cci) {
+    result.cci = last(calculateCCI(highs, lows, closes, spec.cci.period));
+  }
+
+  if (spec.williamsR) {
+    result.williamsR = last(calculateWilliamsR(highs, lows, closes, spec.williamsR.period));
+  }
+
+  if (spec.roc) {
+    result.roc = last(calculateROC(closes, spec.roc.period));
+  }
+
+  if (spec.volume) {
+    result.volume = last(volumes);
+    result.volumeSMA = last(calculateSMA(volumes, spec.volume.period));
+    result.rvol = calculateRelativeVolume(volumes, spec.volume.period);
+  }
+
+  if (spec.obv) {
+    const obv = calculateOBV(closes, volumes);
+    const obvSMA = last(calculateSMA(obv, spec.obv.period));
+    result.obv = {
+      value: last(obv),
+      sma: obvSMA,
+      // OBV above its average means volume has been flowing in
+      trend: last(obv) > obvSMA ? 'up' : last(obv) < obvSMA ? 'down' : 'flat'
+    };
+  }
+
+  if (spec.mfi) {
+    result.mfi = last(calculateMFI(highs, lows, closes, volumes, spec.mfi.period));
+  }
+
+  if (spec.cmf) {
+    result.cmf = last(calculateCMF(highs, lows, closes, volumes, spec.cmf.period));
+  }
+
+  if (spec.vwap) {
+    result.vwap = {
+      session: times ? last(calculateVWAP(highs, lows, closes, volumes, times)) : null,
+      rolling: last(calculateRollingVWAP(highs, lows, closes, volumes, spec.vwap.period))
+    };
+  }
+
+  // Patterns completed on the last candle
+  if (spec.patterns) {
+    result.patterns = detectPatterns(opens, highs, lows, closes, { from: closes.length - 1 });
+  }
+
+  // Divergences of the last two swings, with pivot times for reporting
+  if (spec.divergence) {
+    const { lookback, strength, sources } = spec.divergence;
+    const { rsi, macd } = { ...DEFAULT_INDICATOR_SPEC, ...spec };
+    const series = {
+      rsi: () => calculateRSI(closes, rsi.period),
+      macd: () => calculateMACD(closes, macd.fast, macd.slow, macd.signal).histogram,
+      obv: () => calculateOBV(closes, volumes)
+    };
+
+    result.divergences = {};
+    for (const source of sources) {
+      const oscillator = alignSeries(series[source](), closes.length);
+      result.divergences[source] = detectDivergences(highs, lows, oscillator, { lookback, strength }).map(d => ({
+        ...d,
+        pivots: d.pivots.map(p => ({
+          ...p,
+          time: times ? times[p.index] : null,
+          oscTime: times ? times[p.oscIndex] : null
+        }))
+      }));
     }
-  };
+  }
+
+  // Nearest swing levels, and the resistance the last candle closed through:
+  // levels known at the previous close that are now below the price
+  if (spec.levels) {
+    const { strength, tolerance } = spec.levels;
+    const withTime = level => level && { ...level, lastTime: times ? times[level.lastIndex] : null };
+
+    const current = findSupportResistance(highs, lows, currentPrice, { strength, tolerance });
+    const before = findSupportResistance(highs.slice(0, -1), lows.slice(0, -1), closes[closes.length - 2], { strength, tolerance });
+    const broken = before.resistance.filter(level => level.price < currentPrice);
+    const support = current.support[0] || null;
+
+    result.levels = {
+      support: withTime(support),
+      resistance: withTime(current.resistance[0] || null),
+      supportDistancePct: support ? ((currentPrice - support.price) / currentPrice) * 100 : null,
+      brokeResistance: withTime(broken[broken.length - 1] || null)
+    };
+  }
+
+  result.crossAges = crossAges;
+  result.crosses = crosses;
+  return result;
 }
@@ -0,0 +1,128 @@
+/**
+ * Key Price Levels
+ * Pivot points from the prior period, swing-based support/resistance and
+ * Fibonacci retracements/extensions
+ */
+
+import { findPivots } from './divergence.js';
+
+export const PIVOT_METHODS = ['classic', 'camarilla', 'woodie'];
+
+const FIB_RETRACEMENTS = [0.236, 0.382, 0.5, 0.618, 0.786];
+const FIB_EXTENSIONS = [1.272, 1.618, 2.618];
+
+/**
+ * Calculate pivot points from the prior period's candle
+ * @param {Object} candle - { high, low, close } of the prior period
+ * @param {string} method - 'classic', 'camarilla' or 'woodie' (default: 'classic')
+ * @returns {Object} { method, pivot, resistance: [R1, R2, ...], support: [S1, S2, ...] }
+ */
+export function calculatePivotPoints(candle, method = 'classic') {
+  const { high, low, close } = candle;
+  const range = high - low;
+
+  if (method === 'camarilla') {
+    const factors = [12, 6, 4, 2];
+    return {
+      method,
+      pivot: (high + low + close) / 3,
+      resistance: factors.map(f => close + (range * 1.1) / f),
+      support: factors.map(f => close - (range * 1.1) / f)
+    };
+  }
+
+  if (!PIVOT_METHODS.includes(method)) {
+    throw new Error(`Unknown pivot method: ${method}. Expected ${PIVOT_METHODS.join(', ')}`);
+  }
+
+  // Woodie weights the close twice; both then share the classic levels
+  const pivot = method === 'woodie' ? (high + low + 2 * close) / 4 : (high + low + close) / 3;
+  return {
+    method,
+    pivot,
+    resistance: [2 * pivot - low, pivot + range, high + 2 * (pivot - low)],
+    support: [2 * pivot - high, pivot - range, low - 2 * (high - pivot)]
+  };
+}
+
+/**
+ * Cluster swing highs and lows into support and resistance levels
+ * Swing prices within tolerance percent of a cluster's first price are merged;
+ * each level is the average of its swings, and touches counts them
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number} price - Reference price; levels below are support, above are resistance
+ * @param {Object} options - Clustering options
+ * @param {number} options.strength - Pivot strength (default: 3)
+ * @param {number} options.tolerance - Merge distance in percent (default: 0.5)
+ * @returns {Object} { support, resistance } arrays of { price, touches, lastIndex }, nearest first
+ */
+export function findSupportResistance(highs, lows, price, options = {}) {
+  const { strength = 3, tolerance = 0.5 } = options;
+
+  const swings = [
+    ...findPivots(highs, strength).highs.map(index => ({ index, price: highs[index] })),
+    ...findPivots(lows, strength).lows.map(index => ({ index, price: lows[index] }))
+  ].sort((a, b) => a.price - b.price);
+
+  const clusters = [];
+  for (const swing of swings) {
+    const current = clusters[clusters.length - 1];
+    if (current && ((swing.price - current.start) / current.start) * 100 <= tolerance) {
+      current.swings.push(swing);
+    } else {
+      clusters.push({ start: swing.price, swings: [swing] });
+    }
+  }
+
+  const levels = clusters.map(cluster => ({
+    price: cluster.swings.reduce((sum, s) => sum + s.price, 0) / cluster.swings.length,
+    touches: cluster.swings.length,
+    lastIndex: Math.max(...cluster.swings.map(s => s.index))
+  }));
+
+  return {
+    support: levels.filter(level => level.price < price).reverse(),
+    resistance: levels.filter(level => level.price > price)
+  };
+}
+
+/**
+ * Fibonacci retracements and extensions of the latest major swing
+ * The swing runs between the highest high and lowest low of the series; its
+ * direction is up when the low came first
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @returns {Object|null} { direction, high: { price, index }, low: { price, index }, retracements, extensions }
+ */
+export function calculateFibonacciLevels(highs, lows) {
+  if (highs.length < 2) {
+    return null;
+  }
+
+  let highIndex = 0;
+  let lowIndex = 0;
+  for (let i = 1; i < highs.length; i++) {
+    if (highs[i] >= highs[highIndex]) {
+      highIndex = i;
+    }
+    if (lows[i] <= lows[lowIndex]) {
+      lowIndex = i;
+    }
+  }
+
+  const high = highs[highIndex];
+  const low = lows[lowIndex];
+  const range = high - low;
+  const up = lowIndex < highIndex;
+
+  // Retracements step back from the swing's end, extensions project past it
+  // measured from the swing's start
+  return {
+    direction: up ? 'up' : 'down',
+    high: { price: high, index: highIndex },
+    low: { price: low, index: lowIndex },
+    retracements: FIB_RETRACEMENTS.map(ratio => ({ ratio, price: up ? high - range * ratio : low + range * ratio })),
+    extensions: FIB_EXTENSIONS.map(ratio => ({ ratio, price: up ? low + range * ratio : high - range * ratio }))
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * Order Book Analysis Library
+ * Spread, cumulative liquidity around the mid price and bid/ask imbalance
+ */
+
+// Default liquidity bands in percent of mid price
+const DEFAULT_BANDS = [0.5, 1, 2];
+
+/**
+ * Sum notional (price * quantity) of book levels within a price limit
+ * @param {Array} levels - [[price, qty], ...] as strings, best price first
+ * @param {Function} inBand - (price) => boolean
+ * @returns {Object} { notional, quantity, levels, exhausted }
+ */
+function sumLevels(levels, inBand) {
+  let notional = 0;
+  let quantity = 0;
+  let count = 0;
+
+  for (const [priceStr, qtyStr] of levels) {
+    const price = parseFloat(priceStr);
+    if (!inBand(price)) {
+      return { notional, quantity, levels: count, exhausted: false };
+    }
+    const qty = parseFloat(qtyStr);
+    notional += price * qty;
+    quantity += qty;
+    count++;
+  }
+
+  // Every fetched level was inside the band: the real book may hold more
+  return { notional, quantity, levels: count, exhausted: true };
+}
+
+/**
+ * Analyze an order book snapshot
+ * @param {Object} depth - /depth response { bids, asks }
+ * @param {Object} bookTicker - /ticker/bookTicker response (optional, preferred for best bid/ask)
+ * @param {number[]} bands - Band widths in percent of mid (default: [0.5, 1, 2])
+ * @returns {Object} Best bid/ask, spread, liquidity bands and imbalance
+ */
+export function analyzeOrderBook(depth, bookTicker = null, bands = DEFAULT_BANDS) {
+  if (!depth.bids.length || !depth.asks.length) {
+    throw new Error('Order book is empty on one side');
+  }
+
+  const bestBid = parseFloat(bookTicker ? bookTicker.bidPrice : depth.bids[0][0]);
+  const bestAsk = parseFloat(bookTicker ? bookTicker.askPrice : depth.asks[0][0]);
+  const bidQty = parseFloat(bookTicker ? bookTicker.bidQty : depth.bids[0][1]);
+  const askQty = parseFloat(bookTicker ? bookTicker.askQty : depth.asks[0][1]);
+
+  const mid = (bestBid + bestAsk) / 2;
+  const spread = bestAsk - bestBid;
+  const spreadBps = (spread / mid) * 10000;
+
+  const bandResults = bands.map(pct => {
+    const lowerLimit = mid * (1 - pct / 100);
+    const upperLimit = mid * (1 + pct / 100);
+
+    const bid = sumLevels(depth.bids, price => price >= lowerLimit);
+    const ask = sumLevels(depth.asks, price => price <= upperLimit);
+    const total = bid.notional + ask.notional;
+
+    return {
+      pct,
+      bidNotional: bid.notional,
+      askNotional: ask.notional,
+      bidLevels: bid.levels,
+      askLevels: ask.levels,
+      ratio: ask.notional > 0 ? bid.notional / ask.notional : null,
+      imbalance: total > 0 ? (bid.notional - ask.notional) / total : 0,
+      // False if the fetched depth ended inside the band, so the totals are a lower bound
+      complete: !bid.exhausted && !ask.exhausted
+    };
+  });
+
+  const topTotal = bidQty * bestBid + askQty * bestAsk;
+
+  return {
+    bestBid,
+    bestAsk,
+    bidQty,
+    askQty,
+    mid,
+    spread,
+    spreadBps,
+    topImbalance: topTotal > 0 ? (bidQty * bestBid - askQty * bestAsk) / topTotal : 0,
+    bands: bandResults,
+    lastUpdateId: depth.lastUpdateId
+  };
+}
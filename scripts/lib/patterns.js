@@ -0,0 +1,257 @@
+/**
+ * Candlestick Pattern Recognition
+ * Detects single, two and three candle patterns over OHLC arrays
+ */
+
+// Candles before a pattern used to judge the preceding trend (hammer vs hanging man)
+const TREND_LOOKBACK = 5;
+
+// A doji body is at most this share of the candle's range
+const DOJI_BODY = 0.1;
+
+// A long candle's body is at least this share of its range
+const LONG_BODY = 0.5;
+
+// Pattern names with their direction; null takes it from the last candle's color
+export const PATTERNS = {
+  'bullish-engulfing': 'bullish',
+  'bearish-engulfing': 'bearish',
+  'hammer': 'bullish',
+  'inverted-hammer': 'bullish',
+  'hanging-man': 'bearish',
+  'shooting-star': 'bearish',
+  'doji': 'neutral',
+  'dragonfly-doji': 'bullish',
+  'gravestone-doji': 'bearish',
+  'long-legged-doji': 'neutral',
+  'morning-star': 'bullish',
+  'evening-star': 'bearish',
+  'three-white-soldiers': 'bullish',
+  'three-black-crows': 'bearish',
+  'inside-bar': 'neutral',
+  'outside-bar': null,
+  'bullish-harami': 'bullish',
+  'bearish-harami': 'bearish'
+};
+
+/**
+ * Measure one candle
+ * @param {Object} ohlc - { opens, highs, lows, closes } arrays
+ * @param {number} i - Candle index
+ * @returns {Object} Open, close, body, range, shadows and color
+ */
+function candleAt(ohlc, i) {
+  const open = ohlc.opens[i];
+  const close = ohlc.closes[i];
+  const high = ohlc.highs[i];
+  const low = ohlc.lows[i];
+
+  return {
+    open,
+    close,
+    high,
+    low,
+    body: Math.abs(close - open),
+    range: high - low,
+    top: Math.max(open, close),
+    bottom: Math.min(open, close),
+    upper: high - Math.max(open, close),
+    lower: Math.min(open, close) - low,
+    bullish: close > open,
+    bearish: close < open
+  };
+}
+
+/**
+ * Trend of the closes before a candle
+ * @param {number[]} closes - Array of closing prices
+ * @param {number} i - Index of the first pattern candle
+ * @returns {string|null} 'up', 'down', or null without enough history
+ */
+function priorTrend(closes, i) {
+  if (i - 1 - TREND_LOOKBACK < 0) {
+    return null;
+  }
+
+  const prev = closes[i - 1];
+  const start = closes[i - 1 - TREND_LOOKBACK];
+  return prev > start ? 'up' : prev < start ? 'down' : null;
+}
+
+/**
+ * Check whether a candle is long (body dominates the range)
+ * @param {Object} c - Candle from candleAt()
+ * @returns {boolean}
+ */
+function isLong(c) {
+  return c.range > 0 && c.body >= LONG_BODY * c.range;
+}
+
+/**
+ * Single candle patterns ending at i
+ * @param {Object} ohlc - OHLC arrays
+ * @param {number} i - Candle index
+ * @returns {string[]} Pattern names
+ */
+function singlePatterns(ohlc, i) {
+  const c = candleAt(ohlc, i);
+  if (c.range <= 0) {
+    return [];
+  }
+
+  if (c.body <= DOJI_BODY * c.range) {
+    if (c.upper <= DOJI_BODY * c.range && c.lower >= 0.6 * c.range) {
+      return ['dragonfly-doji'];
+    }
+    if (c.lower <= DOJI_BODY * c.range && c.upper >= 0.6 * c.range) {
+      return ['gravestone-doji'];
+    }
+    if (c.upper >= 0.3 * c.range && c.lower >= 0.3 * c.range) {
+      return ['long-legged-doji'];
+    }
+    return ['doji'];
+  }
+
+  // Small body at one end with a shadow at least twice its size; the trend
+  // before the candle decides between the reversal names
+  const trend = priorTrend(ohlc.closes, i);
+  if (c.lower >= 2 * c.body && c.upper <= 0.25 * c.range) {
+    return trend === 'down' ? ['hammer'] : trend === 'up' ? ['hanging-man'] : [];
+  }
+  if (c.upper >= 2 * c.body && c.lower <= 0.25 * c.range) {
+    return trend === 'up' ? ['shooting-star'] : trend === 'down' ? ['inverted-hammer'] : [];
+  }
+
+  return [];
+}
+
+/**
+ * Two candle patterns ending at i
+ * @param {Object} ohlc - OHLC arrays
+ * @param {number} i - Index of the second candle
+ * @returns {string[]} Pattern names
+ */
+function doublePatterns(ohlc, i) {
+  const prev = candleAt(ohlc, i - 1);
+  const c = candleAt(ohlc, i);
+  const found = [];
+
+  // Body engulfs the previous body in the opposite color
+  if (prev.bearish && c.bullish && c.open <= prev.close && c.close >= prev.open && c.body > prev.body) {
+    found.push('bullish-engulfing');
+  }
+  if (prev.bullish && c.bearish && c.open >= prev.close && c.close <= prev.open && c.body > prev.body) {
+    found.push('bearish-engulfing');
+  }
+
+  // Small body inside a long previous body of the opposite color
+  if (isLong(prev) && c.body < prev.body && c.top <= prev.top && c.bottom >= prev.bottom) {
+    if (prev.bearish && c.bullish) {
+      found.push('bullish-harami');
+    }
+    if (prev.bullish && c.bearish) {
+      found.push('bearish-harami');
+    }
+  }
+
+  if (c.high < prev.high && c.low > prev.low) {
+    found.push('inside-bar');
+  }
+  if (c.high > prev.high && c.low < prev.low) {
+    found.push('outside-bar');
+  }
+
+  return found;
+}
+
+/**
+ * Three candle patterns ending at i
+ * @param {Object} ohlc - OHLC arrays
+ * @param {number} i - Index of the third candle
+ * @returns {string[]} Pattern names
+ */
+function triplePatterns(ohlc, i) {
+  const first = candleAt(ohlc, i - 2);
+  const star = candleAt(ohlc, i - 1);
+  const last = candleAt(ohlc, i);
+  const found = [];
+
+  // Long candle, small-bodied star beyond its midpoint, then a close back
+  // past the first candle's midpoint
+  const firstMid = (first.open + first.close) / 2;
+  if (isLong(first) && star.body <= 0.3 * first.body) {
+    if (first.bearish && last.bullish && star.top < firstMid && last.close > firstMid) {
+      found.push('morning-star');
+    }
+    if (first.bullish && last.bearish && star.bottom > firstMid && last.close < firstMid) {
+      found.push('evening-star');
+    }
+  }
+
+  // Three long candles, each closing further and opening within the previous body
+  const candles = [first, star, last];
+  const advancing = candles.every((c, j) => c.bullish && isLong(c) &&
+    (j === 0 || (c.close > candles[j - 1].close && c.open >= candles[j - 1].open && c.open <= candles[j - 1].close)));
+  const declining = candles.every((c, j) => c.bearish && isLong(c) &&
+    (j === 0 || (c.close < candles[j - 1].close && c.open <= candles[j - 1].open && c.open >= candles[j - 1].close)));
+
+  if (advancing) {
+    found.push('three-white-soldiers');
+  }
+  if (declining) {
+    found.push('three-black-crows');
+  }
+
+  return found;
+}
+
+/**
+ * Detect candlestick patterns
+ * @param {number[]} opens - Array of open prices
+ * @param {number[]} highs - Array of high prices
+ * @param {number[]} lows - Array of low prices
+ * @param {number[]} closes - Array of closing prices
+ * @param {Object} options - Detection options
+ * @param {number} options.from - First candle index to report patterns for (default: 0)
+ * @returns {Object[]} [{ name, index, direction, candles }], index is the pattern's last candle
+ */
+export function detectPatterns(opens, highs, lows, closes, options = {}) {
+  const { from = 0 } = options;
+  const ohlc = { opens, highs, lows, closes };
+  const patterns = [];
+
+  for (let i = Math.max(from, 0); i < closes.length; i++) {
+    const found = [
+      ...singlePatterns(ohlc, i).map(name => [name, 1]),
+      ...(i >= 1 ? doublePatterns(ohlc, i).map(name => [name, 2]) : []),
+      ...(i >= 2 ? triplePatterns(ohlc, i).map(name => [name, 3]) : [])
+    ];
+
+    for (const [name, candles] of found) {
+      let direction = PATTERNS[name];
+      if (direction === null) {
+        direction = closes[i] > opens[i] ? 'bullish' : closes[i] < opens[i] ? 'bearish' : 'neutral';
+      }
+      patterns.push({ name, index: i, direction, candles });
+    }
+  }
+
+  return patterns;
+}
+
+/**
+ * Minimum candles for every pattern to be detectable on the last candle
+ * @returns {number} Candle count
+ */
+export function getPatternMinimumCandles() {
+  return TREND_LOOKBACK + 2;
+}
+
+/**
+ * Format a pattern name for display (e.g., 'Bullish Engulfing')
+ * @param {string} name - Pattern name
+ * @returns {string} Title-cased name
+ */
+export function formatPatternName(name) {
+  return name.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+}
@@ -0,0 +1,33 @@
+/**
+ * Bounded-Concurrency Worker Pool
+ * Runs an async worker over a list of items with a fixed number of workers
+ */
+
+/**
+ * Run a worker function over items with at most `concurrency` in flight
+ * Results keep the order of the input items
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async function (item, index) => result
+ * @param {number} concurrency - Maximum number of concurrent workers (default: 8)
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function runPool(items, worker, concurrency = 8) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  const workers = [];
+  for (let i = 0; i < workerCount; i++) {
+    workers.push(runWorker());
+  }
+
+  await Promise.all(workers);
+  return results;
+}
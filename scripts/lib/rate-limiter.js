@@ -0,0 +1,190 @@
+/**
+ * Request Weight Rate Limiter for Binance API
+ * Tracks request weight per minute window, syncs with the server's
+ * X-MBX-USED-WEIGHT-1M header and backs off on HTTP 429/418
+ */
+
+import { RateLimitError } from './errors.js';
+
+const WINDOW_MS = 60000;
+
+// Spot API weights per endpoint (see Binance REST API docs)
+const ENDPOINT_WEIGHTS = {
+  '/exchangeInfo': 20,
+  '/klines': 2,
+  '/depth': params => {
+    const limit = params.limit || 100;
+    return limit <= 100 ? 5 : limit <= 500 ? 25 : limit <= 1000 ? 50 : 250;
+  },
+  '/ticker/bookTicker': params => (params.symbol ? 2 : 4),
+  '/aggTrades': 4,
+  '/ticker/price': params => (params.symbol ? 2 : 4),
+  '/ticker/24hr': params => {
+    if (params.symbol) {
+      return 2;
+    }
+    if (params.symbols) {
+      const count = JSON.parse(params.symbols).length;
+      return count <= 20 ? 2 : count <= 100 ? 40 : 80;
+    }
+    return 80;
+  },
+  '/time': 1,
+  '/account': 20,
+  '/openOrders': params => (params.symbol ? 6 : 80),
+  '/myTrades': 20
+};
+
+/**
+ * Sleep for the given number of milliseconds
+ * @param {number} ms - Milliseconds to sleep
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the request weight of an endpoint call
+ * @param {string} path - Endpoint path (e.g., '/klines')
+ * @param {Object} params - Query parameters
+ * @returns {number} Request weight
+ */
+export function getRequestWeight(path, params = {}) {
+  const weight = ENDPOINT_WEIGHTS[path];
+  if (weight === undefined) {
+    return 1;
+  }
+  return typeof weight === 'function' ? weight(params) : weight;
+}
+
+/**
+ * Create a rate limiter that keeps request weight under the per-minute limit
+ * @param {Object} options - Limiter options
+ * @param {number} options.maxWeight - Server weight limit per minute (default: 6000)
+ * @param {number} options.safetyRatio - Fraction of the limit we allow ourselves to use (default: 0.8)
+ * @param {number} options.baseBackoff - Initial backoff after a 429/418 (ms) (default: 1000)
+ * @param {number} options.maxBackoff - Longest backoff we are willing to wait (ms) (default: 120000)
+ * @returns {Object} Limiter with acquire, update, backoff, succeed and getStats methods
+ */
+export function createRateLimiter(options = {}) {
+  const {
+    maxWeight = 6000,
+    safetyRatio = 0.8,
+    baseBackoff = 1000,
+    maxBackoff = 120000
+  } = options;
+
+  const budget = Math.floor(maxWeight * safetyRatio);
+  const weightByEndpoint = new Map();
+
+  let windowStart = 0;
+  let usedWeight = 0;
+  let blockedUntil = 0;
+  let backoffCount = 0;
+
+  // Binance resets the weight counter at each calendar minute
+  function rollWindow(now) {
+    const start = now - (now % WINDOW_MS);
+    if (start !== windowStart) {
+      windowStart = start;
+      usedWeight = 0;
+    }
+  }
+
+  /**
+   * Wait until the request weight fits into the current window, then reserve it
+   * @param {number} weight - Request weight
+   * @param {string} endpoint - Endpoint path, for per-endpoint accounting
+   * @returns {Promise<void>}
+   */
+  async function acquire(weight = 1, endpoint = 'unknown') {
+    for (;;) {
+      const now = Date.now();
+
+      if (now < blockedUntil) {
+        // Never sleep through a long IP ban; fail so the caller can report it
+        if (blockedUntil - now > maxBackoff) {
+          throw new RateLimitError(`Requests blocked by Binance until ${new Date(blockedUntil).toISOString()}`, {
+            retryAfter: Math.ceil((blockedUntil - now) / 1000),
+            banned: true
+          });
+        }
+        await sleep(blockedUntil - now);
+        continue;
+      }
+
+      rollWindow(now);
+
+      // A single request heavier than the budget still goes out on a fresh window
+      if (usedWeight + weight <= budget || usedWeight === 0) {
+        usedWeight += weight;
+        weightByEndpoint.set(endpoint, (weightByEndpoint.get(endpoint) || 0) + weight);
+        return;
+      }
+
+      await sleep(windowStart + WINDOW_MS - now + 50);
+    }
+  }
+
+  /**
+   * Sync used weight from the server's response headers
+   * The server counts every request from this IP, including other processes
+   * @param {Headers} headers - Response headers
+   */
+  function update(headers) {
+    const used = parseInt(headers.get('x-mbx-used-weight-1m'));
+    if (Number.isNaN(used)) {
+      return;
+    }
+
+    rollWindow(Date.now());
+    usedWeight = Math.max(usedWeight, used);
+  }
+
+  /**
+   * Register a 429/418 response and block all requests for the backoff period
+   * @param {number} status - HTTP status code
+   * @param {string|null} retryAfter - Retry-After header value (seconds)
+   * @returns {number} Backoff in ms, or -1 if it exceeds maxBackoff
+   */
+  function backoff(status, retryAfter) {
+    const exponential = baseBackoff * Math.pow(2, backoffCount);
+    const serverWait = retryAfter ? parseInt(retryAfter) * 1000 : 0;
+    const wait = Math.max(exponential, Number.isNaN(serverWait) ? 0 : serverWait);
+
+    backoffCount++;
+    blockedUntil = Math.max(blockedUntil, Date.now() + wait);
+
+    return wait > maxBackoff ? -1 : wait;
+  }
+
+  /**
+   * Reset the backoff sequence after a successful response
+   */
+  function succeed() {
+    backoffCount = 0;
+  }
+
+  /**
+   * Get limiter statistics
+   * @returns {Object} Used weight, budget and weight per endpoint
+   */
+  function getStats() {
+    rollWindow(Date.now());
+    return {
+      usedWeight,
+      budget,
+      blockedUntil,
+      weightByEndpoint: Object.fromEntries(weightByEndpoint)
+    };
+  }
+
+  return {
+    acquire,
+    update,
+    backoff,
+    succeed,
+    getStats
+  };
+}
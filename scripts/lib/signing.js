@@ -0,0 +1,132 @@
+/**
+ * Request Signing for Authenticated Endpoints
+ * Loads the API key and signs query strings with HMAC-SHA256 or Ed25519.
+ * Secrets stay inside this module: nothing here prints or returns them
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { AuthenticationError } from './errors.js';
+
+const DEFAULT_CREDENTIALS_FILE = path.join(os.homedir(), '.config', 'binance-skill', 'credentials.json');
+
+// Loaded credentials, shared by every signed request of the process
+let credentials = null;
+
+/**
+ * Read the optional credentials file
+ * @param {string} file - JSON file { apiKey, apiSecret } or { apiKey, privateKeyPath }
+ * @returns {Object} Parsed file, or {} if it does not exist
+ */
+function readCredentialsFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch {
+    return {};
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new AuthenticationError(`Invalid credentials file ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Load an Ed25519 private key
+ * @param {string} keyPath - PEM file path
+ * @param {string} passphrase - Passphrase for encrypted keys
+ * @returns {crypto.KeyObject} Private key
+ */
+function loadPrivateKey(keyPath, passphrase) {
+  let key;
+  try {
+    key = crypto.createPrivateKey({ key: fs.readFileSync(keyPath), passphrase });
+  } catch (error) {
+    throw new AuthenticationError(`Cannot load private key ${keyPath}: ${error.message}`);
+  }
+
+  if (key.asymmetricKeyType !== 'ed25519') {
+    throw new AuthenticationError(`Private key ${keyPath} is ${key.asymmetricKeyType}; only Ed25519 keys are supported`);
+  }
+  return key;
+}
+
+/**
+ * Build a signer from a key
+ * @param {Object} keys - { apiKey, apiSecret, privateKeyPath, privateKeyPassphrase }
+ * @returns {Object} { apiKey, type: 'hmac'|'ed25519', sign(payload) }
+ */
+function createSigner(keys) {
+  const { apiKey, apiSecret, privateKeyPath, privateKeyPassphrase } = keys;
+
+  if (!apiKey) {
+    throw new AuthenticationError('No API key configured. Set BINANCE_API_KEY and BINANCE_API_SECRET (or BINANCE_PRIVATE_KEY_PATH)');
+  }
+
+  if (privateKeyPath) {
+    const privateKey = loadPrivateKey(privateKeyPath, privateKeyPassphrase);
+    return {
+      apiKey,
+      type: 'ed25519',
+      sign: payload => crypto.sign(null, Buffer.from(payload), privateKey).toString('base64')
+    };
+  }
+
+  if (apiSecret) {
+    return {
+      apiKey,
+      type: 'hmac',
+      sign: payload => crypto.createHmac('sha256', apiSecret).update(payload).digest('hex')
+    };
+  }
+
+  throw new AuthenticationError('No signing key configured. Set BINANCE_API_SECRET or BINANCE_PRIVATE_KEY_PATH');
+}
+
+/**
+ * Load API credentials
+ * Environment variables take precedence over the credentials file
+ * (BINANCE_CREDENTIALS_FILE or ~/.config/binance-skill/credentials.json):
+ *   BINANCE_API_KEY                   API key
+ *   BINANCE_API_SECRET                HMAC-SHA256 secret
+ *   BINANCE_PRIVATE_KEY_PATH          Ed25519 private key (PEM), used instead of a secret
+ *   BINANCE_PRIVATE_KEY_PASSPHRASE    Passphrase for an encrypted private key
+ * @returns {Object} { apiKey, type: 'hmac'|'ed25519', sign(payload) }
+ */
+export function loadCredentials() {
+  if (!credentials) {
+    const env = process.env;
+    const file = readCredentialsFile(env.BINANCE_CREDENTIALS_FILE || DEFAULT_CREDENTIALS_FILE);
+
+    credentials = createSigner({
+      apiKey: env.BINANCE_API_KEY || file.apiKey,
+      apiSecret: env.BINANCE_API_SECRET || file.apiSecret,
+      privateKeyPath: env.BINANCE_PRIVATE_KEY_PATH || file.privateKeyPath,
+      privateKeyPassphrase: env.BINANCE_PRIVATE_KEY_PASSPHRASE || file.privateKeyPassphrase
+    });
+  }
+
+  return credentials;
+}
+
+/**
+ * Use the given keys instead of the environment and credentials file
+ * @param {Object|null} keys - { apiKey, apiSecret } or { apiKey, privateKeyPath }, or null to reload
+ */
+export function setCredentials(keys) {
+  credentials = keys ? createSigner(keys) : null;
+}
+
+/**
+ * Sign a query string
+ * @param {string} payload - Exact query string sent to Binance (including timestamp)
+ * @param {Object} signer - Credentials from loadCredentials()
+ * @returns {string} Signature, URL-encoded for the query string
+ */
+export function signPayload(payload, signer = loadCredentials()) {
+  return encodeURIComponent(signer.sign(payload));
+}
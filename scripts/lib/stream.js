@@ -0,0 +1,346 @@
+/**
+ * Binance WebSocket Streaming Client
+ * Subscribes to combined streams (klines, mini tickers, aggregate trades)
+ * with automatic reconnect, 24h connection rollover and a liveness watchdog
+ *
+ * Every connection names its streams in the URL, so data flows as soon as it
+ * opens. On rollover the old connection keeps delivering until the new one is
+ * up: no events are lost, but a few around the switch may arrive twice.
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { getAgent, describeTransportError } from './transport.js';
+
+const DEFAULT_STREAM_URL = 'wss://stream.binance.com:9443';
+
+// Binance drops connections after 24h; reconnect a little earlier
+const ROLLOVER_MS = 23 * 3600000 + 50 * 60000;
+
+// The server pings every 20s; treat the connection as dead after this long without traffic
+const STALE_TIMEOUT = 60000;
+
+// Reconnect backoff (ms)
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+/**
+ * Build a kline stream name
+ * @param {string} symbol - Trading symbol (e.g., 'BTCUSDT')
+ * @param {string} interval - Kline interval (e.g., '1m')
+ * @returns {string} Stream name (e.g., 'btcusdt@kline_1m')
+ */
+export function klineStream(symbol, interval) {
+  return `${symbol.toLowerCase()}@kline_${interval}`;
+}
+
+/**
+ * Build a mini ticker stream name
+ * @param {string} symbol - Trading symbol
+ * @returns {string} Stream name (e.g., 'btcusdt@miniTicker')
+ */
+export function miniTickerStream(symbol) {
+  return `${symbol.toLowerCase()}@miniTicker`;
+}
+
+/**
+ * Build an aggregate trade stream name
+ * @param {string} symbol - Trading symbol
+ * @returns {string} Stream name (e.g., 'btcusdt@aggTrade')
+ */
+export function aggTradeStream(symbol) {
+  return `${symbol.toLowerCase()}@aggTrade`;
+}
+
+/**
+ * Convert a kline stream payload into a REST /klines row
+ * Collected rows can be passed straight to parseKlines()
+ * @param {Object} k - The 'k' object of a kline event
+ * @returns {Array} [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, takerBuyBase, takerBuyQuote, ignore]
+ */
+export function toKlineRow(k) {
+  return [k.t, k.o, k.h, k.l, k.c, k.v, k.T, k.q, k.n, k.V, k.Q, '0'];
+}
+
+/**
+ * Build the combined stream URL for a set of streams
+ * @param {string} baseUrl - Stream base URL
+ * @param {string[]} streams - Stream names
+ * @returns {string} URL (e.g., 'wss://stream.binance.com:9443/stream?streams=btcusdt@kline_1m')
+ */
+function streamUrl(baseUrl, streams) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/stream`;
+  return streams.length > 0 ? `${url}?streams=${streams.join('/')}` : url;
+}
+
+/**
+ * Parse a combined stream message and emit a typed event
+ * @param {EventEmitter} emitter - Stream emitter
+ * @param {Object} message - Combined stream message { stream, data }
+ */
+function dispatch(emitter, message) {
+  const { stream, data } = message;
+
+  switch (data.e) {
+    case 'kline':
+      emitter.emit('kline', {
+        stream,
+        symbol: data.s,
+        interval: data.k.i,
+        isClosed: data.k.x,
+        time: data.k.t,
+        closeTime: data.k.T,
+        open: parseFloat(data.k.o),
+        high: parseFloat(data.k.h),
+        low: parseFloat(data.k.l),
+        close: parseFloat(data.k.c),
+        volume: parseFloat(data.k.v),
+        quoteVolume: parseFloat(data.k.q),
+        trades: data.k.n,
+        kline: toKlineRow(data.k)
+      });
+      break;
+
+    case '24hrMiniTicker':
+      emitter.emit('miniTicker', {
+        stream,
+        symbol: data.s,
+        eventTime: data.E,
+        open: parseFloat(data.o),
+        high: parseFloat(data.h),
+        low: parseFloat(data.l),
+        close: parseFloat(data.c),
+        volume: parseFloat(data.v),
+        quoteVolume: parseFloat(data.q)
+      });
+      break;
+
+    case 'aggTrade':
+      emitter.emit('aggTrade', {
+        stream,
+        symbol: data.s,
+        id: data.a,
+        price: parseFloat(data.p),
+        quantity: parseFloat(data.q),
+        time: data.T,
+        isBuyerMaker: data.m
+      });
+      break;
+
+    default:
+      emitter.emit('message', message);
+  }
+}
+
+/**
+ * Create a combined-stream WebSocket client
+ *
+ * Events:
+ *   'kline'        { stream, symbol, interval, isClosed, time, closeTime, open, high, low, close,
+ *                    volume, quoteVolume, trades, kline } - numbers as parseKlines() returns them,
+ *                    time is the open time; kline is the raw REST /klines row
+ *   'miniTicker'   { stream, symbol, eventTime, open, high, low, close, volume, quoteVolume }
+ *   'aggTrade'     { stream, symbol, id, price, quantity, time, isBuyerMaker }
+ *   'message'      Any other combined stream message
+ *   'open'         Connection established and streaming
+ *   'reconnecting' { delay, reason } before a reconnect attempt
+ *   'error'        Connection or protocol errors (only emitted if a listener exists)
+ *   'close'        After close() was called
+ *
+ * @param {Object} options - Client options
+ * @param {string[]} options.streams - Initial stream names
+ * @param {string} options.baseUrl - Stream base URL (default: $BINANCE_STREAM_URL or wss://stream.binance.com:9443)
+ * @param {number} options.staleTimeout - Reconnect after this long without traffic (ms) (default: 60000)
+ * @param {number} options.rolloverMs - Proactive reconnect interval (ms) (default: 23h50m)
+ * @returns {EventEmitter} Emitter with subscribe, unsubscribe, getSubscriptions and close methods
+ */
+export function createStream(options = {}) {
+  const {
+    streams = [],
+    baseUrl = process.env.BINANCE_STREAM_URL || DEFAULT_STREAM_URL,
+    staleTimeout = STALE_TIMEOUT,
+    rolloverMs = ROLLOVER_MS
+  } = options;
+
+  const emitter = new EventEmitter();
+  const subscriptions = new Set(streams);
+
+  let socket = null;
+  let closed = false;
+  let reconnectAttempts = 0;
+  let requestId = 0;
+  let reconnectTimer = null;
+  let rolloverTimer = null;
+  let watchdogTimer = null;
+
+  function reportError(error) {
+    if (emitter.listenerCount('error') > 0) {
+      emitter.emit('error', error);
+    }
+  }
+
+  function send(ws, method, params) {
+    if (ws && ws.readyState === WebSocket.OPEN && params.length > 0) {
+      ws.send(JSON.stringify({ method, params, id: ++requestId }));
+    }
+  }
+
+  function resetWatchdog(ws) {
+    clearTimeout(watchdogTimer);
+    watchdogTimer = setTimeout(() => {
+      reportError(new Error(`No stream traffic for ${staleTimeout / 1000}s, reconnecting`));
+      ws.terminate();
+    }, staleTimeout);
+  }
+
+  function scheduleReconnect(reason) {
+    if (closed || reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(RECONNECT_BASE_DELAY * Math.pow(2, reconnectAttempts), RECONNECT_MAX_DELAY);
+    reconnectAttempts++;
+    emitter.emit('reconnecting', { delay, reason });
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  }
+
+  /**
+   * Open a new connection; the previous one (if any) keeps delivering until the new one is up
+   */
+  function connect() {
+    const previous = socket;
+    const requested = Array.from(subscriptions);
+    const url = streamUrl(baseUrl, requested);
+    const ws = new WebSocket(url, { agent: getAgent(url) });
+    let opened = false;
+
+    ws.on('open', () => {
+      if (closed) {
+        ws.close();
+        return;
+      }
+
+      opened = true;
+      socket = ws;
+      reconnectAttempts = 0;
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+
+      // Catch up with subscribe()/unsubscribe() calls made while connecting
+      send(ws, 'SUBSCRIBE', Array.from(subscriptions).filter(name => !requested.includes(name)));
+      send(ws, 'UNSUBSCRIBE', requested.filter(name => !subscriptions.has(name)));
+      resetWatchdog(ws);
+
+      clearTimeout(rolloverTimer);
+      rolloverTimer = setTimeout(connect, rolloverMs);
+
+      if (previous && previous !== ws) {
+        previous.close();
+      }
+
+      emitter.emit('open');
+    });
+
+    ws.on('message', (raw) => {
+      if (ws !== socket) {
+        return;
+      }
+      resetWatchdog(ws);
+
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        reportError(new Error(`Invalid stream message: ${error.message}`));
+        return;
+      }
+
+      // Replies to SUBSCRIBE/UNSUBSCRIBE requests
+      if (message.id !== undefined && !message.stream) {
+        if (message.error) {
+          reportError(new Error(`Subscription error: ${message.error.msg}`));
+        }
+        return;
+      }
+
+      if (message.stream && message.data) {
+        dispatch(emitter, message);
+      }
+    });
+
+    // ws answers server pings with pongs automatically; pings still prove the link is alive
+    ws.on('ping', () => {
+      if (ws === socket) {
+        resetWatchdog(ws);
+      }
+    });
+
+    ws.on('error', (error) => {
+      reportError(describeTransportError(error, url));
+    });
+
+    ws.on('close', (code) => {
+      if (ws !== socket && socket !== null) {
+        // A failed rollover attempt: keep the current connection and try again later
+        if (!opened && !closed) {
+          clearTimeout(rolloverTimer);
+          rolloverTimer = setTimeout(connect, RECONNECT_MAX_DELAY);
+        }
+        return; // Otherwise an old connection replaced by a rollover
+      }
+
+      socket = null;
+      clearTimeout(watchdogTimer);
+      clearTimeout(rolloverTimer);
+      scheduleReconnect(`closed with code ${code}`);
+    });
+  }
+
+  /**
+   * Subscribe to more streams
+   * @param {string|string[]} names - Stream names
+   */
+  emitter.subscribe = (names) => {
+    const added = [].concat(names).filter(name => !subscriptions.has(name));
+    added.forEach(name => subscriptions.add(name));
+    send(socket, 'SUBSCRIBE', added);
+  };
+
+  /**
+   * Unsubscribe from streams
+   * @param {string|string[]} names - Stream names
+   */
+  emitter.unsubscribe = (names) => {
+    const removed = [].concat(names).filter(name => subscriptions.has(name));
+    removed.forEach(name => subscriptions.delete(name));
+    send(socket, 'UNSUBSCRIBE', removed);
+  };
+
+  /**
+   * Get the current stream names
+   * @returns {string[]} Subscribed stream names
+   */
+  emitter.getSubscriptions = () => Array.from(subscriptions);
+
+  /**
+   * Close the connection and stop reconnecting
+   */
+  emitter.close = () => {
+    closed = true;
+    clearTimeout(reconnectTimer);
+    clearTimeout(rolloverTimer);
+    clearTimeout(watchdogTimer);
+    if (socket) {
+      socket.close();
+      socket = null;
+    }
+    emitter.emit('close');
+  };
+
+  connect();
+  return emitter;
+}
@@ -0,0 +1,240 @@
+/**
+ * Symbol Resolver
+ * Parses free-form symbol input ('BTC', 'btc/usdt', 'ETH-BTC', 'ETHBTC')
+ * against exchangeInfo base/quote assets and suggests close matches for typos
+ */
+
+import { fetchExchangeInfo } from './api.js';
+import { fetchFuturesExchangeInfo } from './futures.js';
+import { InvalidSymbolError } from './errors.js';
+
+// Separators accepted between base and quote asset
+const SEPARATOR_PATTERN = /[\s/\-_:]+/;
+
+// Quote assets tried, in order, when a base asset does not trade against the default quote
+const FALLBACK_QUOTES = ['USDT', 'FDUSD', 'USDC', 'BTC', 'ETH', 'BNB'];
+
+// Maximum edit distance for a suggestion
+const MAX_SUGGESTION_DISTANCE = 2;
+
+// Default quote set on the command line; overrides BINANCE_DEFAULT_QUOTE
+let defaultQuote = null;
+
+/**
+ * Set the quote asset used for bare base assets like 'BTC'
+ * @param {string} quote - Quote asset (e.g., 'FDUSD')
+ */
+export function setDefaultQuote(quote) {
+  defaultQuote = quote ? quote.toUpperCase() : null;
+}
+
+/**
+ * Get the default quote asset
+ * @returns {string} Quote set with setDefaultQuote, BINANCE_DEFAULT_QUOTE or 'USDT'
+ */
+export function getDefaultQuote() {
+  return defaultQuote || (process.env.BINANCE_DEFAULT_QUOTE || 'USDT').toUpperCase();
+}
+
+/**
+ * Build lookup tables from exchangeInfo symbols
+ * @param {Object[]} symbols - exchangeInfo.symbols
+ * @returns {Object} { bySymbol, byPair, byBase }
+ */
+export function buildSymbolIndex(symbols) {
+  const bySymbol = new Map();
+  const byPair = new Map();
+  const byBase = new Map();
+
+  for (const info of symbols) {
+    bySymbol.set(info.symbol, info);
+    byPair.set(`${info.baseAsset}/${info.quoteAsset}`, info);
+
+    if (!byBase.has(info.baseAsset)) {
+      byBase.set(info.baseAsset, []);
+    }
+    byBase.get(info.baseAsset).push(info);
+  }
+
+  return { bySymbol, byPair, byBase };
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find symbols close to a misspelled input
+ * Compares against full symbols and against base assets paired with the quote
+ * @param {string} input - Normalized input (upper case, no separators)
+ * @param {Object} index - Symbol index from buildSymbolIndex
+ * @param {string} quote - Preferred quote asset
+ * @param {number} max - Maximum suggestions (default: 3)
+ * @returns {string[]} Suggested symbols, closest first
+ */
+export function suggestSymbols(input, index, quote, max = 3) {
+  const candidates = new Map();
+
+  const consider = (symbol, distance) => {
+    const info = index.bySymbol.get(symbol);
+    if (!info || info.status !== 'TRADING' || distance > MAX_SUGGESTION_DISTANCE) {
+      return;
+    }
+    if (!candidates.has(symbol) || candidates.get(symbol) > distance) {
+      candidates.set(symbol, distance);
+    }
+  };
+
+  for (const symbol of index.bySymbol.keys()) {
+    consider(symbol, editDistance(input, symbol));
+  }
+
+  for (const [base, infos] of index.byBase) {
+    const paired = infos.find(info => info.quoteAsset === quote);
+    if (paired) {
+      // Multiplier contracts such as 1000PEPE count as a near match for PEPE
+      const distance = input.length >= 3 && base.endsWith(input) ? 1 : editDistance(input, base);
+      consider(paired.symbol, distance);
+    }
+  }
+
+  return [...candidates.entries()]
+    .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+    .slice(0, max)
+    .map(([symbol]) => symbol);
+}
+
+/**
+ * Resolve free-form input against a symbol index
+ * Order: 'BASE/QUOTE' pair, exact symbol, base asset with the default quote,
+ * base asset with the first available fallback quote. For a base asset only
+ * trading pairs are picked; a halted default-quote pair is reported only when
+ * no other quote trades
+ * @param {string} input - User input (e.g., 'btc', 'ETH-BTC', 'ETHBTC')
+ * @param {Object} index - Symbol index from buildSymbolIndex
+ * @param {string} preferredQuote - Quote asset for bare base assets (default: getDefaultQuote())
+ * @returns {Object} Matching exchangeInfo entry
+ */
+export function matchSymbol(input, index, preferredQuote = getDefaultQuote()) {
+  const raw = String(input || '').trim().toUpperCase();
+  if (!raw) {
+    throw new InvalidSymbolError('Symbol is required', { symbol: '' });
+  }
+
+  const quote = preferredQuote.toUpperCase();
+  const parts = raw.split(SEPARATOR_PATTERN).filter(Boolean);
+  const compact = parts.join('');
+  let info = null;
+
+  if (parts.length === 2) {
+    info = index.byPair.get(`${parts[0]}/${parts[1]}`) || null;
+  } else if (parts.length === 1) {
+    info = index.bySymbol.get(compact) || null;
+
+    if (!info) {
+      const preferred = index.byPair.get(`${compact}/${quote}`) || null;
+      info = preferred && preferred.status === 'TRADING' ? preferred : null;
+
+      if (!info && index.byBase.has(compact)) {
+        const pairs = index.byBase.get(compact).filter(p => p.status === 'TRADING');
+        for (const fallback of FALLBACK_QUOTES) {
+          info = pairs.find(p => p.quoteAsset === fallback);
+          if (info) {
+            break;
+          }
+        }
+        info = info || pairs[0] || null;
+      }
+
+      info = info || preferred;
+    }
+  }
+
+  if (!info) {
+    const suggestions = suggestSymbols(compact, index, quote);
+    const hint = suggestions.length > 0 ? ` Did you mean ${suggestions.join(', ')}?` : '';
+    throw new InvalidSymbolError(`Unknown symbol: ${input}.${hint}`, { symbol: input, suggestions });
+  }
+
+  if (info.status !== 'TRADING') {
+    throw new InvalidSymbolError(`${info.symbol} is not trading (status: ${info.status})`, { symbol: info.symbol });
+  }
+
+  return info;
+}
+
+/**
+ * Load the symbol index for a market
+ * @param {string} market - 'spot' or 'futures'
+ * @param {boolean} cache - Use the on-disk exchangeInfo cache
+ * @returns {Promise<Object>} Symbol index
+ */
+async function loadIndex(market, cache) {
+  if (market === 'futures') {
+    const info = await fetchFuturesExchangeInfo({ cache });
+    // Quarterly contracts share base/quote with the perpetual; resolve to the perpetual
+    return buildSymbolIndex(info.symbols.filter(s => s.contractType === 'PERPETUAL'));
+  }
+
+  const info = await fetchExchangeInfo({ cache });
+  return buildSymbolIndex(info.symbols);
+}
+
+/**
+ * Resolve user input to a listed symbol
+ * @param {string} input - User input (e.g., 'BTC', 'btc/usdt', 'ETH-BTC', 'ETHBTC')
+ * @param {Object} options - Resolve options
+ * @param {string} options.quote - Quote asset for bare base assets (default: getDefaultQuote())
+ * @param {string} options.market - 'spot' or 'futures' (default: 'spot')
+ * @param {boolean} options.cache - Use the on-disk exchangeInfo cache (default: true)
+ * @returns {Promise<Object>} { symbol, baseAsset, quoteAsset }
+ */
+export async function resolveSymbol(input, options = {}) {
+  const { quote = getDefaultQuote(), market = 'spot', cache = true } = options;
+  const info = matchSymbol(input, await loadIndex(market, cache), quote);
+  return { symbol: info.symbol, baseAsset: info.baseAsset, quoteAsset: info.quoteAsset };
+}
+
+/**
+ * Resolve several inputs, collecting failures instead of throwing
+ * @param {string[]} inputs - User inputs
+ * @param {Object} options - Same as resolveSymbol
+ * @returns {Promise<Object>} { resolved: [{ input, symbol, baseAsset, quoteAsset }], errors: [{ input, error }] }
+ */
+export async function resolveSymbols(inputs, options = {}) {
+  const { quote = getDefaultQuote(), market = 'spot', cache = true } = options;
+  const index = await loadIndex(market, cache);
+  const resolved = [];
+  const errors = [];
+
+  for (const input of inputs) {
+    try {
+      const info = matchSymbol(input, index, quote);
+      resolved.push({ input, symbol: info.symbol, baseAsset: info.baseAsset, quoteAsset: info.quoteAsset });
+    } catch (error) {
+      if (!(error instanceof InvalidSymbolError)) {
+        throw error;
+      }
+      errors.push({ input, error });
+    }
+  }
+
+  return { resolved, errors };
+}
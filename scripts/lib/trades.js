@@ -0,0 +1,165 @@
+/**
+ * Trade Flow Analysis Library
+ * Taker buy/sell volume, large prints and volume-by-price profile
+ * computed from Binance aggregated trades
+ */
+
+/**
+ * Convert raw /aggTrades rows into numeric trades
+ * @param {Array} aggTrades - Raw aggTrades ({ a, p, q, T, m, ... })
+ * @returns {Object[]} Trades with id, price, quantity, notional, time, side
+ */
+export function normalizeTrades(aggTrades) {
+  return aggTrades.map(t => {
+    const price = parseFloat(t.p);
+    const quantity = parseFloat(t.q);
+    return {
+      id: t.a,
+      price,
+      quantity,
+      notional: price * quantity,
+      time: t.T,
+      // Buyer is maker means the seller crossed the spread
+      side: t.m ? 'sell' : 'buy'
+    };
+  });
+}
+
+/**
+ * Split volume into taker buys and taker sells
+ * @param {Object[]} trades - Normalized trades
+ * @returns {Object} Buy/sell quantity, notional and counts, plus delta and buy ratio
+ */
+export function analyzeTakerFlow(trades) {
+  const flow = {
+    buyVolume: 0,
+    sellVolume: 0,
+    buyNotional: 0,
+    sellNotional: 0,
+    buyCount: 0,
+    sellCount: 0
+  };
+
+  for (const trade of trades) {
+    if (trade.side === 'buy') {
+      flow.buyVolume += trade.quantity;
+      flow.buyNotional += trade.notional;
+      flow.buyCount++;
+    } else {
+      flow.sellVolume += trade.quantity;
+      flow.sellNotional += trade.notional;
+      flow.sellCount++;
+    }
+  }
+
+  const totalNotional = flow.buyNotional + flow.sellNotional;
+  flow.deltaNotional = flow.buyNotional - flow.sellNotional;
+  flow.buyRatio = totalNotional > 0 ? flow.buyNotional / totalNotional : 0;
+
+  return flow;
+}
+
+/**
+ * Find trades at or above a notional threshold
+ * @param {Object[]} trades - Normalized trades
+ * @param {number} minNotional - Notional threshold in quote currency
+ * @returns {Object[]} Large trades, largest first
+ */
+export function findLargeTrades(trades, minNotional) {
+  return trades
+    .filter(trade => trade.notional >= minNotional)
+    .sort((a, b) => b.notional - a.notional);
+}
+
+/**
+ * Build a volume-by-price profile with point of control and value area
+ * @param {Object[]} trades - Normalized trades
+ * @param {number} binCount - Number of price bins (default: 50)
+ * @param {number} valueAreaPct - Share of volume in the value area (default: 0.7)
+ * @returns {Object} Profile bins, point of control and value area
+ */
+export function calculateVolumeProfile(trades, binCount = 50, valueAreaPct = 0.7) {
+  if (trades.length === 0) {
+    throw new Error('Not enough data for volume profile. Need at least 1 trade.');
+  }
+  if (!Number.isInteger(binCount) || binCount < 1) {
+    throw new Error(`Invalid bin count: ${binCount}. Expected a positive integer`);
+  }
+
+  let low = Infinity;
+  let high = -Infinity;
+  for (const trade of trades) {
+    low = Math.min(low, trade.price);
+    high = Math.max(high, trade.price);
+  }
+
+  // A single traded price still gets one bin
+  const count = high > low ? binCount : 1;
+  const binSize = (high - low) / count || 1;
+
+  const bins = [];
+  for (let i = 0; i < count; i++) {
+    bins.push({
+      low: low + i * binSize,
+      high: i === count - 1 ? high : low + (i + 1) * binSize,
+      volume: 0,
+      buyVolume: 0,
+      sellVolume: 0
+    });
+  }
+
+  let totalVolume = 0;
+  for (const trade of trades) {
+    const index = Math.min(Math.floor((trade.price - low) / binSize), count - 1);
+    const bin = bins[index];
+    bin.volume += trade.quantity;
+    if (trade.side === 'buy') {
+      bin.buyVolume += trade.quantity;
+    } else {
+      bin.sellVolume += trade.quantity;
+    }
+    totalVolume += trade.quantity;
+  }
+
+  // Point of control: the bin with the most volume
+  let pocIndex = 0;
+  for (let i = 1; i < bins.length; i++) {
+    if (bins[i].volume > bins[pocIndex].volume) {
+      pocIndex = i;
+    }
+  }
+
+  // Value area: grow from the POC towards the heavier neighbour until it holds valueAreaPct
+  let lowIndex = pocIndex;
+  let highIndex = pocIndex;
+  let areaVolume = bins[pocIndex].volume;
+
+  while (areaVolume < totalVolume * valueAreaPct && (lowIndex > 0 || highIndex < bins.length - 1)) {
+    const below = lowIndex > 0 ? bins[lowIndex - 1].volume : -1;
+    const above = highIndex < bins.length - 1 ? bins[highIndex + 1].volume : -1;
+
+    if (above >= below) {
+      highIndex++;
+      areaVolume += above;
+    } else {
+      lowIndex--;
+      areaVolume += below;
+    }
+  }
+
+  const pocBin = bins[pocIndex];
+
+  return {
+    bins,
+    totalVolume,
+    poc: {
+      price: (pocBin.low + pocBin.high) / 2,
+      volume: pocBin.volume
+    },
+    valueArea: {
+      low: bins[lowIndex].low,
+      high: bins[highIndex].high,
+      volumePct: totalVolume > 0 ? areaVolume / totalVolume : 0
+    }
+  };
+}
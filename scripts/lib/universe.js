@@ -0,0 +1,96 @@
+/**
+ * Universe Selection Library for Binance Screener
+ * Selects tradable symbols from exchangeInfo metadata instead of name matching
+ */
+
+// Binance leveraged tokens (base assets); matched exactly so that pairs like
+// SUPERUSDT, JUPUSDT or SUNUSDT are not mistaken for them
+export const LEVERAGED_TOKENS = new Set([
+  'BTCUP', 'BTCDOWN', 'ETHUP', 'ETHDOWN', 'BNBUP', 'BNBDOWN',
+  'ADAUP', 'ADADOWN', 'XRPUP', 'XRPDOWN', 'DOTUP', 'DOTDOWN',
+  'LINKUP', 'LINKDOWN', 'TRXUP', 'TRXDOWN', 'LTCUP', 'LTCDOWN',
+  'EOSUP', 'EOSDOWN', 'XTZUP', 'XTZDOWN', 'FILUP', 'FILDOWN',
+  'SXPUP', 'SXPDOWN', 'UNIUP', 'UNIDOWN', 'YFIUP', 'YFIDOWN',
+  'AAVEUP', 'AAVEDOWN', 'SUSHIUP', 'SUSHIDOWN', 'XLMUP', 'XLMDOWN',
+  'BCHUP', 'BCHDOWN', '1INCHUP', '1INCHDOWN',
+  'BULL', 'BEAR', 'ETHBULL', 'ETHBEAR', 'BNBBULL', 'BNBBEAR',
+  'EOSBULL', 'EOSBEAR', 'XRPBULL', 'XRPBEAR'
+]);
+
+// Stablecoins and fiat-pegged tokens, excluded as base assets with excludeStables
+export const STABLECOINS = new Set([
+  'USDT', 'USDC', 'FDUSD', 'TUSD', 'BUSD', 'USDP', 'PAX', 'DAI',
+  'PYUSD', 'USDE', 'USD1', 'RLUSD', 'BFUSD', 'XUSD', 'USDS', 'SUSD',
+  'EURI', 'AEUR', 'EUR'
+]);
+
+/**
+ * Check whether a symbol can be traded on the spot market
+ * Newer exchangeInfo responses carry permissionSets (array of arrays),
+ * older ones a flat permissions array
+ * @param {Object} info - Symbol entry from exchangeInfo
+ * @returns {boolean} True if spot trading is allowed
+ */
+export function isSpotTradable(info) {
+  if (info.isSpotTradingAllowed === false) {
+    return false;
+  }
+
+  const sets = Array.isArray(info.permissionSets) ? info.permissionSets : [];
+  const permissions = Array.isArray(info.permissions) ? info.permissions : [];
+
+  if (sets.length === 0 && permissions.length === 0) {
+    return info.isSpotTradingAllowed === true;
+  }
+
+  return permissions.includes('SPOT') || sets.some(set => set.includes('SPOT'));
+}
+
+/**
+ * Check whether a symbol matches a list entry
+ * Entries may name a base asset ('BTC') or a full symbol ('BTCUSDT')
+ * @param {Object} info - Symbol entry from exchangeInfo
+ * @param {Set<string>} list - Upper-case entries
+ * @returns {boolean} True if the symbol or its base asset is listed
+ */
+function isListed(info, list) {
+  return list.has(info.symbol) || list.has(info.baseAsset);
+}
+
+/**
+ * Select symbols from exchangeInfo metadata
+ * @param {Object[]} symbols - exchangeInfo.symbols
+ * @param {Object} options - Selection options
+ * @param {string|string[]} options.quoteAsset - Quote asset(s) (default: 'USDT')
+ * @param {string[]} options.include - Only keep these base assets or symbols
+ * @param {string[]} options.exclude - Drop these base assets or symbols
+ * @param {boolean} options.excludeStables - Drop stablecoin base assets (default: false)
+ * @param {boolean} options.excludeLeveraged - Drop leveraged tokens (default: true)
+ * @returns {string[]} Sorted symbol names
+ */
+export function selectSymbols(symbols, options = {}) {
+  const {
+    quoteAsset = 'USDT',
+    include = [],
+    exclude = [],
+    excludeStables = false,
+    excludeLeveraged = true
+  } = options;
+
+  const quotes = new Set([].concat(quoteAsset).map(q => q.toUpperCase()));
+  const includeSet = new Set(include.map(s => s.toUpperCase()));
+  const excludeSet = new Set(exclude.map(s => s.toUpperCase()));
+
+  return symbols
+    .filter(info =>
+      info.status === 'TRADING' &&
+      quotes.has(info.quoteAsset) &&
+      isSpotTradable(info) &&
+      !(excludeLeveraged && LEVERAGED_TOKENS.has(info.baseAsset)) &&
+      !(excludeStables && STABLECOINS.has(info.baseAsset)) &&
+      (includeSet.size === 0 || isListed(info, includeSet)) &&
+      !isListed(info, excludeSet)
+    )
+    .map(info => info.symbol)
+    .sort();
+}